@@ -1,9 +1,13 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { BrowserRouter, Routes, Route, NavLink } from "react-router-dom";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, PieChart, Pie, Cell } from "recharts";
+import React, { useDeferredValue, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+import { BrowserRouter, MemoryRouter, Routes, Route, NavLink, useNavigate, useSearchParams } from "react-router-dom";
+import { LineChart, Line, BarChart, Bar, Legend, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, PieChart, Pie, Cell } from "recharts";
+import { DEFAULT_ACCOUNT_ID, MONTH_START_MAX, ym, addMonths, clampStartDay, periodOf, categoryLines, txAccount, accountDeltas, diffRows, createAggregator } from "./aggregate.js";
+import { SYNC_STORES, SYNC_DEFAULTS, createSyncSpace, storeRecords, trackChanges, mergePull, mergePush, resolveConflict, applyRecords } from "./sync.js";
 
 // Personal Finance Web App (Hebrew, RTL)
-// Single-file React app with routing, charts, CSV import/export, budgets, goals, tests, and localStorage persistence.
+// Single-file React app with routing, charts, CSV import/export, budgets, goals, tests, and IndexedDB persistence.
 // TailwindCSS available. All text RTL/he-IL. Minimal but production-like.
 
 // ---------- Types & Constants ----------
@@ -33,16 +37,23 @@ const DEFAULT_BUDGETS = {
   "אחר": 300,
 };
 
+// 'YYYY-MM-DD' in local time; toISOString is UTC and gives yesterday's date after midnight in Israel
+export function localISO(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
 function todayISO(offsetDays = 0) {
   const d = new Date();
   d.setDate(d.getDate() + offsetDays);
-  return d.toISOString().slice(0, 10);
+  return localISO(d);
 }
-function ym(dateStr) { return (dateStr || "").slice(0, 7); }
-function currency(n) { return (n ?? 0).toLocaleString("he-IL", { style: "currency", currency: "ILS", maximumFractionDigits: 0 }); }
+function currency(n, code = "ILS") { return (n ?? 0).toLocaleString("he-IL", { style: "currency", currency: code, maximumFractionDigits: code === "ILS" ? 0 : 2 }); }
 
 const COLORS = ["#14b8a6", "#0ea5e9", "#f59e0b", "#ef4444", "#8b5cf6", "#22c55e", "#06b6d4", "#e11d48", "#84cc16", "#64748b"];
 
+// Seed taxonomy: { id, name, parentId ('' = top level), color, icon }
+const DEFAULT_ICONS = ["🛒", "⛽", "🍽️", "🏠", "📱", "🏋️", "🚌", "🎉", "💻", "📦"];
+const DEFAULT_CATEGORIES = CATEGORIES.map((name, i) => ({ id: `cat${i}`, name, parentId: "", color: COLORS[i % COLORS.length], icon: DEFAULT_ICONS[i] || "" }));
+
 const SAMPLE_TX = [
   { id: 1, date: todayISO(), type: "income", amount: 14000, category: "הכנסה", note: "עריכת וידאו" },
   { id: 2, date: todayISO(), type: "expense", amount: 170, category: "בריאות/ספורט", note: "חדר כושר" },
@@ -51,22 +62,692 @@ const SAMPLE_TX = [
   { id: 5, date: todayISO(-3), type: "expense", amount: 80, category: "מסעדות", note: "קפה + מאפה" },
 ];
 
+export const ACCOUNT_TYPES = { checking: "עו״ש", credit: "כרטיס אשראי", cash: "מזומן", savings: "חיסכון" };
+export const BASE_CURRENCY = "ILS";
+export const KNOWN_CURRENCIES = ["ILS", "USD", "EUR", "GBP"];
+export const TX_TYPES = { expense: "הוצאה", income: "הכנסה", transfer: "העברה" };
+export const SPLIT_CATEGORY = "מפוצל";
+// category values the app sets itself; no user category may take these names
+export const RESERVED_CATEGORIES = ["הכנסה", "העברה", SPLIT_CATEGORY];
+
+const DEFAULT_ACCOUNTS = [
+  { id: DEFAULT_ACCOUNT_ID, name: "עו״ש", type: "checking", currency: "ILS", openingBalance: 0 },
+];
+
+// Household members: the one everything belongs to by default can be renamed but not removed
+export const DEFAULT_MEMBER_ID = "me";
+const DEFAULT_MEMBERS = [{ id: DEFAULT_MEMBER_ID, name: "אני", color: COLORS[0], share: 1 }];
+
 const DEFAULT_GOALS = [
-  { id: "barca", name: "טיסת ברצלונה", target: 3500, monthly: 800, startYm: new Date().toISOString().slice(0,7) },
+  { id: "barca", name: "טיסת ברצלונה", target: 3500, monthly: 800, startYm: ym(todayISO()) },
 ];
 
-// ---------- Persistence Hook ----------
-function useLocalState(key, initialValue) {
-  const [state, setState] = useState(() => {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : (typeof initialValue === "function" ? initialValue() : initialValue);
+// ---------- Storage ----------
+// Data lives in IndexedDB: transactions one record per row (indexed by date and category), every other store as one
+// value in `kv` under its old localStorage key. Without IndexedDB the same API runs on localStorage.
+export const DB_NAME = "pf_finance";
+export const DB_VERSION = 1;
+const META_KEY = "pf_meta";
+const TX_KEY = "pf_tx";
+
+function idbRequest(req) { return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); }); }
+function idbDone(tx) { return new Promise((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = tx.onabort = () => reject(tx.error); }); }
+
+// While another tab holds an older version open the upgrade is blocked: keep waiting (it goes on once that tab
+// closes) and tell the user through `onBlocked`. Falling back to localStorage here would hide the real data.
+function openDB(name = DB_NAME, onBlocked) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      // v1: transactions keyed by id with date/category indexes; key-value store for everything else
+      if (e.oldVersion < 1) {
+        const txs = db.createObjectStore("transactions", { keyPath: "id" });
+        txs.createIndex("date", "date");
+        txs.createIndex("category", "category");
+        db.createObjectStore("kv");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => onBlocked?.();
+  });
+}
+
+async function idbBackend(name, onBlocked) {
+  const db = await openDB(name, onBlocked);
+  const putAll = (st, data) => {
+    for (const [k, v] of Object.entries(data)) {
+      if (k === TX_KEY) for (const t of v) st.transactions.put(t);
+      else st.kv.put(v, k);
+    }
+  };
+  return {
+    kind: "indexeddb",
+    readKey: (key) => idbRequest(db.transaction("kv").objectStore("kv").get(key)),
+    async readAll() {
+      const t = db.transaction(["transactions", "kv"]);
+      const [rows, keys, values] = await Promise.all([
+        idbRequest(t.objectStore("transactions").getAll()), idbRequest(t.objectStore("kv").getAllKeys()), idbRequest(t.objectStore("kv").getAll()),
+      ]);
+      const out = Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+      if (out[META_KEY]) out[TX_KEY] = rows;
+      return out;
+    },
+    write(key, value, prev) { return this.writeMany([{ key, value, prev }]); },
+    // All in one IndexedDB transaction, so stores changed together (a category rename) land together or not at all.
+    // Transactions are written as a diff against the previously saved list.
+    async writeMany(writes) {
+      const t = db.transaction(["transactions", "kv"], "readwrite"), st = t.objectStore("transactions");
+      for (const { key, value, prev } of writes) {
+        if (key !== TX_KEY) { t.objectStore("kv").put(value, key); continue; }
+        const change = Array.isArray(prev) ? diffStore(key, prev, value) : { removed: [], added: null, changed: [] };
+        if (!change) continue;
+        if (!change.added) { st.clear(); for (const x of value) st.put(x); }
+        else {
+          for (const [, x] of change.removed) st.delete(x.id);
+          for (const [, x] of change.added) st.put(x);
+          for (const [, x] of change.changed) st.put(x);
+        }
+      }
+      return idbDone(t);
+    },
+    async replaceAll(data) {
+      const t = db.transaction(["transactions", "kv"], "readwrite");
+      const st = { transactions: t.objectStore("transactions"), kv: t.objectStore("kv") };
+      st.transactions.clear(); st.kv.clear();
+      putAll(st, data);
+      return idbDone(t);
+    },
+  };
+}
+
+// localStorage keeps JSON strings; a key that fails to parse is reported and skipped. Profiles other than the
+// default one keep their keys under a prefix ("<profile>:pf_tx").
+function localBackend(prefix = "") {
+  const keys = () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).filter(k => k?.startsWith(`${prefix}pf_`));
+  return {
+    kind: "localStorage",
+    async readKey(key) { try { return JSON.parse(localStorage.getItem(prefix + key)); } catch { return undefined; } },
+    async readAll(issues = []) {
+      const out = {};
+      for (const k of keys()) {
+        const raw = localStorage.getItem(k);
+        try { out[k.slice(prefix.length)] = JSON.parse(raw); } catch { issues.push({ key: k.slice(prefix.length), reason: "JSON פגום", raw }); }
+      }
+      return out;
+    },
+    async write(key, value) { localStorage.setItem(prefix + key, JSON.stringify(value)); },
+    async writeMany(writes) { for (const w of writes) localStorage.setItem(prefix + w.key, JSON.stringify(w.value)); },
+    async replaceAll(data) {
+      for (const k of keys()) localStorage.removeItem(k);
+      for (const [k, v] of Object.entries(data)) localStorage.setItem(prefix + k, JSON.stringify(v));
+    },
+    removeAll() { for (const k of keys()) localStorage.removeItem(k); },
+  };
+}
+
+// Load, migrate and sanitize everything once. The first IndexedDB run imports the profile's pf_* keys from localStorage.
+// Damaged values are only reported: the store is rewritten for an import or a migration, never to clean up, and keys
+// that couldn't be read at all come back in `unreadable` so their defaults aren't saved over them.
+async function loadAppData(backend, prefix = "") {
+  const issues = [];
+  let raw = await backend.readAll(issues), imported = false;
+  if (!raw[META_KEY] && backend.kind === "indexeddb") {
+    const legacy = localBackend(prefix), legacyData = await legacy.readAll(issues);
+    if (Object.keys(legacyData).length) { raw = legacyData; imported = legacy; }
+  }
+  const unreadable = new Set(issues.map(i => i.key).filter(k => !(k in raw)));
+  const from = raw[META_KEY]?.schemaVersion || 0;
+  const data = sanitizeData(migrateData(raw, from), issues);
+  data[META_KEY] = { ...raw[META_KEY], schemaVersion: Math.max(from, SCHEMA_VERSION) };
+  if (issues.length) data.pf_corrupt = [...(data.pf_corrupt || []), ...issues.map(i => ({ ...i, at: new Date().toISOString() }))].slice(-20);
+  if (imported || from !== data[META_KEY].schemaVersion) {
+    await backend.replaceAll(data);
+    if (imported) imported.removeAll();
+  } else if (issues.length) await backend.write("pf_corrupt", data.pf_corrupt);
+  return { data, issues, unreadable };
+}
+
+// Profiles are separate data spaces on one device: the default profile keeps the original database and keys, any
+// other gets its own database and key prefix. The profile list lives in localStorage outside the pf_ namespace, so
+// no profile reads, backs up or resets it.
+export const PROFILES_KEY = "pf-profiles";
+
+export function profileStore(id) {
+  return id === DEFAULT_PROFILE_ID ? { db: DB_NAME, prefix: "" } : { db: `${DB_NAME}:${id}`, prefix: `${id}:` };
+}
+export function readProfiles() {
+  try { return normalizeProfiles(JSON.parse(localStorage.getItem(PROFILES_KEY))); } catch { return normalizeProfiles(null); }
+}
+export function writeProfiles(registry) { localStorage.setItem(PROFILES_KEY, JSON.stringify(registry)); }
+
+// Switching reloads the page, so every store, the aggregation worker and the lock start over for the other profile
+export async function switchProfile(storage, id) {
+  await storage.flush();
+  writeProfiles({ ...readProfiles(), active: id });
+  location.reload();
+}
+
+// Drop everything a (non-active) profile stored. Fails while another tab has the profile open.
+export async function deleteProfileData(id) {
+  const { db, prefix } = profileStore(id);
+  if (typeof indexedDB !== "undefined") await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(db);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("הפרופיל פתוח בלשונית אחרת. סגור אותה ונסה שוב."));
   });
-  useEffect(() => { localStorage.setItem(key, JSON.stringify(state)); }, [key, state]);
+  localBackend(prefix).removeAll();
+}
+
+let storagePromise = null;
+// Shared by the whole app (and safe under StrictMode's double effects). Opens the active profile. With an app lock
+// the data stays unloaded (`data` null) until unlock(); lockNow() drops it and the key from memory again.
+// `onBlocked` is called while other tabs keep the database from opening.
+export function openStorage(onBlocked) {
+  if (storagePromise) return storagePromise;
+  storagePromise = (async () => {
+    const profile = readProfiles().active, { db, prefix } = profileStore(profile);
+    let base, fellBack = "";
+    try { if (typeof indexedDB === "undefined") throw new Error("no IndexedDB"); base = await idbBackend(db, onBlocked); }
+    catch (e) { base = localBackend(prefix); fellBack = String(e?.message || e); }
+    let backend = null;
+    // Writes run one batch at a time, in order. Saves made in the same tick (every store one action changed) form one
+    // batch, which the backend writes as a whole.
+    let chain = Promise.resolve(), batch = null;
+    // the transaction list as last handed to save(): the rows the next write is diffed against
+    let savedTx = null;
+    // waits until no write is left, including writes queued while waiting
+    const settle = async () => {
+      let seen;
+      do { seen = chain; await seen; } while (chain !== seen);
+    };
+    const storage = {
+      kind: base.kind, profile, data: null, issues: [], unreadable: new Set(), onError: null,
+      lock: (await base.readKey(META_KEY))?.lock || null,
+      async load(key) {
+        backend = key ? encryptingBackend(base, key) : base;
+        const { data, issues, unreadable } = await loadAppData(backend, prefix);
+        if (fellBack && typeof indexedDB !== "undefined") issues.push({ key: DB_NAME, reason: `IndexedDB לא זמין (${fellBack}), הנתונים נשמרים ב-localStorage` });
+        storage.data = data; storage.issues = issues; storage.unreadable = unreadable;
+      },
+      async unlock(passphrase) {
+        const key = await unlockKey(storage.lock, passphrase);
+        if (!key) return false;
+        await storage.load(key);
+        return true;
+      },
+      async lockNow() { await settle(); backend = null; storage.data = null; savedTx = null; },
+      save(key, value, prev) {
+        const target = backend;
+        if (!target) { storage.onError?.(`שמירת ${key} נכשלה: האפליקציה נעולה`); return Promise.resolve(); }
+        if (key === TX_KEY) savedTx = value;
+        if (!batch || batch.target !== target) {
+          const b = batch = { target, writes: [] };
+          chain = chain.then(() => { if (batch === b) batch = null; return target.writeMany(b.writes); })
+            .catch(e => storage.onError?.(`שמירת ${b.writes.map(w => w.key).join(", ")} נכשלה: ${e?.message || e}`));
+        }
+        batch.writes.push({ key, value, prev });
+        return chain;
+      },
+      flush: settle,
+      readAll: () => settle().then(() => backend.readAll([])),
+      replaceAll: (all) => settle().then(() => backend.replaceAll(all)),
+      // Turn the lock on (new passphrase), change it, or off (''), re-encrypting everything stored
+      async setPassphrase(passphrase, idleMinutes = storage.lock?.idleMinutes || 0) {
+        await settle();
+        const all = await backend.readAll([]);
+        // re-encrypt the very row objects the app holds, so the new backend's cache knows them
+        if (savedTx || storage.data[TX_KEY]) all[TX_KEY] = savedTx || storage.data[TX_KEY];
+        const created = passphrase ? await createLock(passphrase, idleMinutes) : null;
+        const next = created ? encryptingBackend(base, created.key) : base;
+        const { lock, ...meta } = all[META_KEY] || {};
+        all[META_KEY] = created ? { ...meta, lock: created.lock } : meta;
+        await next.replaceAll(all);
+        backend = next; storage.lock = created?.lock || null; storage.data[META_KEY] = all[META_KEY];
+      },
+      // memory changes only once the write went through
+      async setIdleMinutes(idleMinutes) {
+        const lock = { ...storage.lock, idleMinutes }, meta = { ...storage.data[META_KEY], lock };
+        await settle(); await backend.write(META_KEY, meta);
+        storage.lock = lock; storage.data[META_KEY] = meta;
+      },
+    };
+    if (!storage.lock) await storage.load();
+    return storage;
+  })();
+  return storagePromise;
+}
+
+// State persisted under `key`; starts from the loaded data, falls back to `initialValue`
+function usePersistentState(storage, key, initialValue) {
+  const [state, setState] = useState(() => key in storage.data ? storage.data[key] : (typeof initialValue === "function" ? initialValue() : initialValue));
+  const saved = useRef(storage.data[key]);
+  useEffect(() => {
+    if (saved.current === state) return;
+    // a value that couldn't be read stays as it is until the user changes something
+    if (saved.current === undefined && storage.unreadable.has(key)) { saved.current = state; return; }
+    const prev = saved.current; saved.current = state;
+    storage.save(key, state, prev);
+  }, [key, state]);
   return [state, setState];
 }
 
+// ---------- App Lock ----------
+// With a lock, every stored value except pf_meta is { iv, data }: AES-GCM under a key derived (PBKDF2) from the
+// passphrase. pf_meta.lock = { salt, iterations, verifier, idleMinutes } checks the passphrase without any data.
+// Transactions are stored as { id, iv, data }, so the date/category indexes stay empty while locked.
+const LOCK_VERIFIER = "pf-lock-ok";
+
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+export async function decryptJSON(key, box) {
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(box.iv) }, key, fromBase64(box.data));
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+export async function createLock(passphrase, idleMinutes = 0, iterations = 250000) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, iterations);
+  return { key, lock: { salt: toBase64(salt), iterations, verifier: await encryptJSON(key, LOCK_VERIFIER), idleMinutes } };
+}
+
+// The key for a passphrase, or null when it is wrong
+export async function unlockKey(lock, passphrase) {
+  try {
+    const key = await deriveKey(passphrase, fromBase64(lock.salt), lock.iterations);
+    return await decryptJSON(key, lock.verifier) === LOCK_VERIFIER ? key : null;
+  } catch { return null; }
+}
+
+// Same interface as the plain backends. Unchanged transactions keep their encrypted record (cached by id and object
+// identity), so the diffing write in the IndexedDB backend only re-encrypts and rewrites rows that changed.
+// Transaction records that fail to decrypt are reported and written back as they were, never dropped.
+export function encryptingBackend(backend, key) {
+  const rows = new Map(), unreadable = new Map();
+  const encRow = async (r) => { const c = rows.get(r.id); if (c?.[0] === r) return c[1]; const e = { id: r.id, ...(await encryptJSON(key, r)) }; rows.set(r.id, [r, e]); return e; };
+  const encRows = async (v) => {
+    const out = await Promise.all(v.map(encRow)), ids = new Set(v.map(r => r.id));
+    return [...out, ...[...unreadable.values()].filter(e => !ids.has(e.id))];
+  };
+  const encValue = (k, v) => k === META_KEY ? v : k === TX_KEY ? encRows(v) : encryptJSON(key, v);
+  return {
+    ...backend,
+    async readAll(issues = []) {
+      const raw = await backend.readAll(issues), out = {};
+      for (const [k, v] of Object.entries(raw)) {
+        if (k === META_KEY) { out[k] = v; continue; }
+        if (k === TX_KEY && Array.isArray(v)) {
+          const list = await Promise.all(v.map(async (e) => {
+            try { const r = await decryptJSON(key, e); rows.set(r.id, [r, e]); return r; } catch { unreadable.set(e?.id, e); return null; }
+          }));
+          out[k] = list.filter(Boolean);
+          if (unreadable.size) issues.push({ key: k, reason: `${unreadable.size} רשומות לא פוענחו (נשארו שמורות כפי שהן)` });
+          continue;
+        }
+        try { out[k] = await decryptJSON(key, v); } catch { issues.push({ key: k, reason: "פענוח נכשל" }); }
+      }
+      return out;
+    },
+    write(key, value, prev) { return this.writeMany([{ key, value, prev }]); },
+    // encrypted one after the other, so a second write of the transactions finds the first one's rows in the cache
+    async writeMany(writes) {
+      const out = [];
+      for (const { key: k, value, prev } of writes) {
+        const encPrev = k === TX_KEY ? prev?.map(r => rows.get(r.id)?.[0] === r ? rows.get(r.id)[1] : { id: r.id }) : undefined;
+        out.push({ key: k, value: await encValue(k, value), prev: encPrev });
+      }
+      return backend.writeMany(out);
+    },
+    async replaceAll(data) {
+      const out = {};
+      for (const [k, v] of Object.entries(data)) out[k] = await encValue(k, v);
+      return backend.replaceAll(out);
+    },
+  };
+}
+
+// Calls onIdle after `minutes` without user activity (0 = never)
+function useIdleLock(minutes, onIdle) {
+  useEffect(() => {
+    if (!minutes) return;
+    let timer;
+    const reset = () => { clearTimeout(timer); timer = setTimeout(onIdle, minutes * 60000); };
+    const events = ["mousemove", "mousedown", "keydown", "touchstart", "scroll"];
+    events.forEach(ev => window.addEventListener(ev, reset, { passive: true }));
+    reset();
+    return () => { clearTimeout(timer); events.forEach(ev => window.removeEventListener(ev, reset)); };
+  }, [minutes, onIdle]);
+}
+
+// ---------- Storage (Pure) ----------
+// SCHEMA_VERSION is the shape of the stored data; DATA_MIGRATIONS[n] upgrades data from version n to n + 1.
+export const SCHEMA_VERSION = 5;
+export const DATA_MIGRATIONS = [
+  // 0 -> 1: flat pf_budgets map becomes versioned budgets
+  (d) => {
+    if (d.pf_budgets && !d.pf_budget_versions) d.pf_budget_versions = budgetVersionsFromMap(d.pf_budgets);
+    delete d.pf_budgets;
+    return d;
+  },
+  // 1 -> 2: accounts; rows and recurring rules from before accounts existed belong to the default account
+  (d) => {
+    for (const k of [TX_KEY, "pf_recurring"]) if (Array.isArray(d[k])) d[k] = d[k].map(t => t && !t.accountId ? { ...t, accountId: DEFAULT_ACCOUNTS[0].id } : t);
+    return d;
+  },
+  // 2 -> 3: split lines carry numeric amounts and the parent is categorized as split; empty split lists go away
+  (d) => {
+    if (Array.isArray(d[TX_KEY])) d[TX_KEY] = d[TX_KEY].map(t => {
+      if (!t || !Array.isArray(t.splits)) return t;
+      if (!t.splits.length) { const { splits, ...rest } = t; return rest; }
+      return { ...t, category: SPLIT_CATEGORY, splits: t.splits.map(l => ({ ...l, amount: Number(l.amount) || 0 })) };
+    });
+    return d;
+  },
+  // 3 -> 4: category taxonomy; categories that existed only as budget keys become top-level categories
+  (d) => {
+    if (Array.isArray(d.pf_categories)) return d;
+    const extra = Object.keys(d.pf_budget_versions || {}).filter(name => !CATEGORIES.includes(name));
+    d.pf_categories = [...DEFAULT_CATEGORIES, ...extra.map((name, i) => ({ id: `cat${CATEGORIES.length + i}`, name, parentId: "", color: COLORS[(CATEGORIES.length + i) % COLORS.length], icon: "" }))];
+    return d;
+  },
+  // 4 -> 5: household members; rows and recurring rules from before members existed belong to the default member
+  (d) => {
+    for (const k of [TX_KEY, "pf_recurring"]) if (Array.isArray(d[k])) d[k] = d[k].map(t => t && !t.memberId ? { ...t, memberId: DEFAULT_MEMBER_ID } : t);
+    return d;
+  },
+];
+
+export function migrateData(raw, fromVersion) {
+  let data = { ...raw };
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) data = DATA_MIGRATIONS[v](data);
+  return data;
+}
+
+// Expected shape per key; a value of the wrong shape is dropped (the app falls back to the default) and reported
+export const STORE_SHAPES = {
+  pf_tx: "list", pf_budget_versions: "object", pf_budget_rollover: "object", pf_goals: "list", pf_goal_entries: "list",
+  pf_expected_income: "number", pf_recurring: "list", pf_import_profiles: "list", pf_import_batches: "list", pf_cat_rules: "list",
+  pf_saved_filters: "list", pf_accounts: "list", pf_fx_rates: "list", pf_categories: "list", pf_month_start: "number", pf_dismissed_insights: "list", pf_members: "list", pf_budget_owners: "object",
+  pf_settlements: "list", pf_journal: "object", pf_sync: "object",
+};
+const isValidTx = (t) => t && typeof t === "object" && t.id != null && /^\d{4}-\d{2}-\d{2}$/.test(t.date) && Number.isFinite(t.amount);
+
+// The profile list: { profiles: [{ id, name }], active }. The default profile is always there and stays active
+// when the stored one is unknown.
+export const DEFAULT_PROFILE_ID = "default";
+export function normalizeProfiles(raw) {
+  const list = Array.isArray(raw?.profiles) ? raw.profiles.filter(p => p && p.id && p.id !== DEFAULT_PROFILE_ID) : [];
+  const def = raw?.profiles?.find?.(p => p?.id === DEFAULT_PROFILE_ID) || { id: DEFAULT_PROFILE_ID, name: "ראשי" };
+  const profiles = [def, ...list];
+  return { profiles, active: profiles.some(p => p.id === raw?.active) ? raw.active : DEFAULT_PROFILE_ID };
+}
+export function addProfile(registry, name, id = `p${Date.now().toString(36)}`) {
+  return { ...registry, profiles: [...registry.profiles, { id, name }] };
+}
+// The default and the active profile can't be removed
+export function removeProfile(registry, id) {
+  if (id === DEFAULT_PROFILE_ID || id === registry.active) return registry;
+  return { ...registry, profiles: registry.profiles.filter(p => p.id !== id) };
+}
+
+export function sanitizeData(data, issues) {
+  const out = { ...data };
+  for (const [key, shape] of Object.entries(STORE_SHAPES)) {
+    if (!(key in out)) continue;
+    const v = out[key];
+    const ok = shape === "list" ? Array.isArray(v) : shape === "number" ? Number.isFinite(v) : v && typeof v === "object" && !Array.isArray(v);
+    if (!ok) { issues.push({ key, reason: "מבנה לא תקין, שוחזר לברירת מחדל", raw: JSON.stringify(v)?.slice(0, 2000) }); delete out[key]; continue; }
+    if (shape === "list") {
+      const good = key === TX_KEY ? v.filter(isValidTx) : v.filter(x => x && typeof x === "object");
+      if (good.length !== v.length) { issues.push({ key, reason: `${v.length - good.length} רשומות פגומות הוסרו`, raw: JSON.stringify(v.filter(x => !good.includes(x))).slice(0, 2000) }); out[key] = good; }
+    }
+  }
+  return out;
+}
+
+// ---------- Change Journal ----------
+// Every store mutation goes through a tracked setter that records a journal entry { id, at, label, changes }.
+// Entries within one tick (e.g. transactions + import batches) form a single undo step. `cursor` = entries applied.
+function useJournal(storage, stores) {
+  const [journal, setJournal] = usePersistentState(storage, "pf_journal", { entries: [], cursor: 0 });
+  const values = useRef({}), journalRef = useRef(journal), pending = useRef(null);
+  // what the last undo/redo had to leave alone: { [store]: count }
+  const [skipped, setSkipped] = useState(null);
+  for (const [key, [value]] of Object.entries(stores)) values.current[key] = value;
+  journalRef.current = journal;
+
+  function commit(key, next) { values.current[key] = next; stores[key][1](next); }
+  function flush() {
+    const { changes, label } = pending.current; pending.current = null;
+    const entry = { id: `j${Date.now()}${Math.random().toString(36).slice(2, 6)}`, at: new Date().toISOString(), label: label || changes.map(describeChange).join(" • "), changes };
+    setJournal(j => { const entries = [...j.entries.slice(0, j.cursor), entry].slice(-JOURNAL_LIMIT); return { entries, cursor: entries.length }; });
+  }
+  const setters = {};
+  for (const key of Object.keys(stores)) {
+    setters[`set${key[0].toUpperCase()}${key.slice(1)}`] = (update, label) => {
+      const before = values.current[key];
+      const after = typeof update === "function" ? update(before) : update;
+      if (after === before) return;
+      commit(key, after);
+      const change = diffStore(key, before, after);
+      if (!change) return;
+      if (!pending.current) { pending.current = { changes: [], label: "" }; queueMicrotask(flush); }
+      pending.current.changes.push(change);
+      if (label) pending.current.label = label;
+    };
+  }
+  // Changes the user didn't make (due recurring posts, records synced from other devices) skip the journal: undo must not revert them only for them to
+  // come right back, and they must not cut off the redo history
+  const untracked = {};
+  for (const key of Object.keys(stores)) {
+    untracked[`set${key[0].toUpperCase()}${key.slice(1)}`] = (update) => {
+      const before = values.current[key];
+      const after = typeof update === "function" ? update(before) : update;
+      if (after !== before) commit(key, after);
+    };
+  }
+  // Move to the state after `target` entries, undoing or redoing every step in between
+  function travel(target) {
+    const j = journalRef.current;
+    if (target < 0 || target > j.entries.length || target === j.cursor) return;
+    const next = { ...values.current }, touched = new Set(), left = {};
+    const apply = (ch, undo) => {
+      const ids = [];
+      next[ch.store] = applyChange(next[ch.store], ch, undo, ids);
+      touched.add(ch.store);
+      if (ids.length) left[ch.store] = (left[ch.store] || 0) + ids.length;
+    };
+    for (let c = j.cursor; c > target; c--) for (const ch of [...j.entries[c - 1].changes].reverse()) apply(ch, true);
+    for (let c = j.cursor; c < target; c++) for (const ch of j.entries[c].changes) apply(ch, false);
+    for (const key of touched) if (stores[key]) commit(key, next[key]);
+    setJournal({ ...j, cursor: target });
+    setSkipped(Object.keys(left).length ? left : null);
+  }
+  return { setters, untracked, entries: journal.entries, cursor: journal.cursor, travel, skipped, clearSkipped: () => setSkipped(null), undo: () => travel(journalRef.current.cursor - 1), redo: () => travel(journalRef.current.cursor + 1) };
+}
+
+// ---------- Change Journal (Pure) ----------
+export const JOURNAL_LIMIT = 200;
+export const JOURNAL_STORES = { transactions: "תנועות", budgetVersions: "תקציבים", rollover: "העברת יתרה", goals: "יעדים", goalEntries: "הפקדות ליעדים", expectedIncome: "הכנסה צפויה", recurring: "תנועות קבועות", importProfiles: "פרופילי ייבוא", importBatches: "ייבואים", catRules: "כללי סיווג", savedFilters: "תצוגות שמורות", accounts: "חשבונות", fxRates: "שערי מטבע", categories: "קטגוריות", monthStart: "תחילת חודש פיננסי", dismissedInsights: "תובנות מוסתרות", members: "בני משק הבית", budgetOwners: "שיוך תקציבים", settlements: "התחשבנויות" };
+
+// Lists of records with ids are journaled as a diff ({ removed, added } as [index, item] pairs, changed as [before, after]);
+// objects per key ({ keys } as [key, before, after], null = absent); anything else as whole before/after values.
+// null when nothing changed.
+export function diffStore(store, before, after) {
+  const keyed = (v) => Array.isArray(v) && v.every(x => x && x.id !== undefined);
+  if (keyed(before) && keyed(after)) {
+    const a = new Map(before.map(x => [x.id, x])), b = new Map(after.map(x => [x.id, x]));
+    const removed = before.map((x, i) => [i, x]).filter(([, x]) => !b.has(x.id));
+    const added = after.map((x, i) => [i, x]).filter(([, x]) => !a.has(x.id));
+    const changed = after.filter(x => a.has(x.id) && a.get(x.id) !== x && JSON.stringify(a.get(x.id)) !== JSON.stringify(x)).map(x => [a.get(x.id), x]);
+    return removed.length || added.length || changed.length ? { store, removed, added, changed } : null;
+  }
+  const plain = (v) => v && typeof v === "object" && !Array.isArray(v);
+  if (plain(before) && plain(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k])).map(k => [k, before[k] ?? null, after[k] ?? null]);
+    return keys.length ? { store, keys } : null;
+  }
+  return JSON.stringify(before) === JSON.stringify(after) ? null : { store, before, after };
+}
+
+// Apply a journaled change forward, or backward with `undo`. A record (or key) is only touched while it still holds what
+// the entry left behind, so undo doesn't revert a later change made outside the journal (sync, recurring posts); the
+// ids and keys left alone go to `skipped`.
+export function applyChange(value, change, undo, skipped = []) {
+  const same = (x, y) => x === y || JSON.stringify(x) === JSON.stringify(y);
+  if (change.keys) {
+    const out = { ...value };
+    for (const [k, b, a] of change.keys) {
+      const [from, to] = undo ? [a, b] : [b, a];
+      if (!same(out[k] ?? null, from)) { skipped.push(k); continue; }
+      if (to === null) delete out[k]; else out[k] = to;
+    }
+    return out;
+  }
+  if (!change.changed) return undo ? change.before : change.after;
+  const drop = new Map((undo ? change.added : change.removed).map(([, x]) => [x.id, x]));
+  const swap = new Map(change.changed.map(([b, a]) => undo ? [a.id, [a, b]] : [b.id, [b, a]]));
+  const out = [], seen = new Set();
+  for (const x of value || []) {
+    seen.add(x.id);
+    const d = drop.get(x.id), s = swap.get(x.id);
+    if (d && same(d, x)) continue;
+    if ((d || s) && !same((d || s[0]), x)) skipped.push(x.id);
+    out.push(s && same(s[0], x) ? s[1] : x);
+  }
+  for (const id of swap.keys()) if (!seen.has(id)) skipped.push(id);
+  for (const [i, x] of undo ? change.removed : change.added) {
+    if (seen.has(x.id)) { skipped.push(x.id); continue; }
+    out.splice(Math.min(i, out.length), 0, x);
+  }
+  return out;
+}
+
+export function describeChange(change) {
+  const name = JOURNAL_STORES[change.store] || change.store;
+  if (change.keys) return `${name} עודכנו: ${change.keys.map(([k]) => k).join(", ")}`;
+  if (!change.changed) return `${name} עודכנו`;
+  const parts = [[change.added.length, "נוספו"], [change.removed.length, "נמחקו"], [change.changed.length, "עודכנו"]].filter(([n]) => n).map(([n, w]) => `${w} ${n}`);
+  return `${name}: ${parts.join(", ")}`;
+}
+
+// Everything the app stores, taken before a full reset so it can be brought back
+export const RESET_SNAPSHOT_KEY = "pf_reset_snapshot";
+export function takeSnapshot(all) {
+  const { [RESET_SNAPSHOT_KEY]: _, ...data } = all;
+  return { at: new Date().toISOString(), data };
+}
+
+// ---------- Backup ----------
+// A backup file is { format, version, schemaVersion, createdAt, stores: { [storageKey]: value }, checksum } where the
+// checksum is SHA-256 over [schemaVersion, stores]. Encrypted files wrap the whole backup with AES-GCM under a
+// PBKDF2-derived key: { format, version, encrypted: { cipher, kdf, iterations, salt, iv, data } } (base64).
+export const BACKUP_FORMAT = "pf-backup";
+export const BACKUP_VERSION = 1;
+// storage key -> journal store; everything the user owns except the undo journal
+export const BACKUP_STORES = {
+  pf_tx: "transactions", pf_budget_versions: "budgetVersions", pf_budget_rollover: "rollover", pf_goals: "goals", pf_goal_entries: "goalEntries",
+  pf_expected_income: "expectedIncome", pf_recurring: "recurring", pf_import_profiles: "importProfiles", pf_import_batches: "importBatches",
+  pf_cat_rules: "catRules", pf_saved_filters: "savedFilters", pf_accounts: "accounts", pf_fx_rates: "fxRates", pf_categories: "categories", pf_month_start: "monthStart", pf_dismissed_insights: "dismissedInsights",
+  pf_members: "members", pf_budget_owners: "budgetOwners", pf_settlements: "settlements",
+};
+
+function toBase64(buf) {
+  const bytes = new Uint8Array(buf); let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+const backupChecksum = (b) => sha256Hex(JSON.stringify([b.schemaVersion, b.stores]));
+
+export async function createBackup(stores) {
+  const backup = { format: BACKUP_FORMAT, version: BACKUP_VERSION, schemaVersion: SCHEMA_VERSION, createdAt: new Date().toISOString(), stores };
+  return { ...backup, checksum: await backupChecksum(backup) };
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, base, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+}
+
+export async function encryptBackup(backup, passphrase, iterations = 250000) {
+  const salt = crypto.getRandomValues(new Uint8Array(16)), iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, iterations);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(backup)));
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, encrypted: { cipher: "AES-GCM", kdf: "PBKDF2-SHA256", iterations, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) } };
+}
+
+function backupError(message, needsPassphrase = false) { const e = new Error(message); e.needsPassphrase = needsPassphrase; return e; }
+
+// Parse, decrypt and verify a backup file; stores come back migrated to the current schema and sanitized.
+// Throws an Error with a user-facing message (`needsPassphrase` set when a passphrase is missing or wrong).
+export async function readBackup(text, passphrase = "") {
+  let file;
+  try { file = JSON.parse(text); } catch { throw backupError("הקובץ אינו JSON תקין"); }
+  if (file?.format !== BACKUP_FORMAT) throw backupError("זה אינו קובץ גיבוי של האפליקציה");
+  if (!(file.version <= BACKUP_VERSION) || file.schemaVersion > SCHEMA_VERSION) throw backupError("הגיבוי נוצר בגרסה חדשה יותר של האפליקציה");
+  if (file.encrypted) {
+    if (!passphrase) throw backupError("הגיבוי מוצפן. הזן סיסמה.", true);
+    const { salt, iv, data, iterations } = file.encrypted;
+    let plain;
+    try {
+      const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+      plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+    } catch { throw backupError("סיסמה שגויה או קובץ פגום", true); }
+    return { ...(await readBackup(new TextDecoder().decode(plain))), encrypted: true };
+  }
+  if (!file.stores || typeof file.stores !== "object") throw backupError("בגיבוי אין נתונים");
+  if (file.checksum !== await backupChecksum(file)) throw backupError("בדיקת השלמות נכשלה: הקובץ שונה או נפגם");
+  const issues = [];
+  const migrated = sanitizeData(migrateData(file.stores, file.schemaVersion || 0), issues);
+  const stores = Object.fromEntries(Object.keys(BACKUP_STORES).filter(k => k in migrated).map(k => [k, migrated[k]]));
+  return { createdAt: file.createdAt, schemaVersion: file.schemaVersion, stores, issues };
+}
+
+// [label, count] per store in a backup
+export function summarizeBackup(stores) {
+  return Object.entries(BACKUP_STORES).filter(([k]) => k in stores).map(([k, name]) => {
+    const v = stores[k];
+    return [JOURNAL_STORES[name], Array.isArray(v) ? v.length : typeof v === "object" ? Object.keys(v).length : v];
+  });
+}
+
+// What a store holds when a backup that replaces everything doesn't include it (an older backup, say)
+export function emptyStore(key) {
+  const base = { pf_accounts: DEFAULT_ACCOUNTS, pf_categories: DEFAULT_CATEGORIES, pf_members: DEFAULT_MEMBERS, pf_month_start: 1 };
+  if (key in base) return base[key];
+  return { list: [], number: 0 }[STORE_SHAPES[key]] ?? {};
+}
+export function replaceBackupStores(incoming) {
+  return Object.fromEntries(Object.keys(BACKUP_STORES).map(k => [k, k in incoming ? incoming[k] : emptyStore(k)]));
+}
+
+// Merge keeps everything we have and adds what the backup has that we don't (by id, category or rate date)
+export function mergeBackupStores(current, incoming) {
+  const out = {};
+  for (const [k, v] of Object.entries(incoming)) {
+    const cur = current[k];
+    if (k === "pf_fx_rates") out[k] = mergeRates(v, cur || []);
+    else if (Array.isArray(v)) { const have = new Set((cur || []).map(x => x.id)); out[k] = [...(cur || []), ...v.filter(x => !have.has(x.id))]; }
+    else if (v && typeof v === "object") out[k] = { ...v, ...cur };
+    else out[k] = cur ?? v;
+  }
+  return out;
+}
+
 // ---------- CSV Utilities (Pure) ----------
-// Normalize type strings (he/en variants). Return 'income' | 'expense' | '' if unknown.
+// Normalize type strings (he/en variants). Return 'income' | 'expense' | 'transfer' | '' if unknown.
 function normalizeType(raw) {
   const t = String(raw ?? '').trim().toLowerCase();
   if (!t) return '';
@@ -75,559 +756,3657 @@ function normalizeType(raw) {
   // bank-style words
   if (t === 'credit' || t === 'זכות') return 'income';
   if (t === 'debit' || t === 'חובה') return 'expense';
+  if (t === 'transfer' || t === 'העברה') return 'transfer';
   return '';
 }
 
-// Export to CSV string (simple CSV, commas in notes replaced with ';')
-export function toCSVString(transactions) {
-  const header = ["id","date","type","amount","category","note"].join(",");
-  const rows = (transactions||[]).map(t => [
+// RFC 4180 field: quoted when it holds the delimiter, a quote, a line break or outer whitespace; quotes doubled
+export function csvField(value, delimiter = ",") {
+  const s = String(value ?? "");
+  return s.includes(delimiter) || /["\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+export function toCSVRow(cells, delimiter = ",") { return cells.map(c => csvField(c, delimiter)).join(delimiter); }
+
+// Export to CSV string (RFC 4180 quoting, configurable delimiter).
+// A split transaction is written as one row per line (amount/category of the line, split_of = parent id),
+// so category sums in a spreadsheet stay correct; parseCSV joins the lines back.
+export function toCSVString(transactions, delimiter = ",") {
+  const header = toCSVRow(["id","date","type","amount","category","note","account","to_account","currency","original_amount","split_of","split_note"], delimiter);
+  const rows = (transactions||[]).flatMap(t => (t.splits?.length ? t.splits : [null]).map(line => toCSVRow([
     t.id,
     t.date,
     t.type,
-    t.amount,
-    t.category || "",
-    String(t.note || "").replace(/,/g, ";"),
-  ].join(","));
+    line ? line.amount : t.amount,
+    (line ? line.category : t.category) || "",
+    t.note || "",
+    t.accountId || "",
+    t.toAccountId || "",
+    t.currency || "",
+    t.originalAmount ?? "",
+    line ? t.id : "",
+    line ? line.note || "" : "",
+  ], delimiter)));
   // IMPORTANT: Use "\n" explicitly to avoid unterminated-string issues
   return [header, ...rows].join("\n");
 }
 
+export const DELIMITERS = { ",": "פסיק (,)", ";": "נקודה-פסיק (;)", "\t": "טאב" };
+
+// Guess the delimiter from the first lines (quoted parts ignored); ',' wins ties
+export function detectDelimiter(text) {
+  const sample = String(text ?? "").split(/\r?\n/).slice(0, 10).join("\n").replace(/"[^"]*"/g, "");
+  let best = ",", bestN = 0;
+  for (const d of Object.keys(DELIMITERS)) { const n = sample.split(d).length - 1; if (n > bestN) { best = d; bestN = n; } }
+  return best;
+}
+
+// RFC 4180 reader: quoted fields, "" escapes, embedded CR/LF, CRLF or LF row ends. A quote inside an
+// unquoted field is literal (Hebrew abbreviations such as סה"כ).
+export function parseCSVRows(text, delimiter = ",") {
+  const s = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false, atStart = true;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (s[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"' && atStart) { quoted = true; atStart = false; }
+    else if (c === delimiter) { row.push(field); field = ""; atStart = true; }
+    else if (c === "\r" || c === "\n") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = ""; atStart = true;
+    } else { field += c; atStart = false; }
+  }
+  if (field || row.length || quoted) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Split CSV text into rows of cells (blank rows dropped). delimiter 'auto' detects it.
+export function csvRows(text, delimiter = "auto") {
+  if (!text) return [];
+  const d = delimiter === "auto" ? detectDelimiter(text) : delimiter;
+  return parseCSVRows(text, d).filter(r => r.some(c => c.trim().length > 0));
+}
+
 // Parse CSV string -> array of tx objects (aligned with export format, tolerant to missing optional cols)
 export function parseCSV(text) {
-  if (!text) return [];
-  const lines = String(text).replace(/\uFEFF/g,'').split(/\r?\n/).filter(l=>l.trim().length>0);
-  if (!lines.length) return [];
-  const cols = lines[0].split(",").map(s=>s.trim());
-  const idx = Object.fromEntries(cols.map((c,i)=>[c,i]));
+  return parseWithProfile(text, BUILTIN_PROFILES[0]).rows;
+}
+
+// ---------- Import Profiles (Pure) ----------
+// A profile describes one bank/card export: its delimiter ('auto' = detect), where the header row is (null = detect), how dates are written,
+// how amounts carry direction (one signed column or separate debit/credit columns) and header aliases per field.
+export const DATE_FORMATS = ["auto", "YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+export const PROFILE_FIELDS = { date: "תאריך", amount: "סכום", debit: "חובה", credit: "זכות", type: "סוג", category: "קטגוריה", note: "הערה/תיאור", currency: "מטבע", originalAmount: "סכום במטבע המקור", id: "מזהה" };
+
+export const BUILTIN_PROFILES = [
+  { id: "app", name: "פורמט האפליקציה", builtin: true, keepText: true, delimiter: "auto", headerRow: 0, dateFormat: "auto", amountMode: "signed", expenseSign: "negative",
+    columns: { id: ["id"], date: ["date"], type: ["type"], amount: ["amount"], category: ["category"], note: ["note"], account: ["account"], toAccount: ["to_account"], currency: ["currency"], originalAmount: ["original_amount"], splitOf: ["split_of"], splitNote: ["split_note"] } },
+  { id: "bank", name: "חשבון בנק (חובה/זכות)", builtin: true, delimiter: "auto", headerRow: null, dateFormat: "DD/MM/YYYY", amountMode: "split", expenseSign: "negative",
+    columns: { date: ["תאריך", "תאריך פעולה", "תאריך ערך"], debit: ["חובה", "בחובה", "סכום בחובה"], credit: ["זכות", "בזכות", "סכום בזכות"], note: ["תיאור", "הפעולה", "תיאור הפעולה", "פרטים"] } },
+  { id: "card", name: "כרטיס אשראי", builtin: true, delimiter: "auto", headerRow: null, dateFormat: "DD/MM/YYYY", amountMode: "signed", expenseSign: "positive",
+    columns: { date: ["תאריך עסקה", "תאריך רכישה", "תאריך"], amount: ["סכום חיוב", "סכום החיוב", "סכום חיוב ₪", "סכום"], note: ["שם בית העסק", "שם בית עסק", "בית עסק", "תיאור"],
+      currency: ["מטבע עסקה", "מטבע מקור", "מטבע"], originalAmount: ["סכום עסקה", "סכום העסקה", "סכום מקורי"] } },
+];
+
+function normHeader(s) { return String(s ?? '').replace(/["\uFEFF\u200E\u200F]/g, '').replace(/\s+/g, ' ').trim().toLowerCase(); }
+
+// Map profile fields to column indexes of a header row. First alias that matches wins.
+export function resolveColumns(header, columns) {
+  const cells = (header || []).map(normHeader);
+  const out = {};
+  for (const [field, aliases] of Object.entries(columns || {})) {
+    for (const a of aliases || []) {
+      const j = cells.indexOf(normHeader(a));
+      if (j >= 0) { out[field] = j; break; }
+    }
+  }
+  return out;
+}
+
+function hasRequiredColumns(col, profile) {
+  if (col.date === undefined) return false;
+  return profile.amountMode === 'split' ? (col.debit !== undefined || col.credit !== undefined) : col.amount !== undefined;
+}
+
+// First row (within the preamble) whose cells resolve the profile's required columns, or -1.
+export function findHeaderRow(rows, profile) {
+  for (let i = 0; i < Math.min(rows.length, 30); i++) {
+    if (hasRequiredColumns(resolveColumns(rows[i], profile.columns), profile)) return i;
+  }
+  return -1;
+}
+
+// Parse a date cell to ISO 'YYYY-MM-DD' per format. 'auto' accepts ISO, otherwise day-first (Israeli style). '' if invalid.
+export function parseDate(raw, format = "auto") {
+  const s = String(raw ?? '').trim();
+  let y, m, d, g;
+  if ((format === 'auto' || format === 'YYYY-MM-DD') && (g = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) [, y, m, d] = g;
+  else if (format !== 'YYYY-MM-DD' && (g = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?!\d)/))) {
+    [, d, m, y] = g;
+    if (format === 'MM/DD/YYYY') [d, m] = [m, d];
+    if (y.length === 2) y = '20' + y;
+  } else return '';
+  [y, m, d] = [y, m, d].map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return '';
+  return dt.toISOString().slice(0, 10);
+}
+
+// Parse an amount cell: strips currency signs and thousands separators; "(12)" and trailing "12-" are negative. NaN if empty/invalid.
+export function parseAmount(raw) {
+  let s = String(raw ?? '').replace(/[₪$€\s\u200E\u200F]/g, '').replace(/,/g, '');
+  let neg = false;
+  if (/^\(.*\)$/.test(s)) { neg = true; s = s.slice(1, -1); }
+  if (s.endsWith('-')) { neg = true; s = s.slice(0, -1); }
+  if (!s) return NaN;
+  const n = Number(s);
+  return Number.isFinite(n) ? (neg ? -n : n) : NaN;
+}
+
+// Parse CSV text with a profile -> { rows, rejected, error }. rejected: [{ line, reason, raw }] (line is 1-based among non-blank rows).
+// Cells are trimmed, except notes under a keepText profile (the app's own export quotes padded notes, so they round-trip as written).
+export function parseWithProfile(text, profile) {
+  const rows = csvRows(text, profile.delimiter);
+  const headerAt = profile.headerRow ?? findHeaderRow(rows, profile);
+  const col = headerAt >= 0 && rows[headerAt] ? resolveColumns(rows[headerAt], profile.columns) : {};
   // Must have at least date & amount; type can be missing and inferred
-  if (idx.date === undefined || idx.amount === undefined) return [];
+  if (!hasRequiredColumns(col, profile)) return { rows: [], rejected: [], error: "לא נמצאה שורת כותרת עם עמודות תאריך וסכום" };
 
-  const out = [];
-  for (let i=1;i<lines.length;i++){
-    const parts = lines[i].split(",");
+  const out = [], rejected = [];
+  for (let i = headerAt + 1; i < rows.length; i++) {
+    const parts = rows[i];
     const get = (name) => {
-      const j = idx[name];
-      return j === undefined ? '' : (parts[j] ?? '');
+      const j = col[name];
+      return j === undefined ? '' : String(parts[j] ?? '').trim();
     };
-    const date = String(get('date')).trim();
+    const text = (name) => profile.keepText && col[name] !== undefined ? String(parts[col[name]] ?? '') : get(name);
+    const reject = (reason) => rejected.push({ line: i + 1, reason, raw: toCSVRow(parts) });
+
+    const date = parseDate(get('date'), profile.dateFormat);
+    if (!date) { reject("תאריך לא תקין"); continue; }
     let type = normalizeType(get('type'));
-    let amtRaw = String(get('amount')).replace(/,/g,'').trim();
-    if (!amtRaw) continue;
-    let amount = Number(amtRaw);
-    if (!Number.isFinite(amount)) continue;
-    // Infer type by sign if unknown or empty
-    if (!type) {
-      if (amount < 0) type = 'expense';
-      else if (amount > 0) type = 'income';
-      else continue; // zero rows ignored
+    let amount;
+    if (profile.amountMode === 'split') {
+      const debit = parseAmount(get('debit')), credit = parseAmount(get('credit'));
+      if (debit) { amount = debit; type = type || 'expense'; }
+      else if (credit) { amount = credit; type = type || 'income'; }
+      else { reject("אין סכום בחובה או בזכות"); continue; }
+    } else {
+      amount = parseAmount(get('amount'));
+      if (!Number.isFinite(amount)) { reject("סכום לא תקין"); continue; }
+      // Infer type by sign if unknown or empty
+      if (!type) {
+        if (!amount) { reject("סכום אפס"); continue; }
+        type = (amount < 0) === (profile.expenseSign !== 'positive') ? 'expense' : 'income';
+      }
     }
     // Normalize amount to positive magnitude; direction comes from type
     amount = Math.abs(amount);
+    if (!amount) { reject("סכום אפס"); continue; }
 
     const idRaw = get('id');
     const idNum = Number(idRaw);
-    const id = Number.isFinite(idNum) ? idNum : Date.now() + Math.random();
-    const category = String(get('category')||'').trim();
-    const note = String(get('note')||'').trim();
+    const id = idRaw && Number.isFinite(idNum) ? idNum : Date.now() + Math.random();
+    const tx = { id, date, type, amount, category: get('category'), note: text('note') };
+    if (get('account')) tx.accountId = get('account');
+    if (type === 'transfer') {
+      if (!get('toAccount')) { reject("העברה ללא חשבון יעד"); continue; }
+      tx.toAccountId = get('toAccount');
+    }
+    // Foreign currency: with an original-amount column the amount column is already in shekels; without one the
+    // amount is in the foreign currency and is converted at import time (needsFx)
+    const cur = normalizeCurrency(get('currency'));
+    if (cur && cur !== BASE_CURRENCY) {
+      const original = Math.abs(parseAmount(get('originalAmount')));
+      tx.currency = cur;
+      if (Number.isFinite(original) && original) tx.originalAmount = original;
+      else { tx.originalAmount = amount; tx.needsFx = true; }
+    }
+    if (get('splitOf')) { tx.splitOf = get('splitOf'); tx.splitNote = text('splitNote'); }
+    out.push(tx);
+  }
+  return { rows: joinSplitRows(out), rejected, error: "" };
+}
 
-    if (!date || !type || !amount) continue;
-    out.push({ id, date, type, amount, category, note });
+// Rows sharing a split_of id become one transaction whose lines are the rows
+function joinSplitRows(rows) {
+  const out = [], parents = new Map();
+  for (const r of rows) {
+    if (!r.splitOf) { out.push(r); continue; }
+    const { splitOf, splitNote, ...t } = r;
+    const line = { category: t.category, amount: t.amount, note: splitNote || "" };
+    const parent = parents.get(splitOf);
+    if (parent) { parent.splits.push(line); parent.amount = Math.round((parent.amount + t.amount) * 100) / 100; }
+    else { const p = { ...t, category: SPLIT_CATEGORY, splits: [line] }; parents.set(splitOf, p); out.push(p); }
   }
   return out;
 }
 
-// ---------- Core App ----------
-export default function App() {
-  return (
-    <div dir="rtl" className="min-h-screen bg-gradient-to-b from-teal-50 to-emerald-50 text-teal-900">
-      <BrowserRouter>
-        <Shell />
-      </BrowserRouter>
-    </div>
-  );
+// ---------- Import Review (Pure) ----------
+let lastTxId = 0;
+// Unique numeric transaction id; Date.now() alone collides when many rows are created in the same millisecond
+export function newTxId() { lastTxId = Math.max(Date.now(), lastTxId + 1); return lastTxId; }
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) { const g = s.slice(i, i + 2); out.set(g, (out.get(g) || 0) + 1); }
+  return out;
 }
+function normNote(s) { return String(s ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim(); }
 
-function Shell() {
-  const [transactions, setTransactions] = useLocalState("pf_tx", SAMPLE_TX);
-  const [budgets, setBudgets] = useLocalState("pf_budgets", DEFAULT_BUDGETS);
-  const [goals, setGoals] = useLocalState("pf_goals", DEFAULT_GOALS);
-  const [expectedIncome, setExpectedIncome] = useLocalState("pf_expected_income", 0);
+// Dice coefficient over character bigrams, 0..1 (case and punctuation ignored)
+export function noteSimilarity(a, b) {
+  const x = normNote(a), y = normNote(b);
+  if (x === y) return 1;
+  const A = bigrams(x), B = bigrams(y);
+  let inter = 0;
+  for (const [g, n] of A) inter += Math.min(n, B.get(g) || 0);
+  return (2 * inter) / ((x.length - 1 || 1) + (y.length - 1 || 1));
+}
 
-  // computed history by months (last 12 months)
-  const months = useMemo(() => {
-    const now = new Date();
-    const arr = [];
-    for (let i = 11; i >= 0; i--) {
-      const d = new Date(now); d.setMonth(d.getMonth() - i); arr.push(d.toISOString().slice(0,7));
-    }
-    return arr;
-  }, []);
+// For each incoming row, the existing transaction it likely duplicates (same type and amount, date within
+// `days`, similar note or no note on either side), or null.
+export function findDuplicates(rows, existing, { days = 1, minSimilarity = 0.6 } = {}) {
+  const byAmount = new Map();
+  for (const t of existing || []) {
+    const k = `${t.type}:${t.amount}`;
+    if (!byAmount.has(k)) byAmount.set(k, []);
+    byAmount.get(k).push(t);
+  }
+  return rows.map(r => (byAmount.get(`${r.type}:${r.amount}`) || []).find(t =>
+    Math.abs(Date.parse(t.date) - Date.parse(r.date)) <= days * 86400000 &&
+    (!t.note || !r.note || noteSimilarity(t.note, r.note) >= minSimilarity)) || null);
+}
 
-  const monthlyAgg = useMemo(() => (
-    months.map((m) => {
-      const list = transactions.filter((t) => ym(t.date) === m);
-      const income = list.filter(t=>t.type==='income').reduce((a,b)=>a+b.amount,0);
-      const expense = list.filter(t=>t.type==='expense').reduce((a,b)=>a+b.amount,0);
-      return { month: m, income, expense, net: income-expense };
-    })
-  ), [transactions, months]);
+// ---------- Categorization Rules (Pure) ----------
+// Rule: { id, match: 'contains' | 'regex', pattern, type: '' | 'income' | 'expense', minAmount, maxAmount, category }.
+// Rules are ordered; the first match wins. Empty pattern/bounds mean "any"; an empty type means expense, income rules must say so.
+export const RULE_CATEGORIES = [...CATEGORIES, "הכנסה"];
 
-  const ctx = {
-    transactions, setTransactions,
-    budgets, setBudgets,
-    goals, setGoals,
-    months, monthlyAgg,
-    expectedIncome, setExpectedIncome,
-  };
+export function ruleMatches(rule, tx) {
+  if (tx.type === 'transfer' || tx.splits?.length) return false;
+  if ((rule.type || 'expense') !== tx.type) return false;
+  const amount = Number(tx.amount) || 0;
+  if (rule.minAmount !== '' && rule.minAmount != null && amount < Number(rule.minAmount)) return false;
+  if (rule.maxAmount !== '' && rule.maxAmount != null && amount > Number(rule.maxAmount)) return false;
+  if (!rule.pattern) return true;
+  const note = String(tx.note || '');
+  if (rule.match === 'regex') { try { return new RegExp(rule.pattern, 'i').test(note); } catch { return false; } }
+  return note.toLowerCase().includes(String(rule.pattern).toLowerCase());
+}
 
+// Category assigned by the first matching rule, or ''
+export function categorize(tx, rules) {
+  return (rules || []).find(r => ruleMatches(r, tx))?.category || '';
+}
 
-  return (
-    <div className="max-w-7xl mx-auto p-6">
-      <Header ctx={ctx} />
-      <nav className="mt-4 mb-6 flex flex-wrap gap-2">
-        {[
-          ["/", "לוח מחוונים"],
-          ["/transactions", "תנועות"],
-          ["/budgets", "תקציבים"],
-          ["/goals", "יעדים"],
-          ["/import-export", "ייבוא/ייצוא"],
-          ["/tests", "בדיקות"],
-          ["/settings", "הגדרות"],
-        ].map(([to,label]) => (
-          <NavLink key={to} to={to} end className={({isActive}) => `px-4 py-2 rounded-xl border shadow-sm bg-white hover:shadow ${isActive?"ring-2 ring-teal-400":""}`}>
-            {label}
-          </NavLink>
-        ))}
-      </nav>
+// Fill in categories the rules know about; rows that already carry an app category are left alone
+export function applyCategoryRules(rows, rules, known = RULE_CATEGORIES) {
+  return rows.map(t => {
+    if (known.includes(t.category)) return t;
+    const category = categorize(t, rules);
+    return category ? { ...t, category } : t;
+  });
+}
 
-      <Routes>
-        <Route path="/" element={<Dashboard ctx={ctx} />} />
-        <Route path="/transactions" element={<TransactionsPage ctx={ctx} />} />
-        <Route path="/budgets" element={<BudgetsPage ctx={ctx} />} />
-        <Route path="/goals" element={<GoalsPage ctx={ctx} />} />
-        <Route path="/import-export" element={<ImportExportPage ctx={ctx} />} />
-        <Route path="/tests" element={<TestsPage ctx={ctx} />} />
-        <Route path="/settings" element={<SettingsPage ctx={ctx} />} />
-      </Routes>
+// What re-running the rules over history would change: [{ tx, to }]
+export function previewRecategorize(transactions, rules) {
+  const out = [];
+  for (const tx of transactions || []) {
+    const to = categorize(tx, rules);
+    if (to && to !== tx.category) out.push({ tx, to });
+  }
+  return out;
+}
 
-      <footer className="text-center text-xs text-teal-700 pt-8 pb-6">
-        גרסת אפליקציה (MVP). בהמשך: משתמשים והרשאות, ייבוא אוטומטי מהבנק, סיכומי וואטסאפ/מייל.
-      </footer>
-    </div>
-  );
+// ---------- Categories (Pure) ----------
+// Transactions, split lines, budgets, rules and recurring rules refer to categories by name; the taxonomy store
+// (`pf_categories`) adds hierarchy, color and icon. One level of subcategories.
+export function categoryNames(categories) {
+  const top = categories.filter(c => !c.parentId);
+  return top.flatMap(p => [p.name, ...categories.filter(c => c.parentId === p.id).map(c => c.name)]);
 }
 
-// ---------- Header ----------
-function Header({ ctx }) {
-  const nowYm = new Date().toISOString().slice(0,7);
-  const list = ctx.transactions.filter(t => ym(t.date)===nowYm);
-  const income = list.filter(t=>t.type==='income').reduce((a,b)=>a+b.amount,0);
-  const expense = list.filter(t=>t.type==='expense').reduce((a,b)=>a+b.amount,0);
-  const net = income - expense;
-  return (
-    <header className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between">
-      <div>
-        <h1 className="text-3xl font-bold">ניהול פיננסי אישי — אפליקציה</h1>
-        <p className="text-teal-700">פשוט, ברור, עובד. עם גרפים, ייבוא/ייצוא ויעדים.</p>
-      </div>
-      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-        <KPI title="הכנסות החודש (בפועל)" value={currency(income)} />
-        <EditableIncomeKPI ctx={ctx} />
-        <KPI title="הוצאות החודש" value={currency(expense)} />
-        <KPI title="תזרים נטו" value={currency(net)} tone={net>=0?"ok":"bad"} />
-      </div>
-    </header>
-  );
+export function categoryInfo(categories, name) {
+  return categories.find(c => c.name === name) || null;
 }
-function EditableIncomeKPI({ ctx }){
-  const [editing, setEditing] = useState(false);
-  const [val, setVal] = useState(String(ctx.expectedIncome||""));
-  useEffect(()=>{ setVal(String(ctx.expectedIncome||"")); }, [ctx.expectedIncome]);
-  function save(){ const n = Number(val); if(!Number.isFinite(n)||n<0) return; ctx.setExpectedIncome(n); setEditing(false); }
-  return (
-    <div className={`bg-white rounded-2xl shadow p-4 ring-1 ring-teal-100`}>
-      <div className="flex items-center justify-between">
-        <div className="text-sm text-teal-700">הכנסה חודשית צפויה</div>
-        {!editing && (
-          <button className="text-xs text-teal-700 hover:underline" onClick={()=>setEditing(true)}>ערוך</button>
-        )}
-      </div>
-      {!editing ? (
-        <div className="text-2xl font-bold">{currency(ctx.expectedIncome||0)}</div>
-      ) : (
-        <div className="flex items-center gap-2 mt-1">
-          <input type="number" className="border rounded-lg px-2 py-1 w-28 text-right" value={val} onChange={e=>setVal(e.target.value)} />
-          <button onClick={save} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">שמור</button>
-          <button onClick={()=>setEditing(false)} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
-        </div>
-      )}
-      <div className="text-xs text-teal-700 mt-1">השוואה: {currency((ctx.expectedIncome||0) - (listIncomeThisMonth(ctx) || 0))} מפריד מול בפועל</div>
-    </div>
-  );
+
+// child name -> parent name
+export function categoryParents(categories) {
+  const byId = new Map(categories.map(c => [c.id, c]));
+  return new Map(categories.filter(c => c.parentId && byId.has(c.parentId)).map(c => [c.name, byId.get(c.parentId).name]));
 }
-function listIncomeThisMonth(ctx){
-  const nowYm = new Date().toISOString().slice(0,7);
-  return ctx.transactions.filter(t=>t.type==='income' && ym(t.date)===nowYm).reduce((a,b)=>a+b.amount,0);
+
+export function categoryColor(categories, name, i = 0) {
+  return categoryInfo(categories, name)?.color || COLORS[i % COLORS.length];
 }
-function KPI({ title, value, tone }) {
-  const ring = tone === "ok" ? "ring-emerald-200" : tone === "bad" ? "ring-red-200" : "ring-teal-100";
+
+// Where a category is used: { transactions, recurring, rules }
+export function categoryUsage({ transactions, recurring, catRules }, name) {
+  return {
+    transactions: transactions.filter(t => t.category === name || t.splits?.some(l => l.category === name)).length,
+    recurring: recurring.filter(r => r.category === name).length,
+    rules: catRules.filter(r => r.category === name).length,
+  };
+}
+
+// Sum two version lists month by month (used when merging budgets)
+function sumBudgetVersions(a = [], b = []) {
+  const months = [...new Set([...a, ...b].map(v => v.from))].sort();
+  return months.map(from => ({ from, amount: (budgetFor({ a }, "a", from) || 0) + (budgetFor({ b }, "b", from) || 0) }));
+}
+
+// Saved views filtered on category `from` now filter on `to` ('' drops the category from the view)
+function retargetSavedFilters(savedFilters = [], from, to) {
+  if (!savedFilters.some(v => new URLSearchParams(v.query).get("cat") === from)) return savedFilters;
+  return savedFilters.map(v => {
+    const f = filterFromQuery(new URLSearchParams(v.query), "");
+    return f.cat === from ? { ...v, query: filterToQuery({ ...f, cat: to }) } : v;
+  });
+}
+
+// Rename `from` to `to` in every store. When `to` already exists this is a merge: budgets are summed, rollover
+// and subcategories move over and `from` disappears. Returns the stores that changed.
+export function renameCategory(stores, from, to) {
+  const { transactions, budgetVersions, rollover, catRules, recurring, categories, savedFilters, budgetOwners = {} } = stores;
+  const source = categoryInfo(categories, from), target = categoryInfo(categories, to);
+  if (!source || !to || from === to || RESERVED_CATEGORIES.includes(to)) return {};
+  const swap = (c) => c === from ? to : c;
+  const out = {
+    transactions: transactions.map(t => t.category === from || t.splits?.some(l => l.category === from)
+      ? { ...t, category: swap(t.category), ...(t.splits ? { splits: t.splits.map(l => ({ ...l, category: swap(l.category) })) } : {}) } : t),
+    catRules: catRules.map(r => r.category === from ? { ...r, category: to } : r),
+    recurring: recurring.map(r => r.category === from ? { ...r, category: to } : r),
+    savedFilters: retargetSavedFilters(savedFilters, from, to),
+  };
+  const { [from]: versions, ...restBudgets } = budgetVersions;
+  out.budgetVersions = versions ? { ...restBudgets, [to]: target ? sumBudgetVersions(budgetVersions[to], versions) : versions } : budgetVersions;
+  const { [from]: since, ...restRollover } = rollover;
+  out.rollover = since && !rollover[to] ? { ...restRollover, [to]: since } : since ? restRollover : rollover;
+  const { [from]: owner, ...restOwners } = budgetOwners;
+  out.budgetOwners = owner && !target ? { ...restOwners, [to]: owner } : owner ? restOwners : budgetOwners;
+  out.categories = target
+    ? categories.filter(c => c.id !== source.id).map(c => c.parentId === source.id ? { ...c, parentId: target.parentId ? "" : target.id } : c)
+    : categories.map(c => c.id === source.id ? { ...c, name: to } : c);
+  return out;
+}
+
+// Delete a category; anything that uses it moves to `reassignTo` first (required when used)
+export function deleteCategory(stores, name, reassignTo = "") {
+  const info = categoryInfo(stores.categories, name);
+  if (!info) return {};
+  if (stores.categories.some(c => c.parentId === info.id)) throw new Error("יש לקטגוריה תתי-קטגוריות. העבר או מחק אותן קודם.");
+  const used = categoryUsage(stores, name);
+  if (used.transactions + used.recurring + used.rules > 0) {
+    if (!reassignTo || reassignTo === name || !categoryInfo(stores.categories, reassignTo)) throw new Error("בחר קטגוריה שאליה יועברו התנועות");
+    return renameCategory(stores, name, reassignTo);
+  }
+  const { [name]: _v, ...budgetVersions } = stores.budgetVersions;
+  const { [name]: _r, ...rollover } = stores.rollover;
+  const { [name]: _o, ...budgetOwners } = stores.budgetOwners || {};
+  return { categories: stores.categories.filter(c => c.id !== info.id), budgetVersions, rollover, budgetOwners, savedFilters: retargetSavedFilters(stores.savedFilters, name, "") };
+}
+
+// ---------- Splits (Pure) ----------
+// A transaction may carry splits: [{ category, amount, note }] (shekels) summing to its amount; its own category is then SPLIT_CATEGORY.
+// Everything that aggregates by category goes through categoryLines (aggregate.js).
+
+// Expense totals per category (split lines counted in their own categories)
+export function expenseByCategory(transactions) {
+  const out = {};
+  for (const t of transactions || []) {
+    if (t.type !== 'expense') continue;
+    for (const l of categoryLines(t)) out[l.category] = (out[l.category] || 0) + l.amount;
+  }
+  return out;
+}
+
+// '' when the lines are valid for a parent amount, otherwise the reason
+export function validateSplits(total, lines) {
+  if (lines.length < 2) return "פיצול דורש לפחות שתי שורות";
+  if (lines.some(l => !(Number(l.amount) > 0))) return "לכל שורה נדרש סכום חיובי";
+  const sum = lines.reduce((a, l) => a + Number(l.amount), 0);
+  if (Math.abs(sum - total) > 0.005) return `סכום השורות (${Math.round(sum * 100) / 100}) שונה מסכום התנועה (${total})`;
+  return "";
+}
+
+// ---------- Financial Month (Pure) ----------
+// A financial month starts on `startDay` (1-28, e.g. payday) and is labelled by the calendar month it starts in:
+// with startDay 10, '2025-03' runs from 2025-03-10 to 2025-04-09. startDay 1 is the calendar month.
+// Dates are local 'YYYY-MM-DD' strings, so bucketing never depends on the UTC offset.
+// periodOf and clampStartDay are in aggregate.js, which buckets transactions with them.
+
+export function periodRange(month, startDay = 1) {
+  const s = clampStartDay(startDay);
+  if (s === 1) return monthRange(month);
+  return { from: `${month}-${String(s).padStart(2, "0")}`, to: `${addMonths(month, 1)}-${String(s - 1).padStart(2, "0")}` };
+}
+
+export function currentPeriod(startDay = 1, today = todayISO()) { return periodOf(today, startDay); }
+
+// The `count` financial months ending with the current one, oldest first
+export function recentPeriods(count, startDay = 1, today = todayISO()) {
+  const now = currentPeriod(startDay, today);
+  return Array.from({ length: count }, (_, i) => addMonths(now, i - count + 1));
+}
+
+// The financial month a { from, to } filter covers exactly, else ''
+export function periodOfRange({ from, to }, startDay = 1) {
+  if (!from || !to) return "";
+  const m = periodOf(from, startDay), r = periodRange(m, startDay);
+  return r.from === from && r.to === to ? m : "";
+}
+
+// ---------- Transaction Filters (Pure) ----------
+// A filter is { q, cat, type, min, max, from, to, dow, sort, dir } of strings, kept in the URL query so views can be bookmarked.
+// dow is a weekday, 0 (Sunday) to 6; ids is a comma-separated list of transaction ids (links from insights and reports);
+// member is a household member id, or SHARED_FILTER for shared expenses.
+export const TX_FILTER_KEYS = ["q", "cat", "type", "min", "max", "from", "to", "dow", "ids", "member", "sort", "dir"];
+export const SHARED_FILTER = "shared";
+export const TX_SORTS = { date: "תאריך", amount: "סכום", category: "קטגוריה", note: "הערה", type: "סוג" };
+
+export function monthRange(month) {
+  const [y, m] = month.split("-").map(Number);
+  return { from: `${month}-01`, to: `${month}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, "0")}` };
+}
+
+// Without any filter in the query the view defaults to the financial month `defaultMonth`, as before
+export function filterFromQuery(params, defaultMonth, startDay = 1) {
+  const f = Object.fromEntries(TX_FILTER_KEYS.map(k => [k, params.get(k) || ""]));
+  if (!TX_FILTER_KEYS.some(k => params.has(k))) Object.assign(f, periodRange(defaultMonth, startDay));
+  return f;
+}
+
+export function filterToQuery(f) {
+  const params = new URLSearchParams();
+  for (const k of TX_FILTER_KEYS) if (f[k]) params.set(k, f[k]);
+  // an empty query would reset to the default month, so "everything" is stated explicitly
+  if (![...params.keys()].length) params.set("from", "");
+  return params.toString();
+}
+
+// Free text matches the note, category and split lines (case-insensitive); category matches split lines too
+export function matchesFilter(t, f) {
+  if (f.type && t.type !== f.type) return false;
+  if (f.from && t.date < f.from) return false;
+  if (f.to && t.date > f.to) return false;
+  if (f.dow !== "" && f.dow != null && weekdayOf(t.date) !== Number(f.dow)) return false;
+  if (f.ids && !f.ids.split(",").includes(String(t.id))) return false;
+  if (f.member && (f.member === SHARED_FILTER ? !t.shared : txMember(t) !== f.member)) return false;
+  if (f.min !== "" && f.min != null && t.amount < Number(f.min)) return false;
+  if (f.max !== "" && f.max != null && t.amount > Number(f.max)) return false;
+  if (f.cat && t.category !== f.cat && !categoryLines(t).some(l => l.category === f.cat)) return false;
+  const q = (f.q || "").trim().toLowerCase();
+  if (q && ![t.note, t.category, ...categoryLines(t).flatMap(l => [l.note, l.category])].some(v => String(v || "").toLowerCase().includes(q))) return false;
+  return true;
+}
+
+export function sortTransactions(list, sort = "date", dir = "desc") {
+  const key = TX_SORTS[sort] ? sort : "date", sign = dir === "asc" ? 1 : -1;
+  const val = (t) => key === "amount" ? t.amount : String(t[key] || "");
+  return [...list].sort((a, b) => {
+    const x = val(a), y = val(b);
+    return (typeof x === "number" ? x - y : x.localeCompare(y, "he")) * sign || (a.date < b.date ? 1 : a.date > b.date ? -1 : 0);
+  });
+}
+
+// Totals for a filtered list; with a category filter only the matching split lines count as expense
+export function filterTotals(list, f) {
+  const income = list.filter(t => t.type === 'income').reduce((a, b) => a + b.amount, 0);
+  const expense = list.filter(t => t.type === 'expense').reduce((a, t) => a + (f.cat ? categoryLines(t).filter(l => l.category === f.cat || t.category === f.cat).reduce((s, l) => s + l.amount, 0) : t.amount), 0);
+  return { income, expense, net: income - expense, count: list.length };
+}
+
+// ---------- Bulk Edit (Pure) ----------
+export const BULK_ACTIONS = { category: "שנה קטגוריה", type: "שנה סוג", note: "הוסף להערה", date: "שנה תאריך", delete: "מחק" };
+
+// Apply one bulk action { kind, value } to the transactions with the given ids.
+// Category applies to expenses only (a split collapses into the new category); type switches between income and expense.
+// Returns the new list and the affected originals (`before`) for undo.
+export function bulkEdit(transactions, ids, { kind, value = "" }) {
+  const sel = new Set(ids), before = [], out = [];
+  for (const t of transactions) {
+    if (!sel.has(t.id)) { out.push(t); continue; }
+    let next = t;
+    if (kind === 'delete') next = null;
+    else if (kind === 'category' && t.type === 'expense' && value) { const { splits, ...rest } = t; next = { ...rest, category: value }; }
+    else if (kind === 'type' && t.type !== 'transfer' && (value === 'income' || value === 'expense') && t.type !== value) { const { splits, ...rest } = t; next = { ...rest, type: value, category: value === 'income' ? 'הכנסה' : 'אחר' }; }
+    else if (kind === 'note' && value.trim()) next = { ...t, note: [t.note, value.trim()].filter(Boolean).join(" ") };
+    else if (kind === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) next = { ...t, date: value };
+    if (next !== t) before.push(t);
+    if (next) out.push(next);
+  }
+  return { transactions: out, before };
+}
+
+// Put the originals back: edited rows are replaced in place, deleted ones re-added
+export function restoreTransactions(transactions, before) {
+  const byId = new Map(before.map(t => [t.id, t]));
+  const out = transactions.map(t => byId.get(t.id) || t);
+  const have = new Set(out.map(t => t.id));
+  return [...before.filter(t => !have.has(t.id)), ...out];
+}
+
+export function bulkSummary(list) {
+  return `${list.length} תנועות, ${currency(list.reduce((a, t) => a + t.amount, 0))} סה״כ`;
+}
+
+// ---------- Budgets (Pure) ----------
+// Budgets are versioned per category: { [cat]: [{ from: 'YYYY-MM', amount }] }, ascending by `from`. A version
+// applies from its month until the next one, so editing October never rewrites September.
+// Rollover: { [cat]: 'YYYY-MM' } = month rollover was turned on; unspent/overspent amounts carry from then on.
+export const BUDGET_EPOCH = "2000-01";
+
+export function budgetVersionsFromMap(map, from = BUDGET_EPOCH) {
+  return Object.fromEntries(Object.entries(map || {}).map(([cat, amount]) => [cat, [{ from, amount: Number(amount) || 0 }]]));
+}
+
+// Limit for a category in a month (undefined when no version applies yet)
+export function budgetFor(versions, cat, month) {
+  let amount;
+  for (const v of versions?.[cat] || []) if (v.from <= month) amount = v.amount;
+  return amount;
+}
+
+export function budgetsForMonth(versions, month) {
+  const out = {};
+  for (const cat of Object.keys(versions || {})) { const a = budgetFor(versions, cat, month); if (a !== undefined) out[cat] = a; }
+  return out;
+}
+
+// Set a category's budget from `month` on (later versions stay in force from their own months)
+export function setBudgetFrom(versions, cat, month, amount) {
+  const list = (versions?.[cat] || []).filter(v => v.from !== month);
+  list.push({ from: month, amount: Number(amount) || 0 });
+  list.sort((a, b) => a.from < b.from ? -1 : 1);
+  return { ...versions, [cat]: list };
+}
+
+// Set a category's budget for `month` alone: the month after gets a version holding what applied there before
+export function setBudgetIn(versions, cat, month, amount) {
+  const next = addMonths(month, 1);
+  const after = budgetFor(versions, cat, next);
+  const out = setBudgetFrom(versions, cat, month, amount);
+  return after === undefined || out[cat].some(v => v.from === next) ? out : setBudgetFrom(out, cat, next, after);
+}
+
+// Expense per 'YYYY-MM|category' (financial months; split lines in their own categories). With `parents` (child -> parent name)
+// subcategory spending also counts toward the parent, so a parent budget covers its children.
+export function categorySpendIndex(transactions, parents, startDay = 1) {
+  return spendIndexFromAggregates(aggregateTransactions(transactions || [], startDay), parents);
+}
+
+// { limit, carried, available, spent } for a category in a month
+export function budgetStatus(versions, rollover, spendIdx, cat, month) {
+  const spentIn = (m) => spendIdx.get(`${m}|${cat}`) || 0;
+  const limit = budgetFor(versions, cat, month) || 0;
+  let carried = 0;
+  const start = rollover?.[cat];
+  if (start) for (let m = start; m < month; m = addMonths(m, 1)) carried += (budgetFor(versions, cat, m) || 0) - spentIn(m);
+  return { limit, carried, available: limit + carried, spent: spentIn(month) };
+}
+
+// ---------- Goals (Pure) ----------
+// Goal ledger entries: manual { id, goalId, date, amount, note } (amount < 0 is a withdrawal) or linked
+// { id, goalId, txId, kind: 'contribution' | 'withdrawal' } whose amount and date come from the transaction.
+export function monthsBetween(fromYm, toYm) {
+  const [ay, am] = fromYm.split("-").map(Number), [by, bm] = toYm.split("-").map(Number);
+  return (by - ay) * 12 + (bm - am);
+}
+
+// Resolve entries of one goal to { entry, date, amount } (signed), dropping links to deleted transactions
+export function goalLedger(goalId, entries, txById) {
+  const out = [];
+  for (const e of entries || []) {
+    if (e.goalId !== goalId) continue;
+    if (e.txId === undefined) { out.push({ entry: e, date: e.date, amount: Number(e.amount) || 0 }); continue; }
+    const t = txById.get(e.txId);
+    if (t) out.push({ entry: e, date: t.date, amount: e.kind === 'withdrawal' ? -t.amount : t.amount });
+  }
+  return out.sort((a, b) => a.date < b.date ? 1 : a.date > b.date ? -1 : 0);
+}
+
+// Saved amount, percent, projected completion month (at the actual pace since startYm) and on-track flag
+export function goalProgress(goal, ledger, nowYm) {
+  const saved = ledger.reduce((a, l) => a + l.amount, 0);
+  const target = Number(goal.target) || 0;
+  const elapsed = Math.max(1, monthsBetween(goal.startYm || nowYm, nowYm) + 1);
+  const pace = saved / elapsed;
+  const remaining = Math.max(0, target - saved);
+  const completed = target > 0 && saved >= target;
+  const projectedYm = completed ? nowYm : pace > 0 ? addMonths(nowYm, Math.ceil(remaining / pace)) : null;
+  const expected = Math.min(target, (Number(goal.monthly) || 0) * elapsed);
+  return { saved, pct: target ? Math.min(100, Math.round((saved / target) * 100)) : 0, pace, projectedYm, expected, onTrack: saved >= expected, completed };
+}
+
+// ---------- Household (Pure) ----------
+// Members: { id, name, color, share }. Every transaction belongs to a member (memberId: who paid or earned it); an
+// expense marked `shared` is the household's and is divided between the members by their share weights.
+// Settlements { id, date, from, to, amount } record that `from` paid `to` back.
+export function txMember(t) { return t.memberId || DEFAULT_MEMBER_ID; }
+
+// member id -> fraction of each shared expense (weights default to 1)
+export function memberShares(members) {
+  const w = members.map(m => Math.max(0, Number(m.share ?? 1) || 0)), total = w.reduce((a, b) => a + b, 0);
+  return new Map(members.map((m, i) => [m.id, total ? w[i] / total : 1 / members.length]));
+}
+
+// What a member answers for: their own rows plus their part of every shared expense (scaled copies, split lines
+// included). Personal budgets and the per-member KPIs are computed over this.
+export function memberView(transactions, memberId, shares) {
+  const share = shares.get(memberId) || 0, out = [];
+  for (const t of transactions) {
+    if (t.type === 'expense' && t.shared) {
+      if (share === 1) out.push(t);
+      else if (share) out.push({ ...t, amount: t.amount * share, ...(t.splits ? { splits: t.splits.map(l => ({ ...l, amount: l.amount * share })) } : {}) });
+    } else if (txMember(t) === memberId) out.push(t);
+  }
+  return out;
+}
+
+const cents = (n) => Math.round(n * 100) / 100;
+
+// Per member in a date range: { id, income, expense, net, paidShared } (expense includes their part of shared expenses)
+export function memberTotals(transactions, members, range = {}) {
+  const list = transactions.filter(t => inRange(t, range)), shares = memberShares(members);
+  const sum = (rows, type) => rows.reduce((a, t) => a + (t.type === type ? t.amount : 0), 0);
+  return members.map(m => {
+    const view = memberView(list, m.id, shares), income = sum(view, 'income'), expense = sum(view, 'expense');
+    const paidShared = sum(list.filter(t => t.shared && txMember(t) === m.id), 'expense');
+    return { id: m.id, income: cents(income), expense: cents(expense), net: cents(income - expense), paidShared: cents(paidShared) };
+  });
+}
+
+// Running balance per member from shared expenses and settlements: positive means the others owe them. Sums to 0.
+export function householdBalances(transactions, members, settlements = []) {
+  const shares = memberShares(members), bal = new Map(members.map(m => [m.id, 0]));
+  const add = (id, v) => { if (bal.has(id)) bal.set(id, bal.get(id) + v); };
+  for (const t of transactions) {
+    if (t.type !== 'expense' || !t.shared) continue;
+    add(txMember(t), t.amount);
+    for (const [id, s] of shares) add(id, -t.amount * s);
+  }
+  for (const s of settlements) { add(s.from, s.amount); add(s.to, -s.amount); }
+  return new Map([...bal].map(([id, v]) => [id, cents(v)]));
+}
+
+// Who pays whom to even out the balances: the largest debt goes to the largest credit until nothing is left
+export function settleUp(balances) {
+  const debtors = [...balances].filter(([, v]) => v <= -0.01).map(([id, v]) => [id, -v]).sort((a, b) => b[1] - a[1]);
+  const creditors = [...balances].filter(([, v]) => v >= 0.01).map(([id, v]) => [id, v]).sort((a, b) => b[1] - a[1]);
+  const out = [];
+  for (let i = 0, j = 0; i < debtors.length && j < creditors.length;) {
+    const amount = Math.min(debtors[i][1], creditors[j][1]);
+    out.push({ from: debtors[i][0], to: creditors[j][0], amount: cents(amount) });
+    debtors[i][1] -= amount; creditors[j][1] -= amount;
+    if (debtors[i][1] < 0.01) i++;
+    if (creditors[j][1] < 0.01) j++;
+  }
+  return out;
+}
+
+// Remove a member: their transactions, recurring rules, goals and budgets move to `reassignTo`, settlements with them
+// are re-addressed (and dropped when that makes them self-payments). Returns the stores that changed.
+export function removeMember(stores, id, reassignTo) {
+  const { members, transactions, recurring, goals, budgetOwners, settlements } = stores;
+  if (id === DEFAULT_MEMBER_ID || !members.some(m => m.id === id)) return {};
+  if (!reassignTo || reassignTo === id || !members.some(m => m.id === reassignTo)) throw new Error("בחר בן משק בית שאליו יועברו התנועות");
+  const move = (x) => txMember(x) === id ? { ...x, memberId: reassignTo } : x;
+  const swap = (m) => m === id ? reassignTo : m;
+  return {
+    members: members.filter(m => m.id !== id),
+    transactions: transactions.map(move),
+    recurring: recurring.map(move),
+    goals: goals.map(g => g.memberId === id ? { ...g, memberId: reassignTo } : g),
+    budgetOwners: Object.fromEntries(Object.entries(budgetOwners).map(([cat, m]) => [cat, swap(m)])),
+    settlements: settlements.filter(s => swap(s.from) !== swap(s.to)).map(s => s.from === id || s.to === id ? { ...s, from: swap(s.from), to: swap(s.to) } : s),
+  };
+}
+
+// ---------- Accounts (Pure) ----------
+// txAccount and accountDeltas (the signed effect of a transaction on each account) are in aggregate.js
+
+// Opening balance in shekels. An account kept in a foreign currency converts at the latest known rate; null when none is known.
+export function openingBalance(account, rates) {
+  const rate = rateFor(rates, account.currency, "9999-12-31");
+  return rate == null ? null : Math.round((Number(account.openingBalance) || 0) * rate * 100) / 100;
+}
+function openingBalances(accounts, rates) {
+  return Object.fromEntries((accounts || []).map(a => [a.id, openingBalance(a, rates) ?? 0]));
+}
+
+// Balances per account (opening balance + movements), optionally up to and including a date
+export function accountBalances(accounts, transactions, untilDate, rates) {
+  const out = openingBalances(accounts, rates);
+  for (const t of transactions || []) {
+    if (untilDate && t.date > untilDate) continue;
+    for (const [id, d] of accountDeltas(t)) if (id in out) out[id] += d;
+  }
+  return out;
+}
+
+// Month-end balance per account plus net worth, for each (financial) month in `months` ('YYYY-MM')
+export function balanceHistory(accounts, transactions, months, startDay = 1, rates) {
+  return aggregateBalances(accounts, aggregateTransactions(transactions || [], startDay), months, rates);
+}
+
+// ---------- Currencies (Pure) ----------
+// Rates are shekels per unit of foreign currency: [{ currency, date, rate }]. A transaction in a foreign currency
+// keeps { currency, originalAmount, fxRate } and its `amount` is the converted shekel value used by every aggregate.
+export function normalizeCurrency(raw) {
+  const t = String(raw ?? '').trim().toUpperCase();
+  if (!t) return '';
+  if (['₪', 'ש"ח', 'ש״ח', 'שח', 'NIS', 'שקל'].includes(t)) return 'ILS';
+  if (['$', 'US$', 'דולר'].includes(t)) return 'USD';
+  if (['€', 'יורו', 'אירו'].includes(t)) return 'EUR';
+  if (['£', 'ליש"ט', 'ליש״ט'].includes(t)) return 'GBP';
+  return /^[A-Z]{3}$/.test(t) ? t : '';
+}
+
+// Rate on a date: the latest rate on or before it, else the earliest known one. 1 for shekels, null if unknown.
+export function rateFor(rates, code, date) {
+  if (!code || code === BASE_CURRENCY) return 1;
+  let best = null, earliest = null;
+  for (const r of rates || []) {
+    if (r.currency !== code) continue;
+    if (r.date <= date && (!best || r.date > best.date)) best = r;
+    if (!earliest || r.date < earliest.date) earliest = r;
+  }
+  return (best || earliest)?.rate ?? null;
+}
+
+// Recompute the shekel amount of a foreign-currency transaction; null when no rate is known
+export function withConversion(tx, rates) {
+  if (!tx.currency || tx.currency === BASE_CURRENCY) return tx;
+  const rate = rateFor(rates, tx.currency, tx.date);
+  if (rate == null) return null;
+  const { needsFx, ...rest } = tx;
+  return { ...rest, fxRate: rate, amount: Math.round(tx.originalAmount * rate * 100) / 100 };
+}
+
+// Read a rates CSV: long form (date,currency,rate) or wide form (date,USD,EUR,...)
+export function parseRatesCSV(text) {
+  const rows = csvRows(text);
+  if (!rows.length) return [];
+  const col = resolveColumns(rows[0], { date: ["date", "תאריך"], currency: ["currency", "מטבע"], rate: ["rate", "שער", "שער יציג"] });
+  if (col.date === undefined) return [];
+  const series = col.currency !== undefined && col.rate !== undefined
+    ? null
+    : rows[0].map((h, j) => [j, normalizeCurrency(h)]).filter(([j, c]) => j !== col.date && c && c !== BASE_CURRENCY);
+  const out = [];
+  for (const r of rows.slice(1)) {
+    const date = parseDate(r[col.date]);
+    if (!date) continue;
+    const pairs = series ? series.map(([j, c]) => [c, r[j]]) : [[normalizeCurrency(r[col.currency]), r[col.rate]]];
+    for (const [code, raw] of pairs) {
+      const rate = parseAmount(raw);
+      if (code && code !== BASE_CURRENCY && rate > 0) out.push({ currency: code, date, rate });
+    }
+  }
+  return out;
+}
+
+// Merge rates; an incoming rate replaces the one for the same currency and date. Newest first.
+export function mergeRates(existing, incoming) {
+  const byKey = new Map((existing || []).map(r => [`${r.currency}:${r.date}`, r]));
+  for (const r of incoming || []) byKey.set(`${r.currency}:${r.date}`, r);
+  return [...byKey.values()].sort((a, b) => a.date < b.date ? 1 : a.date > b.date ? -1 : a.currency.localeCompare(b.currency));
+}
+
+// ---------- Recurring Rules (Pure) ----------
+export const FREQUENCIES = { daily: "יומי", weekly: "שבועי", monthly: "חודשי", yearly: "שנתי" };
+
+// Date of the n-th (0-based) occurrence of a rule. Monthly/yearly steps keep the start day, clamped to month end (31 -> 30/28).
+export function occurrenceDate(startDate, freq, n) {
+  const [y, m, d] = String(startDate).split("-").map(Number);
+  if (freq === "daily" || freq === "weekly") {
+    return new Date(Date.UTC(y, m - 1, d + n * (freq === "weekly" ? 7 : 1))).toISOString().slice(0, 10);
+  }
+  const first = new Date(Date.UTC(y, m - 1 + n * (freq === "yearly" ? 12 : 1), 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(d, lastDay));
+  return first.toISOString().slice(0, 10);
+}
+
+// Next not-yet-consumed occurrence of a rule, or '' once it passed its end date.
+export function nextOccurrence(rule) {
+  const date = occurrenceDate(rule.startDate, rule.freq, rule.count || 0);
+  return rule.endDate && date > rule.endDate ? '' : date;
+}
+
+// Collect instances due up to `today` (inclusive). Returns new transactions and rules with advanced counters.
+// Transaction ids are deterministic (`ruleId:date`) so posting twice never duplicates an instance.
+// A foreign-currency rule waits (is not advanced) while no exchange rate is known.
+export function dueRecurring(rules, today, rates) {
+  const posts = [];
+  const next = (rules || []).map((r) => {
+    if (r.paused) return r;
+    let count = r.count || 0;
+    for (let date = nextOccurrence(r); date && date <= today; date = nextOccurrence({ ...r, count })) {
+      const base = { id: `${r.id}:${date}`, date, type: r.type, amount: r.amount, category: r.type === 'income' ? 'הכנסה' : r.category, note: r.note, accountId: r.accountId || DEFAULT_ACCOUNTS[0].id, memberId: txMember(r), ...(r.shared && r.type === 'expense' ? { shared: true } : {}), recurringId: r.id };
+      const tx = r.currency && r.currency !== BASE_CURRENCY ? withConversion({ ...base, currency: r.currency, originalAmount: r.amount }, rates) : base;
+      if (!tx) break;
+      posts.push(tx);
+      count++;
+    }
+    return count === (r.count || 0) ? r : { ...r, count };
+  });
+  return { posts, rules: next };
+}
+
+// Advance a rule past occurrences dated before `today` without posting them (used on resume after a pause).
+export function skipPastOccurrences(rule, today) {
+  let count = rule.count || 0;
+  for (let date = nextOccurrence(rule); date && date < today; date = nextOccurrence({ ...rule, count })) count++;
+  return { ...rule, count };
+}
+
+// ---------- Forecast (Pure) ----------
+// Project the (financial, from `startDay`) months after `fromYm`. Each month combines:
+//  - recurring: upcoming occurrences of active rules (transfers are internal and skipped); occurrences still due in
+//    the current month are folded into the first projected month
+//  - budgets: for each budgeted category, the budget not already covered by recurring expenses in that category
+//  - trend: average non-recurring income and unbudgeted expense over the last `trendMonths` full months
+//  - goals: planned monthly contributions ({ monthly, remaining }) until each goal is funded
+// Returns [{ month, income, expense, goals, net, balance }] with balance running from `startBalance`.
+export function forecastCashflow({ transactions, recurring, goals, budgetsFor, rates, startBalance = 0, fromYm, startDay = 1, horizon = 6, trendMonths = 3 }) {
+  const months = Array.from({ length: horizon }, (_, i) => addMonths(fromYm, i + 1));
+  const last = months[months.length - 1];
+  const rec = Object.fromEntries(months.map(m => [m, { income: 0, expense: 0, byCat: {} }]));
+  for (const r of recurring || []) {
+    if (r.paused || r.type === 'transfer') continue;
+    const rate = rateFor(rates, r.currency, todayISO());
+    if (rate == null) continue;
+    for (let n = r.count || 0; ; n++) {
+      const date = occurrenceDate(r.startDate, r.freq, n);
+      const month = periodOf(date, startDay);
+      if ((r.endDate && date > r.endDate) || month > last) break;
+      const b = rec[month <= fromYm ? months[0] : month];
+      const amount = r.amount * rate;
+      if (r.type === 'income') b.income += amount;
+      else { b.expense += amount; b.byCat[r.category] = (b.byCat[r.category] || 0) + amount; }
+    }
+  }
+  const past = Array.from({ length: trendMonths }, (_, i) => addMonths(fromYm, -i - 1));
+  const budgetedNow = budgetsFor(fromYm);
+  let trendIncome = 0, trendExpense = 0;
+  for (const t of transactions) {
+    if (t.recurringId || !past.includes(periodOf(t.date, startDay))) continue;
+    if (t.type === 'income') trendIncome += t.amount;
+    else if (t.type === 'expense') for (const l of categoryLines(t)) if (!budgetedNow[l.category]) trendExpense += l.amount;
+  }
+  trendIncome /= trendMonths; trendExpense /= trendMonths;
+  const left = (goals || []).map(g => Math.max(0, Number(g.remaining) || 0));
+  let balance = startBalance;
+  return months.map((month) => {
+    const b = rec[month], budgets = budgetsFor(month);
+    const budgeted = Object.entries(budgets).reduce((a, [cat, v]) => a + Math.max(0, (Number(v) || 0) - (b.byCat[cat] || 0)), 0);
+    const goalOut = (goals || []).reduce((a, g, i) => { const c = Math.min(Number(g.monthly) || 0, left[i]); left[i] -= c; return a + c; }, 0);
+    const income = Math.round(b.income + trendIncome), expense = Math.round(b.expense + budgeted + trendExpense);
+    const net = income - expense - Math.round(goalOut);
+    balance += net;
+    return { month, income, expense, goals: Math.round(goalOut), net, balance };
+  });
+}
+
+// ---------- Reports (Pure) ----------
+// Report tables are plain rows so the same data feeds the charts and the CSV export. Ranges are { from, to } ISO dates.
+export const WEEKDAYS = ["ראשון", "שני", "שלישי", "רביעי", "חמישי", "שישי", "שבת"];
+
+export function weekdayOf(date) { return new Date(`${date}T00:00:00Z`).getUTCDay(); }
+function inRange(t, r) { return (!r.from || t.date >= r.from) && (!r.to || t.date <= r.to); }
+
+// Expense per category in `current` vs `previous`, largest current spend first; pct is null without a previous amount
+export function compareCategories(transactions, current, previous) {
+  const cur = expenseByCategory(transactions.filter(t => inRange(t, current)));
+  const prev = expenseByCategory(transactions.filter(t => inRange(t, previous)));
+  return [...new Set([...Object.keys(cur), ...Object.keys(prev)])].map(category => {
+    const c = cur[category] || 0, p = prev[category] || 0;
+    return { category, current: c, previous: p, delta: c - p, pct: p ? Math.round((c - p) / p * 100) : null };
+  }).sort((a, b) => b.current - a.current || b.previous - a.previous);
+}
+
+// Monthly expense per category from fromYm to toYm: rows [{ month, [category]: amount }] and the categories by total, largest first
+export function categoryTrend(transactions, fromYm, toYm, startDay = 1) {
+  const rows = [];
+  for (let m = fromYm; m <= toYm; m = addMonths(m, 1)) rows.push({ month: m });
+  const byMonth = new Map(rows.map(r => [r.month, r])), totals = {};
+  for (const t of transactions) {
+    const row = t.type === 'expense' && byMonth.get(periodOf(t.date, startDay));
+    if (!row) continue;
+    for (const l of categoryLines(t)) { row[l.category] = (row[l.category] || 0) + l.amount; totals[l.category] = (totals[l.category] || 0) + l.amount; }
+  }
+  return { rows, categories: Object.keys(totals).sort((a, b) => totals[b] - totals[a]) };
+}
+
+// Group by normalized note; the name is the most frequent spelling ('' for rows without a note), ids the group's rows
+function groupByNote(list) {
+  const groups = new Map();
+  for (const t of list) {
+    const key = normNote(t.note), note = String(t.note || "").trim();
+    const g = groups.get(key) || { key, total: 0, count: 0, ids: [], spellings: {} };
+    g.total += t.amount; g.count++; g.ids.push(t.id); g.spellings[note] = (g.spellings[note] || 0) + 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map(({ spellings, ...g }) => ({ ...g, name: Object.keys(spellings).sort((a, b) => spellings[b] - spellings[a])[0] }))
+    .sort((a, b) => b.total - a.total);
+}
+
+export function topMerchants(transactions, range, limit = 10) {
+  return groupByNote(transactions.filter(t => t.type === 'expense' && inRange(t, range))).slice(0, limit);
+}
+
+export function incomeSources(transactions, range) {
+  return groupByNote(transactions.filter(t => t.type === 'income' && inRange(t, range)));
+}
+
+// Average expense per weekday: the total on that weekday divided by the number of such days in the range
+export function weekdayAverages(transactions, range) {
+  const rows = WEEKDAYS.map((label, day) => ({ day, label, total: 0, days: 0, avg: 0 }));
+  const end = Date.parse(`${range.to}T00:00:00Z`);
+  for (let ms = Date.parse(`${range.from}T00:00:00Z`); ms <= end; ms += 864e5) rows[new Date(ms).getUTCDay()].days++;
+  for (const t of transactions) if (t.type === 'expense' && inRange(t, range)) rows[weekdayOf(t.date)].total += t.amount;
+  for (const r of rows) r.avg = r.days ? Math.round(r.total / r.days) : 0;
+  return rows;
+}
+
+// Link into the transactions list with the given filter keys set
+export function drillLink(f) { return `/transactions?${filterToQuery(f)}`; }
+
+// Sections of { title, columns, rows } as one CSV: title line, header and rows, a blank line between sections
+export function reportToCSV(sections, delimiter = ",") {
+  return sections.map(s => [toCSVRow([s.title], delimiter), toCSVRow(s.columns, delimiter), ...s.rows.map(r => toCSVRow(r, delimiter))].join("\n")).join("\n\n");
+}
+
+// ---------- Statement (Pure) ----------
+// The monthly statement as plain data; the printable view and the text/Markdown summaries all render it.
+// Goal progress is as of the end of the month (ledger entries after it are ignored).
+export function monthlyStatement({ month, monthlyAgg, transactions, budgetVersions, rollover, categories, goals, goalEntries, startDay = 1, top = 5 }) {
+  const row = (m) => monthlyAgg.find(r => r.month === m) || { month: m, income: 0, expense: 0, net: 0 };
+  const cur = row(month), prev = row(addMonths(month, -1));
+  const change = (k) => ({ delta: cur[k] - prev[k], pct: prev[k] ? Math.round((cur[k] - prev[k]) / Math.abs(prev[k]) * 100) : null });
+  const spendIdx = categorySpendIndex(transactions, categoryParents(categories), startDay);
+  const limits = budgetsForMonth(budgetVersions, month);
+  const budgets = [...new Set([...categoryNames(categories), ...Object.keys(limits)])].filter(cat => cat in limits).map(category => {
+    const st = budgetStatus(budgetVersions, rollover, spendIdx, category, month);
+    return { category, ...st, over: st.spent > st.available, pct: st.available > 0 ? Math.round(st.spent / st.available * 100) : null };
+  }).filter(b => b.limit || b.spent);
+  const end = periodRange(month, startDay).to, txById = new Map(transactions.map(t => [t.id, t]));
+  const goalRows = (goals || []).filter(g => !g.archived && (g.startYm || month) <= month).map(g => {
+    const ledger = goalLedger(g.id, goalEntries, txById).filter(l => l.date <= end);
+    return { name: g.name, target: Number(g.target) || 0, added: ledger.filter(l => periodOf(l.date, startDay) === month).reduce((a, l) => a + l.amount, 0), ...goalProgress(g, ledger, month) };
+  });
+  const largest = transactions.filter(t => t.type === 'expense' && periodOf(t.date, startDay) === month).sort((a, b) => b.amount - a.amount).slice(0, top);
+  const movers = compareCategories(transactions, periodRange(month, startDay), periodRange(addMonths(month, -1), startDay)).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, top);
+  return {
+    month, previous: prev.month, income: cur.income, expense: cur.expense, net: cur.net,
+    change: { income: change("income"), expense: change("expense"), net: change("net") },
+    budgets, goals: goalRows, largest, movers,
+  };
+}
+
+// Plain text (for a chat message) or Markdown summary of a statement
+export function statementSummary(st, format = "text") {
+  const md = format === "markdown";
+  const h = (t) => md ? `### ${t}` : `${t}:`;
+  const li = (t) => md ? `- ${t}` : `• ${t}`;
+  const b = (t) => md ? `**${t}**` : t;
+  const pct = (p) => p == null ? "" : ` (${p > 0 ? "+" : ""}${p}%)`;
+  const lines = [md ? `## סיכום חודשי ${st.month}` : `סיכום חודשי ${st.month}`, ""];
+  lines.push(li(`הכנסות: ${b(currency(st.income))}${pct(st.change.income.pct)}`));
+  lines.push(li(`הוצאות: ${b(currency(st.expense))}${pct(st.change.expense.pct)}`));
+  lines.push(li(`נטו: ${b(currency(st.net))} (${st.change.net.delta >= 0 ? "+" : ""}${currency(st.change.net.delta)} לעומת ${st.previous})`));
+  if (st.budgets.length) {
+    const over = st.budgets.filter(x => x.over);
+    lines.push("", h(`תקציבים (${st.budgets.length - over.length} מתוך ${st.budgets.length} בתקציב)`));
+    for (const x of st.budgets) lines.push(li(`${x.category}: ${currency(x.spent)} מתוך ${currency(x.available)}${x.over ? ` ${b("חריגה")} ${currency(x.spent - x.available)}` : ""}`));
+  }
+  if (st.goals.length) {
+    lines.push("", h("יעדים"));
+    for (const g of st.goals) lines.push(li(`${g.name}: ${currency(g.saved)} מתוך ${currency(g.target)} (${g.pct}%)${g.added ? `, הופקדו החודש ${currency(g.added)}` : ""}${g.completed ? " הושלם" : g.onTrack ? "" : " מאחורי התוכנית"}`));
+  }
+  if (st.largest.length) {
+    lines.push("", h("ההוצאות הגדולות"));
+    for (const t of st.largest) lines.push(li(`${t.date} ${t.note || t.category}: ${currency(t.amount)}`));
+  }
+  if (st.movers.length) {
+    lines.push("", h(`שינויים לעומת ${st.previous}`));
+    for (const m of st.movers) lines.push(li(`${m.category}: ${m.delta >= 0 ? "+" : ""}${currency(m.delta)}${pct(m.pct)}`));
+  }
+  return lines.join("\n");
+}
+
+// ---------- Aggregates (Pure) ----------
+// Readers of the per-month totals built by the engine in aggregate.js ({ [month]: { income, expense, count, cats, accounts } })
+export function aggregateTransactions(transactions, startDay = 1) {
+  const a = createAggregator(startDay);
+  a.add(transactions);
+  return a.snapshot();
+}
+
+export function monthTotals(aggregates, month) {
+  const m = aggregates[month];
+  return m ? { income: m.income, expense: m.expense, net: m.income - m.expense, count: m.count, cats: m.cats } : { income: 0, expense: 0, net: 0, count: 0, cats: {} };
+}
+
+// Same shape as categorySpendIndex: expense per 'YYYY-MM|category', subcategories also counted toward their parent
+export function spendIndexFromAggregates(aggregates, parents) {
+  const idx = new Map();
+  const add = (k, v) => idx.set(k, (idx.get(k) || 0) + v);
+  for (const [m, { cats }] of Object.entries(aggregates)) {
+    for (const [cat, v] of Object.entries(cats)) {
+      add(`${m}|${cat}`, v);
+      if (parents?.has(cat)) add(`${m}|${parents.get(cat)}`, v);
+    }
+  }
+  return idx;
+}
+
+// Month-end balance per account plus net worth for each month in `months`; every earlier month counts too
+export function aggregateBalances(accounts, aggregates, months, rates) {
+  const bal = openingBalances(accounts, rates);
+  const keys = Object.keys(aggregates).sort();
+  let i = 0;
+  return months.map(m => {
+    for (; i < keys.length && keys[i] <= m; i++) {
+      for (const [id, d] of Object.entries(aggregates[keys[i]].accounts)) if (id in bal) bal[id] += d;
+    }
+    return { month: m, ...bal, netWorth: Object.values(bal).reduce((a, b) => a + b, 0) };
+  });
+}
+
+// Current balance per account (opening balance + every movement)
+export function aggregateAccountBalances(accounts, aggregates, rates) {
+  const out = openingBalances(accounts, rates);
+  for (const m of Object.values(aggregates)) for (const [id, d] of Object.entries(m.accounts)) if (id in out) out[id] += d;
+  return out;
+}
+
+// Rows to render for a scroll position; the pads stand in for the rest. Rows are `rowHeight` px unless `heightOf(i)`
+// says otherwise (rows measured once rendered).
+export function virtualWindow({ count, rowHeight, scrollTop, viewport, overscan = 10, heightOf }) {
+  if (!heightOf) {
+    const start = Math.max(0, Math.min(count, Math.floor(scrollTop / rowHeight)) - overscan);
+    const end = Math.min(count, Math.ceil((scrollTop + viewport) / rowHeight) + overscan);
+    return { start, end: Math.max(start, end), padTop: start * rowHeight, padBottom: Math.max(0, count - Math.max(start, end)) * rowHeight };
+  }
+  const tops = new Float64Array(count + 1);
+  for (let i = 0; i < count; i++) tops[i + 1] = tops[i] + (heightOf(i) ?? rowHeight);
+  let first = 0, last;
+  while (first < count && tops[first + 1] <= scrollTop) first++;
+  for (last = first; last < count && tops[last] < scrollTop + viewport; last++);
+  const start = Math.max(0, first - overscan), end = Math.max(start, Math.min(count, last + overscan));
+  return { start, end, padTop: tops[start], padBottom: tops[count] - tops[end] };
+}
+
+// Deterministic synthetic history for the benchmark: `count` rows spread back from `toDate`, a few per day
+export function benchmarkTransactions(count, toDate = "2025-12-31") {
+  let seed = 42;
+  const rand = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const end = Date.parse(`${toDate}T00:00:00Z`), notes = ["שופרסל", "פז", "ארומה", "סלקום", "רב-קו", "Netflix", "IKEA", "Wolt"];
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(end - Math.floor(i / 8) * 864e5).toISOString().slice(0, 10);
+    const income = i % 60 === 0;
+    return {
+      id: i + 1, date, type: income ? "income" : "expense", amount: Math.round(rand() * (income ? 15000 : 400) * 100) / 100,
+      category: income ? "הכנסה" : CATEGORIES[Math.floor(rand() * CATEGORIES.length)], note: income ? "משכורת" : notes[Math.floor(rand() * notes.length)], accountId: DEFAULT_ACCOUNT_ID,
+    };
+  });
+}
+
+// ---------- Aggregates ----------
+// Per-month totals for the whole app, kept by the engine in aggregate.js: after a change only the rows whose object
+// changed are re-aggregated. From WORKER_MIN_ROWS rows on, the engine runs in aggregate.worker.js and only the
+// changed rows are posted to it; below that (or without workers) it runs synchronously. The first totals are always
+// computed synchronously, so the first render has numbers.
+const WORKER_MIN_ROWS = 5000;
+
+function useAggregates(transactions, startDay) {
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const inWorker = !workerFailed && typeof Worker !== "undefined" && transactions.length >= WORKER_MIN_ROWS;
+
+  const local = useRef(null);
+  const lastLocal = useRef(null);
+  const localMonths = useMemo(() => {
+    if (inWorker && lastLocal.current) { local.current = null; return null; }
+    if (!local.current) local.current = createAggregator(startDay);
+    const a = local.current;
+    if (a.startDay !== clampStartDay(startDay)) a.reset(startDay);
+    a.sync(transactions);
+    return (lastLocal.current = a.snapshot());
+  }, [transactions, startDay, inWorker]);
+
+  const [workerMonths, setWorkerMonths] = useState(null);
+  const remote = useRef(null); // { worker, sent: Map id -> row as last posted, startDay }
+  useEffect(() => {
+    if (!inWorker) return;
+    let worker;
+    try { worker = new Worker(new URL("./aggregate.worker.js", import.meta.url), { type: "module" }); }
+    catch { setWorkerFailed(true); return; }
+    worker.onmessage = (e) => setWorkerMonths(e.data.months);
+    worker.onerror = () => setWorkerFailed(true);
+    remote.current = { worker, sent: new Map(), startDay: null };
+    return () => { worker.terminate(); remote.current = null; setWorkerMonths(null); };
+  }, [inWorker]);
+  useEffect(() => {
+    const r = remote.current;
+    if (!inWorker || !r) return;
+    const reset = r.startDay !== startDay;
+    if (reset) { r.sent.clear(); r.startDay = startDay; }
+    const { upserts, removed } = diffRows(r.sent, transactions);
+    for (const t of upserts) r.sent.set(t.id, t);
+    for (const id of removed) r.sent.delete(id);
+    if (reset || upserts.length || removed.length) r.worker.postMessage({ reset, startDay, upserts, removed });
+  }, [transactions, startDay, inWorker]);
+
+  // until the worker answers, the last synchronous result stands in
+  return localMonths || workerMonths || lastLocal.current || {};
+}
+
+// ---------- Insights (Pure) ----------
+// Findings from history for the Dashboard. Each insight is { id, kind, title, detail, txIds, filter }: the id is stable
+// across recomputation so a dismissal sticks, and `filter` opens the transactions behind it.
+export const INSIGHT_KINDS = {
+  double: { label: "חיוב כפול אפשרי", icon: "⚠️" },
+  large: { label: "חיוב חריג", icon: "📈" },
+  price: { label: "התייקרות מנוי", icon: "💸" },
+  budget: { label: "חריגה מתקציב", icon: "🚨" },
+  trend: { label: "מגמת עלייה", icon: "📊" },
+};
+
+export function addDays(date, n) { return new Date(Date.parse(`${date}T00:00:00Z`) + n * 864e5).toISOString().slice(0, 10); }
+function daysBetween(a, b) { return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 864e5); }
+function median(xs) { const s = [...xs].sort((a, b) => a - b), h = s.length >> 1; return s.length % 2 ? s[h] : (s[h - 1] + s[h]) / 2; }
+const byDate = (a, b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+
+// Expenses from `from` to `to` grouped by normalized note (rows without a note skipped), each group by date
+function chargesByMerchant(transactions, from, to) {
+  const groups = new Map();
+  for (const t of transactions) {
+    if (t.type !== 'expense' || t.date < from || t.date > to) continue;
+    const key = normNote(t.note);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  for (const list of groups.values()) list.sort(byDate);
+  return groups;
+}
+
+// Subscriptions: 3+ charges of one merchant about a month apart (20-40 days), amounts within 35% of their median,
+// the last one within 45 days of `today`
+export function detectSubscriptions(transactions, today) {
+  const out = [];
+  for (const [key, list] of chargesByMerchant(transactions, addDays(today, -400), today)) {
+    if (list.length < 3) continue;
+    const gaps = list.slice(1).map((t, i) => daysBetween(list[i].date, t.date));
+    if (gaps.some(g => g < 20 || g > 40)) continue;
+    const med = median(list.map(t => t.amount));
+    if (list.some(t => Math.abs(t.amount - med) > med * 0.35)) continue;
+    const last = list[list.length - 1], prev = list[list.length - 2];
+    if (daysBetween(last.date, today) > 45) continue;
+    out.push({ key, name: last.note.trim(), amount: last.amount, previousAmount: prev.amount, count: list.length, lastDate: last.date, nextDate: addDays(last.date, Math.round(median(gaps))), txIds: list.map(t => t.id) });
+  }
+  return out.sort((a, b) => b.amount - a.amount);
+}
+
+// All insights as of `today`. Charges are checked over the last `recentDays`; "usual" is the year before that:
+// a merchant with 3+ earlier charges is unusual from twice its median, otherwise a category with 5+ from three times.
+// Trends compare the last three full financial months from `aggregates`; budgets are the current month's limits.
+export function detectInsights({ transactions, aggregates, budgets = {}, parents, today, startDay = 1, recentDays = 60 }) {
+  const out = [];
+  const since = addDays(today, -recentDays);
+  const ids = (list) => ({ ids: list.map(t => t.id).join(",") });
+
+  for (const sub of detectSubscriptions(transactions, today)) {
+    if (sub.amount <= sub.previousAmount * 1.02 || sub.amount - sub.previousAmount < 1) continue;
+    out.push({ id: `price:${sub.key}:${sub.txIds[sub.txIds.length - 1]}`, kind: "price", title: `${sub.name} התייקר`,
+      detail: `מ-${currency(sub.previousAmount)} ל-${currency(sub.amount)} (${Math.round((sub.amount / sub.previousAmount - 1) * 100)}%+)`, txIds: sub.txIds.slice(-2), filter: { ids: sub.txIds.slice(-2).join(",") } });
+  }
+
+  const history = transactions.filter(t => t.type === 'expense' && t.date < since && t.date >= addDays(since, -365));
+  const merchantBase = new Map(), catBase = new Map();
+  for (const t of history) {
+    const key = normNote(t.note);
+    if (key) { if (!merchantBase.has(key)) merchantBase.set(key, []); merchantBase.get(key).push(t.amount); }
+    if (t.category !== SPLIT_CATEGORY) { if (!catBase.has(t.category)) catBase.set(t.category, []); catBase.get(t.category).push(t.amount); }
+  }
+  const merchantMed = new Map([...merchantBase].filter(([, v]) => v.length >= 3).map(([k, v]) => [k, median(v)]));
+  const catMed = new Map([...catBase].filter(([, v]) => v.length >= 5).map(([k, v]) => [k, median(v)]));
+  const recent = transactions.filter(t => t.type === 'expense' && t.date >= since && t.date <= today);
+  for (const t of recent) {
+    const key = normNote(t.note), med = merchantMed.get(key);
+    const [base, factor, what] = med !== undefined ? [med, 2, t.note.trim()] : [catMed.get(t.category), 3, `בקטגוריה ${t.category}`];
+    if (base === undefined || t.amount < base * factor || t.amount - base < 50) continue;
+    out.push({ id: `large:${t.id}`, kind: "large", title: `${t.note || t.category}: ${currency(t.amount)}`,
+      detail: `פי ${Math.round(t.amount / base * 10) / 10} מהרגיל ${what} (${currency(base)}), ${t.date}`, txIds: [t.id], filter: ids([t]) });
+  }
+
+  // same amount and note within 3 days; recurring postings are expected to repeat
+  const seen = new Map();
+  for (const t of [...recent].sort(byDate)) {
+    const key = normNote(t.note);
+    if (!key || t.recurringId) continue;
+    const k = `${key}|${t.amount}`, prev = seen.get(k);
+    if (prev && daysBetween(prev.date, t.date) <= 3)
+      out.push({ id: `double:${prev.id}:${t.id}`, kind: "double", title: `${t.note.trim()}: ${currency(t.amount)} פעמיים`, detail: `${prev.date} ו-${t.date}. כדאי לבדוק מול חברת האשראי.`, txIds: [prev.id, t.id], filter: ids([prev, t]) });
+    seen.set(k, t);
+  }
+
+  const cur = periodOf(today, startDay), months = [-3, -2, -1].map(n => addMonths(cur, n));
+  const spent = spendIndexFromAggregates(aggregates, parents);
+  const cats = new Set(months.flatMap(m => Object.keys(aggregates[m]?.cats || {})));
+  for (const cat of cats) {
+    const [a, b, c] = months.map(m => spent.get(`${m}|${cat}`) || 0);
+    if (!(a > 0 && a < b && b < c && c >= a * 1.2 && c - a >= 100)) continue;
+    out.push({ id: `trend:${cat}:${months[2]}`, kind: "trend", title: `${cat} בעלייה 3 חודשים ברציפות`,
+      detail: `${currency(a)} ← ${currency(b)} ← ${currency(c)}`, txIds: [], filter: { cat, type: "expense", from: periodRange(months[0], startDay).from, to: periodRange(months[2], startDay).to } });
+  }
+
+  for (const [cat, limit] of Object.entries(budgets)) {
+    const used = spent.get(`${cur}|${cat}`) || 0;
+    if (!(limit > 0 && used > limit)) continue;
+    out.push({ id: `budget:${cat}:${cur}`, kind: "budget", title: `חריגה בקטגוריית ${cat}`, detail: `הוצאת ${currency(used)} מתוך ${currency(limit)} החודש`, txIds: [], filter: { cat, type: "expense", ...periodRange(cur, startDay) } });
+  }
+
+  const order = Object.keys(INSIGHT_KINDS);
+  return out.sort((x, y) => order.indexOf(x.kind) - order.indexOf(y.kind));
+}
+
+// Dismissed insight ids that can never come up again: their transactions are deleted or older than the detection
+// window, or their month has passed. An insight that is merely missing today (an edit, a late charge) stays dismissed.
+export function staleInsightIds(ids, { transactions, today, startDay = 1, recentDays = 60 }) {
+  const dates = new Map(transactions.map(t => [String(t.id), t.date]));
+  const since = addDays(today, -recentDays), cur = periodOf(today, startDay);
+  const gone = (txIds) => txIds.some(id => !dates.has(id) || dates.get(id) < since);
+  return ids.filter(id => {
+    const [kind, ...rest] = id.split(":"), month = id.slice(id.lastIndexOf(":") + 1);
+    if (kind === "large") return gone([rest.join(":")]);
+    // recurring postings (whose ids hold a colon) are never double charges; merchant keys never hold one
+    if (kind === "double") return gone(rest);
+    if (kind === "price") return gone([rest.slice(1).join(":")]);
+    if (kind === "trend") return month < addMonths(cur, -1);
+    if (kind === "budget") return month < cur;
+    return false;
+  });
+}
+
+// ---------- Sync ----------
+// Optional sync with a self-hosted server (protocol in sync.js, reference server in sync-server.js). Edits to the
+// synced stores are queued in pf_sync, so they survive reloads and offline stretches. A sync pulls first, then pushes
+// the queue in batches; it runs on an interval, when the browser is back online and shortly after each edit.
+const SYNC_INTERVAL = 30000, SYNC_DEBOUNCE = 2000, SYNC_BATCH = 500;
+
+function syncTransport({ url, token }) {
+  const headers = { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+  const call = async (req) => { const res = await req; if (!res.ok) throw new Error(`השרת החזיר ${res.status}`); return res.json(); };
+  return {
+    pull: (since) => call(fetch(`${url}${url.includes("?") ? "&" : "?"}since=${since}`, { headers })),
+    push: (device, changes) => call(fetch(url, { method: "POST", headers, body: JSON.stringify({ device, changes }) })),
+  };
+}
+
+// `stores`: { [store]: [value, setter outside the journal] } for every store in SYNC_STORES
+function useSync(storage, stores) {
+  const [sync, setSyncRaw] = usePersistentState(storage, "pf_sync", SYNC_DEFAULTS);
+  const ref = useRef(sync), storesRef = useRef(stores), running = useRef(false);
+  // last seen record per store (see trackChanges); `fresh` makes the next look queue every record
+  const known = useRef(null), fresh = useRef(false);
+  storesRef.current = stores;
+  const setSync = (next) => { ref.current = next; setSyncRaw(next); };
+
+  // After a reload only new edits are queued (older ones are in the saved queue); a device that never synced with
+  // this server, or was switched off for a while, offers everything it has
+  useEffect(() => {
+    if (!sync.enabled) { known.current = null; return; }
+    if (!known.current) {
+      const offerAll = fresh.current || !ref.current.lastSync;
+      known.current = Object.fromEntries(Object.keys(SYNC_STORES).map(st => [st, offerAll ? new Map() : storeRecords(st, stores[st][0])]));
+      fresh.current = false;
+    }
+    let next = ref.current;
+    for (const st of Object.keys(SYNC_STORES)) next = trackChanges(next, st, stores[st][0], known.current[st]);
+    if (next !== ref.current) setSync(next);
+  }, [sync.enabled, sync.url, ...Object.keys(SYNC_STORES).map(st => stores[st][0])]);
+
+  useEffect(() => {
+    if (!sync.enabled || !Object.keys(sync.queue).length) return;
+    const t = setTimeout(run, SYNC_DEBOUNCE);
+    return () => clearTimeout(t);
+  }, [sync.enabled, sync.queue]);
+
+  useEffect(() => {
+    if (!sync.enabled || !sync.url) return;
+    run();
+    const timer = setInterval(run, SYNC_INTERVAL);
+    window.addEventListener("online", run);
+    return () => { clearInterval(timer); window.removeEventListener("online", run); };
+  }, [sync.enabled, sync.url]);
+
+  // Remote records skip the journal (undo is for this device's own edits); `known` learns them first so they aren't echoed back
+  function applyRemote(records) {
+    const byStore = new Map();
+    for (const r of records) { if (!byStore.has(r.store)) byStore.set(r.store, []); byStore.get(r.store).push(r); }
+    for (const [st, list] of byStore) {
+      const k = known.current?.[st];
+      for (const r of list) { if (r.deleted) k?.delete(String(r.id)); else k?.set(String(r.id), r.value); }
+      storesRef.current[st][1](prev => applyRecords(st, prev, list));
+    }
+  }
+
+  async function run() {
+    if (running.current || !ref.current.enabled || !ref.current.url) return;
+    running.current = true;
+    const api = syncTransport(ref.current);
+    try {
+      const pulled = mergePull(ref.current, await api.pull(ref.current.cursor));
+      applyRemote(pulled.apply);
+      setSync(pulled.sync);
+      for (let batch = Object.values(ref.current.queue).slice(0, SYNC_BATCH); batch.length;) {
+        const left = Object.keys(ref.current.queue).length;
+        setSync(mergePush(ref.current, batch, await api.push(ref.current.device, batch)));
+        if (Object.keys(ref.current.queue).length >= left) break;
+        batch = Object.values(ref.current.queue).slice(0, SYNC_BATCH);
+      }
+      setSync({ ...ref.current, lastSync: new Date().toISOString(), error: "" });
+    } catch (e) {
+      setSync({ ...ref.current, error: navigator.onLine === false ? "אין חיבור לרשת" : String(e?.message || e) });
+    } finally { running.current = false; }
+  }
+
+  // Switching on, or to another server, starts over: everything this device has is offered again
+  function configure(patch) {
+    const cur = ref.current;
+    const moved = patch.url !== undefined && patch.url !== cur.url;
+    if ((patch.enabled && !cur.enabled) || moved) { fresh.current = true; known.current = null; }
+    const reset = moved ? { cursor: 0, revs: {}, queue: {}, conflicts: [], lastSync: "" } : {};
+    setSync({ ...cur, ...reset, ...patch, error: "", device: cur.device || `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}` });
+  }
+  const localRecord = (c) => storeRecords(c.store, storesRef.current[c.store][0]).get(String(c.id));
+  function resolve(key, choice) {
+    const c = ref.current.conflicts.find(x => x.key === key);
+    if (!c) return;
+    const { sync: next, apply } = resolveConflict(ref.current, key, choice, localRecord(c));
+    applyRemote(apply);
+    setSync(next);
+  }
+  return { state: sync, configure, syncNow: run, resolve, localRecord };
+}
+
+// ---------- Core App ----------
+export default function App() {
+  const [storage, setStorage] = useState(null);
+  // bumped whenever the storage locks or unlocks
+  const [, setLockState] = useState(0);
+  const refresh = () => setLockState(n => n + 1);
+  const [blocked, setBlocked] = useState(false);
+  useEffect(() => { openStorage(() => setBlocked(true)).then(s => { setBlocked(false); setStorage(s); }); }, []);
+  const lockNow = useMemo(() => () => storage?.lockNow().then(refresh), [storage]);
+  useIdleLock(storage?.data && storage.lock ? storage.lock.idleMinutes : 0, lockNow);
+  return (
+    <div dir="rtl" className="min-h-screen bg-gradient-to-b from-teal-50 to-emerald-50 text-teal-900 print:bg-none print:bg-white">
+      <BrowserRouter>
+        {blocked ? <div className="max-w-md mx-auto mt-24 bg-white rounded-2xl shadow p-6 text-amber-800">האפליקציה פתוחה בלשונית אחרת עם גרסה קודמת של הנתונים. סגור את הלשוניות האחרות והטעינה תמשיך מעצמה.</div>
+          : !storage ? <div className="max-w-7xl mx-auto p-6 text-teal-700">טוען נתונים…</div>
+          : !storage.data ? <LockScreen storage={storage} onUnlock={refresh} />
+          : <Shell storage={storage} onLock={lockNow} onLockChange={refresh} />}
+      </BrowserRouter>
+    </div>
+  );
+}
+
+function LockScreen({ storage, onUnlock }) {
+  const [pass, setPass] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  async function submit(e){
+    e.preventDefault(); if (!pass) return;
+    setBusy(true); setError("");
+    const ok = await storage.unlock(pass);
+    setBusy(false);
+    if (ok) onUnlock(); else { setError("סיסמה שגויה"); setPass(""); }
+  }
+  return (
+    <div className="max-w-sm mx-auto mt-24 bg-white rounded-2xl shadow p-6">
+      <h1 className="text-xl font-bold mb-1">האפליקציה נעולה</h1>
+      <p className="text-sm text-teal-700 mb-2">הנתונים שמורים מוצפנים. הזן סיסמה כדי לפתוח.</p>
+      <div className="mb-4"><ProfileSwitcher storage={storage} profiles={readProfiles()} /></div>
+      <form onSubmit={submit} className="space-y-3">
+        <input type="password" autoFocus className="w-full border rounded-xl px-3 py-2" value={pass} onChange={e=>setPass(e.target.value)} placeholder="סיסמה" />
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <button disabled={busy} className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow disabled:opacity-50">{busy ? "פותח…" : "פתח"}</button>
+      </form>
+    </div>
+  );
+}
+
+function Shell({ storage, onLock, onLockChange }) {
+  const [transactions, setTransactionsRaw] = usePersistentState(storage, "pf_tx", SAMPLE_TX);
+  // Versioned budgets (legacy flat `pf_budgets` maps are converted by the storage migrations)
+  const [budgetVersions, setBudgetVersionsRaw] = usePersistentState(storage, "pf_budget_versions", () => budgetVersionsFromMap(DEFAULT_BUDGETS));
+  const [rollover, setRolloverRaw] = usePersistentState(storage, "pf_budget_rollover", {});
+  const [goals, setGoalsRaw] = usePersistentState(storage, "pf_goals", DEFAULT_GOALS);
+  const [goalEntries, setGoalEntriesRaw] = usePersistentState(storage, "pf_goal_entries", []);
+  const [expectedIncome, setExpectedIncomeRaw] = usePersistentState(storage, "pf_expected_income", 0);
+  const [recurring, setRecurringRaw] = usePersistentState(storage, "pf_recurring", []);
+  const [importProfiles, setImportProfilesRaw] = usePersistentState(storage, "pf_import_profiles", []);
+  const [importBatches, setImportBatchesRaw] = usePersistentState(storage, "pf_import_batches", []);
+  const [catRules, setCatRulesRaw] = usePersistentState(storage, "pf_cat_rules", []);
+  const [savedFilters, setSavedFiltersRaw] = usePersistentState(storage, "pf_saved_filters", []);
+  const [accounts, setAccountsRaw] = usePersistentState(storage, "pf_accounts", DEFAULT_ACCOUNTS);
+  const [fxRates, setFxRatesRaw] = usePersistentState(storage, "pf_fx_rates", []);
+  const [categories, setCategoriesRaw] = usePersistentState(storage, "pf_categories", DEFAULT_CATEGORIES);
+  // Day of the month the financial month starts on (payday); 1 = calendar months
+  const [monthStart, setMonthStartRaw] = usePersistentState(storage, "pf_month_start", 1);
+  const [dismissedInsights, setDismissedInsightsRaw] = usePersistentState(storage, "pf_dismissed_insights", []);
+  const [members, setMembersRaw] = usePersistentState(storage, "pf_members", DEFAULT_MEMBERS);
+  // category -> member id for personal budgets; categories not listed are shared
+  const [budgetOwners, setBudgetOwnersRaw] = usePersistentState(storage, "pf_budget_owners", {});
+  const [settlements, setSettlementsRaw] = usePersistentState(storage, "pf_settlements", []);
+  // the profile list is device-wide, outside the journal
+  const [profiles, setProfiles] = useState(readProfiles);
+  const saveProfiles = (next) => { writeProfiles(next); setProfiles(next); };
+  const budgets = useMemo(() => budgetsForMonth(budgetVersions, currentPeriod(monthStart)), [budgetVersions, monthStart]);
+  const aggregates = useAggregates(transactions, monthStart);
+
+  const [storageNotice, setStorageNotice] = useState(() => storage.issues.map(i => `${i.key}: ${i.reason}`));
+  useEffect(() => { storage.onError = (msg) => setStorageNotice(prev => [...prev, msg]); return () => { storage.onError = null; }; }, [storage]);
+
+  const journal = useJournal(storage, {
+    transactions: [transactions, setTransactionsRaw], budgetVersions: [budgetVersions, setBudgetVersionsRaw], rollover: [rollover, setRolloverRaw],
+    goals: [goals, setGoalsRaw], goalEntries: [goalEntries, setGoalEntriesRaw], expectedIncome: [expectedIncome, setExpectedIncomeRaw],
+    recurring: [recurring, setRecurringRaw], importProfiles: [importProfiles, setImportProfilesRaw], importBatches: [importBatches, setImportBatchesRaw],
+    catRules: [catRules, setCatRulesRaw], savedFilters: [savedFilters, setSavedFiltersRaw], accounts: [accounts, setAccountsRaw], fxRates: [fxRates, setFxRatesRaw],
+    categories: [categories, setCategoriesRaw], monthStart: [monthStart, setMonthStartRaw],
+    members: [members, setMembersRaw],
+    budgetOwners: [budgetOwners, setBudgetOwnersRaw], settlements: [settlements, setSettlementsRaw],
+  });
+  const sync = useSync(storage, {
+    transactions: [transactions, journal.untracked.setTransactions], budgetVersions: [budgetVersions, journal.untracked.setBudgetVersions],
+    goals: [goals, journal.untracked.setGoals], goalEntries: [goalEntries, journal.untracked.setGoalEntries],
+  });
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text fields
+  useEffect(() => {
+    function onKey(e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { e.preventDefault(); journal.undo(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); journal.redo(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // post recurring instances that became due since the last visit (or since a rule was added/edited)
+  useEffect(() => {
+    const { posts, rules } = dueRecurring(recurring, todayISO(), fxRates);
+    if (!posts.length) return;
+    journal.untracked.setTransactions(prev => {
+      const have = new Set(prev.map(t => t.id));
+      const fresh = posts.filter(t => !have.has(t.id));
+      return fresh.length ? [...fresh.reverse(), ...prev] : prev;
+    });
+    journal.untracked.setRecurring(rules);
+  }, [recurring, fxRates]);
+
+  // computed history by financial months (last 12 months)
+  const months = useMemo(() => recentPeriods(12, monthStart), [monthStart]);
+
+  const monthlyAgg = useMemo(() => (
+    months.map((m) => {
+      const { income, expense, net } = monthTotals(aggregates, m);
+      return { month: m, income, expense, net };
+    })
+  ), [aggregates, months]);
+
+  // setters come from the journal; each takes an optional description as a second argument
+  const ctx = {
+    transactions, budgets, budgetVersions, rollover, goals, goalEntries,
+    months, monthlyAgg, aggregates,
+    expectedIncome, recurring, importProfiles, importBatches,
+    catRules, savedFilters, accounts, fxRates, categories, monthStart, dismissedInsights,
+    members, budgetOwners, settlements,
+    ...journal.setters, setDismissedInsights: setDismissedInsightsRaw,
+    journal, storage, onLock, onLockChange, profiles, saveProfiles, sync,
+  };
+
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 print:p-0 print:max-w-none">
+      <Header ctx={ctx} />
+      {storageNotice.length > 0 && (
+        <div className="mt-4 p-3 rounded-xl bg-amber-50 text-amber-800 text-sm print:hidden">
+          <div className="flex items-center justify-between">
+            <b>בעיות באחסון הנתונים</b>
+            <button onClick={()=>setStorageNotice([])} className="text-teal-700 hover:underline">סגור</button>
+          </div>
+          <ul className="list-disc pr-5 mt-1">{storageNotice.map((m, i) => <li key={i}>{m}</li>)}</ul>
+          <div className="text-xs mt-1">הערכים המקוריים לא נמחקו ופירוט נשמר בצד (pf_corrupt); האפליקציה ממשיכה עם מה שנקרא ועם ברירות מחדל.</div>
+        </div>
+      )}
+      <nav className="mt-4 mb-6 flex flex-wrap gap-2 print:hidden">
+        {[
+          ["/", "לוח מחוונים"],
+          ["/transactions", "תנועות"],
+          ["/recurring", "תנועות קבועות"],
+          ["/rules", "כללי סיווג"],
+          ["/rates", "שערי מטבע"],
+          ["/budgets", "תקציבים"],
+          ["/goals", "יעדים"],
+          ["/household", "משק בית"],
+          ["/reports", "דוחות"],
+          ["/statement", "דוח חודשי"],
+          ["/import-export", "ייבוא/ייצוא"],
+          ["/history", "היסטוריה"],
+          ["/tests", "בדיקות"],
+          ["/settings", "הגדרות"],
+        ].map(([to,label]) => (
+          <NavLink key={to} to={to} end className={({isActive}) => `px-4 py-2 rounded-xl border shadow-sm bg-white hover:shadow ${isActive?"ring-2 ring-teal-400":""}`}>
+            {label}
+          </NavLink>
+        ))}
+      </nav>
+
+      <Routes>
+        <Route path="/" element={<Dashboard ctx={ctx} />} />
+        <Route path="/transactions" element={<TransactionsPage ctx={ctx} />} />
+        <Route path="/recurring" element={<RecurringPage ctx={ctx} />} />
+        <Route path="/rules" element={<RulesPage ctx={ctx} />} />
+        <Route path="/rates" element={<RatesPage ctx={ctx} />} />
+        <Route path="/budgets" element={<BudgetsPage ctx={ctx} />} />
+        <Route path="/goals" element={<GoalsPage ctx={ctx} />} />
+        <Route path="/household" element={<HouseholdPage ctx={ctx} />} />
+        <Route path="/reports" element={<ReportsPage ctx={ctx} />} />
+        <Route path="/statement" element={<StatementPage ctx={ctx} />} />
+        <Route path="/import-export" element={<ImportExportPage ctx={ctx} />} />
+        <Route path="/history" element={<HistoryPage ctx={ctx} />} />
+        <Route path="/tests" element={<TestsPage ctx={ctx} />} />
+        <Route path="/settings" element={<SettingsPage ctx={ctx} />} />
+      </Routes>
+
+      <footer className="text-center text-xs text-teal-700 pt-8 pb-6 print:hidden">
+        גרסת אפליקציה (MVP). בהמשך: ייבוא אוטומטי מהבנק, סיכומי וואטסאפ/מייל.
+      </footer>
+    </div>
+  );
+}
+
+// ---------- Header ----------
+function Header({ ctx }) {
+  const { income, expense, net } = monthTotals(ctx.aggregates, currentPeriod(ctx.monthStart));
+  const j = ctx.journal;
+  return (
+    <header className="flex flex-col gap-4 sm:flex-row sm:items-end sm:justify-between print:hidden">
+      <div>
+        <h1 className="text-3xl font-bold">ניהול פיננסי אישי — אפליקציה</h1>
+        <p className="text-teal-700">פשוט, ברור, עובד. עם גרפים, ייבוא/ייצוא ויעדים.</p>
+        <div className="flex items-center gap-2 mt-2 text-sm">
+          <button onClick={j.undo} disabled={!j.cursor} title={j.cursor ? `בטל: ${j.entries[j.cursor - 1].label} (Ctrl+Z)` : ""} className="px-3 py-1 rounded-xl bg-white border shadow-sm hover:shadow disabled:opacity-40">↶ בטל</button>
+          <button onClick={j.redo} disabled={j.cursor >= j.entries.length} title={j.cursor < j.entries.length ? `בצע שוב: ${j.entries[j.cursor].label} (Ctrl+Shift+Z)` : ""} className="px-3 py-1 rounded-xl bg-white border shadow-sm hover:shadow disabled:opacity-40">↷ בצע שוב</button>
+          {ctx.storage.lock && <button onClick={ctx.onLock} className="px-3 py-1 rounded-xl bg-white border shadow-sm hover:shadow">🔒 נעל</button>}
+          <ProfileSwitcher storage={ctx.storage} profiles={ctx.profiles} />
+        </div>
+        {j.skipped && (
+          <div className="text-xs text-amber-700 mt-1">
+            לא שוחזרו רשומות שהשתנו מאז (סנכרון או רישום אוטומטי): {Object.entries(j.skipped).map(([store, n]) => `${JOURNAL_STORES[store] || store} ${n}`).join(", ")}
+            <button onClick={j.clearSkipped} className="mr-2 text-teal-700 hover:underline">סגור</button>
+          </div>
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <KPI title="הכנסות החודש (בפועל)" value={currency(income)} />
+        <EditableIncomeKPI ctx={ctx} />
+        <KPI title="הוצאות החודש" value={currency(expense)} />
+        <KPI title="תזרים נטו" value={currency(net)} tone={net>=0?"ok":"bad"} />
+      </div>
+    </header>
+  );
+}
+function ProfileSwitcher({ storage, profiles }) {
+  return (
+    <label className="flex items-center gap-1 text-teal-700">
+      פרופיל:
+      <select className="px-2 py-1 rounded-xl bg-white border shadow-sm" value={storage.profile} onChange={e=>switchProfile(storage, e.target.value)}>
+        {profiles.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+    </label>
+  );
+}
+function EditableIncomeKPI({ ctx }){
+  const [editing, setEditing] = useState(false);
+  const [val, setVal] = useState(String(ctx.expectedIncome||""));
+  useEffect(()=>{ setVal(String(ctx.expectedIncome||"")); }, [ctx.expectedIncome]);
+  function save(){ const n = Number(val); if(!Number.isFinite(n)||n<0) return; ctx.setExpectedIncome(n); setEditing(false); }
+  return (
+    <div className={`bg-white rounded-2xl shadow p-4 ring-1 ring-teal-100`}>
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-teal-700">הכנסה חודשית צפויה</div>
+        {!editing && (
+          <button className="text-xs text-teal-700 hover:underline" onClick={()=>setEditing(true)}>ערוך</button>
+        )}
+      </div>
+      {!editing ? (
+        <div className="text-2xl font-bold">{currency(ctx.expectedIncome||0)}</div>
+      ) : (
+        <div className="flex items-center gap-2 mt-1">
+          <input type="number" className="border rounded-lg px-2 py-1 w-28 text-right" value={val} onChange={e=>setVal(e.target.value)} />
+          <button onClick={save} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">שמור</button>
+          <button onClick={()=>setEditing(false)} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
+        </div>
+      )}
+      <div className="text-xs text-teal-700 mt-1">השוואה: {currency((ctx.expectedIncome||0) - (listIncomeThisMonth(ctx) || 0))} מפריד מול בפועל</div>
+    </div>
+  );
+}
+function listIncomeThisMonth(ctx){
+  return monthTotals(ctx.aggregates, currentPeriod(ctx.monthStart)).income;
+}
+function KPI({ title, value, tone }) {
+  const ring = tone === "ok" ? "ring-emerald-200" : tone === "bad" ? "ring-red-200" : "ring-teal-100";
+  return (
+    <div className={`bg-white rounded-2xl shadow p-4 ring-1 ${ring}`}>
+      <div className="text-sm text-teal-700">{title}</div>
+      <div className="text-2xl font-bold">{value}</div>
+    </div>
+  );
+}
+
+// ---------- Dashboard ----------
+function Dashboard({ ctx }) {
+  const { monthlyAgg, transactions, budgets } = ctx;
+  const nowYm = currentPeriod(ctx.monthStart);
+  const expensesByCat = monthTotals(ctx.aggregates, nowYm).cats;
+  const pieData = Object.entries(expensesByCat).map(([name,value])=>({ name, value }));
+
+  const balances = useMemo(() => aggregateAccountBalances(ctx.accounts, ctx.aggregates, ctx.fxRates), [ctx.accounts, ctx.aggregates, ctx.fxRates]);
+  const netWorth = Object.values(balances).reduce((a, b) => a + b, 0);
+  const balanceData = useMemo(() => aggregateBalances(ctx.accounts, ctx.aggregates, ctx.months, ctx.fxRates), [ctx.accounts, ctx.aggregates, ctx.months, ctx.fxRates]);
+
+  const [horizon, setHorizon] = useState(6);
+  const forecast = useMemo(() => {
+    const txById = new Map(transactions.map(t => [t.id, t]));
+    const goals = ctx.goals.filter(g => !g.archived).map(g => {
+      const { saved } = goalProgress(g, goalLedger(g.id, ctx.goalEntries, txById), nowYm);
+      return { monthly: g.monthly, remaining: g.target - saved };
+    });
+    return forecastCashflow({ transactions, recurring: ctx.recurring, goals, budgetsFor: (m) => budgetsForMonth(ctx.budgetVersions, m), rates: ctx.fxRates, startBalance: netWorth, fromYm: nowYm, startDay: ctx.monthStart, horizon });
+  }, [transactions, ctx.recurring, ctx.goals, ctx.goalEntries, ctx.budgetVersions, ctx.fxRates, netWorth, nowYm, ctx.monthStart, horizon]);
+  // historical net worth, then the projection continuing from the last actual point
+  const forecastData = useMemo(() => [
+    ...balanceData.map((r, i) => ({ month: r.month, actual: r.netWorth, ...(i === balanceData.length - 1 ? { projected: netWorth } : {}) })),
+    ...forecast.map(r => ({ month: r.month, projected: r.balance })),
+  ], [balanceData, forecast, netWorth]);
+  const shortfalls = forecast.filter(r => r.net < 0 || r.balance < 0);
+
+  const avgNet3 = useMemo(()=>{
+    const recent = monthlyAgg.slice(-3);
+    const sum = recent.reduce((a,r)=>a+r.net,0);
+    return Math.round(sum / (recent.length||1));
+  },[monthlyAgg]);
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">תזרים 12 חודשים</h2>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={ctx.monthlyAgg} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis tickFormatter={(v)=>v/1000+"k"} />
+              <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
+              <Line type="monotone" dataKey="income" stroke="#10b981" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="expense" stroke="#ef4444" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="net" stroke="#0ea5e9" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="text-sm text-teal-700 mt-3">ממוצע נטו 3 חודשים: <b>{currency(avgNet3)}</b></p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">פילוח הוצאות לפי קטגוריה (החודש)</h2>
+        {pieData.length? (
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie data={pieData} dataKey="value" nameKey="name" outerRadius={100}>
+                  {pieData.map((d, i) => <Cell key={d.name} fill={categoryColor(ctx.categories, d.name, i)} />)}
+                </Pie>
+                <Tooltip formatter={(v)=>currency(v)} />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        ) : <div className="text-sm text-teal-700">אין נתוני הוצאות לחודש הנוכחי.</div>}
+      </div>
+
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">יתרה לפי חשבון (סוף חודש)</h2>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={balanceData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis tickFormatter={(v)=>v/1000+"k"} />
+              <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
+              {ctx.accounts.map((a, i) => <Line key={a.id} type="monotone" dataKey={a.id} name={a.name} stroke={COLORS[i % COLORS.length]} strokeWidth={2} dot={false} />)}
+              <Line type="monotone" dataKey="netWorth" name="שווי נקי" stroke="#134e4a" strokeWidth={3} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">חשבונות</h2>
+        <ul className="text-sm space-y-2">
+          {ctx.accounts.map(a => (
+            <li key={a.id} className="flex items-center justify-between">
+              <span>{a.name} <span className="text-xs text-teal-700">({ACCOUNT_TYPES[a.type]})</span></span>
+              <b className={balances[a.id] < 0 ? "text-red-600" : ""}>{currency(balances[a.id])}</b>
+            </li>
+          ))}
+        </ul>
+        <div className="flex items-center justify-between border-t mt-3 pt-3">
+          <span className="font-semibold">שווי נקי</span>
+          <b className={`text-xl ${netWorth < 0 ? "text-red-600" : "text-emerald-700"}`}>{currency(netWorth)}</b>
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold">תחזית יתרה</h2>
+          <select className="border rounded-lg px-2 py-1 text-sm" value={horizon} onChange={e=>setHorizon(Number(e.target.value))}>
+            {[3, 6, 12].map(n => <option key={n} value={n}>{n} חודשים קדימה</option>)}
+          </select>
+        </div>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={forecastData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis tickFormatter={(v)=>v/1000+"k"} />
+              <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
+              <Line type="monotone" dataKey="actual" name="בפועל" stroke="#134e4a" strokeWidth={3} dot={false} />
+              <Line type="monotone" dataKey="projected" name="תחזית" stroke="#0ea5e9" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="text-xs text-teal-700 mt-2">לפי תנועות קבועות, תקציבים, הפרשות ליעדים ומגמת 3 החודשים האחרונים.</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">התראות תזרים</h2>
+        {shortfalls.length ? (
+          <ul className="text-sm space-y-2">
+            {shortfalls.map(r => (
+              <li key={r.month} className="p-2 rounded-xl bg-red-50 text-red-700">
+                <b>{r.month}</b>: {r.balance < 0 ? `יתרה צפויה שלילית (${currency(r.balance)})` : `תזרים נטו שלילי (${currency(r.net)})`}
+              </li>
+            ))}
+          </ul>
+        ) : <div className="text-sm text-emerald-700">לא צפוי חודש עם תזרים או יתרה שליליים ב-{horizon} החודשים הקרובים.</div>}
+        <table className="w-full text-xs mt-3">
+          <thead><tr className="text-right text-teal-700"><th>חודש</th><th>הכנסות</th><th>הוצאות</th><th>יעדים</th><th>נטו</th></tr></thead>
+          <tbody>
+            {forecast.map(r => <tr key={r.month} className={r.net < 0 ? "text-red-600" : ""}><td>{r.month}</td><td>{currency(r.income)}</td><td>{currency(r.expense)}</td><td>{currency(r.goals)}</td><td>{currency(r.net)}</td></tr>)}
+          </tbody>
+        </table>
+      </div>
+
+      <Insights ctx={ctx} />
+    </div>
+  );
+}
+
+// Dismissed insight ids are kept in pf_dismissed_insights, so a hidden insight stays hidden after reload. Hiding is a
+// view preference, outside the undo journal; ids of insights that can't come up again are dropped.
+function Insights({ ctx }) {
+  const navigate = useNavigate();
+  const [showHidden, setShowHidden] = useState(false);
+  const today = todayISO();
+  const parents = useMemo(() => categoryParents(ctx.categories), [ctx.categories]);
+  // the household totals only measure shared budgets; personal ones are tracked on the budgets page
+  const sharedBudgets = useMemo(() => Object.fromEntries(Object.entries(ctx.budgets).filter(([cat]) => !ctx.budgetOwners[cat])), [ctx.budgets, ctx.budgetOwners]);
+  const insights = useMemo(() => detectInsights({ transactions: ctx.transactions, aggregates: ctx.aggregates, budgets: sharedBudgets, parents, today, startDay: ctx.monthStart }),
+    [ctx.transactions, ctx.aggregates, sharedBudgets, parents, today, ctx.monthStart]);
+  const subscriptions = useMemo(() => detectSubscriptions(ctx.transactions, today), [ctx.transactions, today]);
+  const dismissed = new Set(ctx.dismissedInsights);
+  const visible = insights.filter(i => !dismissed.has(i.id)), hidden = insights.filter(i => dismissed.has(i.id));
+  const subs = subscriptions.filter(sub => !dismissed.has(`sub:${sub.key}`));
+  const dismiss = (id) => ctx.setDismissedInsights(prev => [...prev, id]);
+  const restore = (id) => ctx.setDismissedInsights(prev => prev.filter(x => x !== id));
+  useEffect(() => {
+    const stale = new Set(staleInsightIds(ctx.dismissedInsights, { transactions: ctx.transactions, today, startDay: ctx.monthStart }));
+    if (stale.size) ctx.setDismissedInsights(prev => prev.filter(id => !stale.has(id)));
+  }, [ctx.transactions, today, ctx.monthStart, ctx.dismissedInsights]);
+
+  return (
+    <>
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold">תובנות</h2>
+          {hidden.length > 0 && <button onClick={()=>setShowHidden(!showHidden)} className="text-xs text-teal-700 hover:underline">{showHidden ? "הסתר מוסתרות" : `מוסתרות (${hidden.length})`}</button>}
+        </div>
+        {visible.length ? (
+          <ul className="space-y-2 text-sm">
+            {visible.map(i => (
+              <li key={i.id} className="flex items-start justify-between gap-3 p-2 rounded-xl border hover:shadow-sm">
+                <div>
+                  <div className="font-medium">{INSIGHT_KINDS[i.kind].icon} {i.title}</div>
+                  <div className="text-xs text-teal-700">{INSIGHT_KINDS[i.kind].label} • {i.detail}</div>
+                </div>
+                <div className="flex items-center gap-3 whitespace-nowrap text-xs">
+                  <button onClick={()=>navigate(drillLink(i.filter))} className="text-teal-700 hover:underline">הצג תנועות</button>
+                  <button onClick={()=>dismiss(i.id)} className="text-gray-500 hover:underline">הסתר</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : <div className="text-sm text-emerald-700">אין כרגע ממצאים חריגים.</div>}
+        {showHidden && hidden.length > 0 && (
+          <ul className="mt-3 space-y-1 text-xs text-gray-500">
+            {hidden.map(i => <li key={i.id} className="flex justify-between"><span>{i.title}</span><button onClick={()=>restore(i.id)} className="text-teal-700 hover:underline">החזר</button></li>)}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">מנויים שזוהו</h2>
+        {subs.length ? (
+          <>
+            <ul className="text-sm space-y-2">
+              {subs.map(sub => (
+                <li key={sub.key} className="flex items-center justify-between gap-2">
+                  <button onClick={()=>navigate(drillLink({ ids: sub.txIds.join(",") }))} className="text-right hover:underline">
+                    {sub.name} <span className="text-xs text-teal-700">(הבא ~{sub.nextDate})</span>
+                  </button>
+                  <span className="flex items-center gap-2">
+                    <b className={sub.amount > sub.previousAmount ? "text-red-600" : ""}>{currency(sub.amount)}</b>
+                    <button onClick={()=>dismiss(`sub:${sub.key}`)} className="text-xs text-gray-500 hover:underline" title="לא מנוי">×</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <div className="flex items-center justify-between border-t mt-3 pt-3 text-sm">
+              <span>סה״כ לחודש</span>
+              <b>{currency(subs.reduce((a, sub) => a + sub.amount, 0))}</b>
+            </div>
+          </>
+        ) : <div className="text-sm text-teal-700">לא זוהו חיובים חודשיים קבועים.</div>}
+      </div>
+    </>
+  );
+}
+
+// ---------- Transactions Page ----------
+// The table scrolls inside TX_TABLE_HEIGHT px and is virtualized above TX_VIRTUAL_MIN rows. TX_ROW_HEIGHT (a plain row)
+// stands in for rows not rendered yet; rendered rows are measured, since splits, member lines and editing make them taller.
+const TX_TABLE_HEIGHT = 480, TX_ROW_HEIGHT = 41, TX_VIRTUAL_MIN = 200;
+
+function TransactionsPage({ ctx }) {
+  const defaultAccount = ctx.accounts[0]?.id;
+  const household = ctx.members.length > 1;
+  const catNames = useMemo(() => categoryNames(ctx.categories), [ctx.categories]);
+  const [form, setForm] = useState({ date: todayISO(), type: "expense", amount: "", currency: BASE_CURRENCY, category: catNames[0], note: "", accountId: defaultAccount, toAccountId: "", memberId: DEFAULT_MEMBER_ID, shared: false });
+  const [formError, setFormError] = useState("");
+  const currencies = useMemo(() => [...new Set([...KNOWN_CURRENCIES, ...ctx.fxRates.map(r => r.currency)])], [ctx.fxRates]);
+  const [params, setParams] = useSearchParams();
+  const filter = useMemo(() => filterFromQuery(params, currentPeriod(ctx.monthStart), ctx.monthStart), [params, ctx.monthStart]);
+  const setFilter = (patch) => setParams(filterToQuery({ ...filter, ...patch }), { replace: true });
+  const filterMonth = periodOfRange(filter, ctx.monthStart);
+  // Rules pick the category while the user hasn't chosen one by hand
+  const [catTouched, setCatTouched] = useState(false);
+  const ruleCategory = form.type === 'expense' ? categorize({ ...form, amount: Number(form.amount) }, ctx.catRules) : '';
+  useEffect(() => { if (!catTouched && catNames.includes(ruleCategory)) setForm(f => ({ ...f, category: ruleCategory })); }, [ruleCategory, catTouched]);
+  // "Always categorize X as Y?" offer after a manual recategorization
+  const [ruleOffer, setRuleOffer] = useState(null);
+
+  // Edit state
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({ id: null, date: todayISO(), type: "expense", amount: "", currency: BASE_CURRENCY, category: catNames[0], note: "", accountId: defaultAccount, toAccountId: "", memberId: DEFAULT_MEMBER_ID, shared: false, splits: [] });
+  const accountName = (id) => ctx.accounts.find(a => a.id === id)?.name || "—";
+  const memberName = (id) => ctx.members.find(m => m.id === id)?.name || "—";
+  const goalOfTx = useMemo(() => new Map(ctx.goalEntries.filter(e => e.txId !== undefined).map(e => [e.txId, ctx.goals.find(g => g.id === e.goalId)?.name || ""])), [ctx.goalEntries, ctx.goals]);
+
+  // with a long history filtering takes a moment; typing stays responsive and the list catches up
+  const listFilter = useDeferredValue(filter);
+  const visibleTx = useMemo(()=> sortTransactions(ctx.transactions.filter(t => matchesFilter(t, listFilter)), listFilter.sort, listFilter.dir), [ctx.transactions, listFilter]);
+  function sortBy(key){ setFilter({ sort: key, dir: filter.sort === key || (!filter.sort && key === "date") ? (filter.dir === "asc" ? "desc" : "asc") : "desc" }); }
+  function saveFilter(){
+    const name = prompt("שם לתצוגה השמורה:"); if (!name?.trim()) return;
+    ctx.setSavedFilters(prev => [...prev.filter(v => v.name !== name.trim()), { id: `f${Date.now()}`, name: name.trim(), query: filterToQuery(filter) }]);
+  }
+
+  function addTx(e){
+    e.preventDefault(); const amount = Number(form.amount); if(!amount||amount<=0) return;
+    const tx = txFromForm(form, amount); if(!tx) return;
+    ctx.setTransactions(prev => [{ id: newTxId(), ...tx }, ...prev]);
+    setForm({ ...form, amount: "", note: "" });
+    setCatTouched(false);
+  }
+  // Shared by add and edit: income/transfer get a fixed category; a transfer needs a distinct target account;
+  // a foreign-currency amount is converted to shekels with the rate table
+  function txFromForm(f, amount){
+    const accountId = f.accountId || defaultAccount;
+    if (f.type === 'transfer' && (!f.toAccountId || f.toAccountId === accountId)) { setFormError("בחר חשבון יעד שונה להעברה"); return null; }
+    const tx = { date: f.date, type: f.type, amount, category: f.type==='income' ? 'הכנסה' : f.type==='transfer' ? 'העברה' : f.category, note: f.note.trim(), accountId, memberId: f.memberId || DEFAULT_MEMBER_ID };
+    if (f.type === 'transfer') tx.toAccountId = f.toAccountId;
+    if (f.type === 'expense' && f.shared) tx.shared = true;
+    if (f.currency && f.currency !== BASE_CURRENCY) {
+      const converted = withConversion({ ...tx, currency: f.currency, originalAmount: amount }, ctx.fxRates);
+      if (!converted) { setFormError(`אין שער המרה ל-${f.currency}. הוסף שער בעמוד שערי מטבע.`); return null; }
+      setFormError(""); return converted;
+    }
+    setFormError("");
+    return tx;
+  }
+  function removeTx(id){ ctx.setTransactions(prev=>prev.filter(t=>t.id!==id)); }
+
+  // Start editing a transaction (income or expense)
+  function startEdit(t){
+    setEditingId(t.id);
+    const foreign = t.currency && t.currency !== BASE_CURRENCY;
+    const splits = (t.splits || []).map(l => ({ category: l.category, amount: String(l.amount), note: l.note || "" }));
+    setEditForm({ id: t.id, date: t.date, type: t.type, amount: String(foreign ? t.originalAmount : t.amount), currency: foreign ? t.currency : BASE_CURRENCY, category: splits.length ? splits[0].category : (t.category || catNames[0]), note: t.note || "", accountId: txAccount(t), toAccountId: t.toAccountId || "", memberId: txMember(t), shared: !!t.shared, splits });
+  }
+  function cancelEdit(){ setEditingId(null); setFormError(""); }
+  function setSplit(i, patch){ setEditForm(f => ({ ...f, splits: f.splits.map((l, j) => j === i ? { ...l, ...patch } : l) })); }
+  function addSplitLine(){
+    setEditForm(f => f.splits.length
+      ? { ...f, splits: [...f.splits, { category: 'אחר', amount: "", note: "" }] }
+      : { ...f, splits: [{ category: f.category, amount: f.currency === BASE_CURRENCY ? f.amount : "", note: "" }, { category: 'אחר', amount: "", note: "" }] });
+  }
+  // Removing down to one line turns the split back into a plain transaction in that line's category
+  function removeSplitLine(i){
+    setEditForm(f => {
+      const splits = f.splits.filter((_, j) => j !== i);
+      return splits.length > 1 ? { ...f, splits } : { ...f, splits: [], category: splits[0]?.category || f.category };
+    });
+  }
+  function saveEdit(e){
+    e?.preventDefault?.();
+    const amt = Number(editForm.amount);
+    if (!amt || amt <= 0) return;
+    const fields = txFromForm(editForm, amt); if (!fields) return;
+    // Split lines are in shekels and must add up to the (converted) amount
+    if (fields.type === 'expense' && editForm.splits.length) {
+      const err = validateSplits(fields.amount, editForm.splits);
+      if (err) { setFormError(err); return; }
+      fields.splits = editForm.splits.map(l => ({ category: l.category, amount: Number(l.amount), note: l.note.trim() }));
+      fields.category = SPLIT_CATEGORY;
+    }
+    const updated = { id: editForm.id, ...fields };
+    const before = ctx.transactions.find(t => t.id === editingId);
+    ctx.setTransactions(prev => prev.map(t => {
+      if (t.id !== editingId) return t;
+      // drop fields the edit no longer applies (transfer target, foreign-currency data, split lines, shared flag)
+      const { toAccountId, currency: cur, originalAmount, fxRate, splits, shared, ...rest } = t;
+      return { ...rest, ...updated };
+    }));
+    setEditingId(null);
+    if (before && updated.type === 'expense' && !updated.splits && updated.note && before.category !== updated.category && categorize(updated, ctx.catRules) !== updated.category) {
+      setRuleOffer({ pattern: updated.note, category: updated.category });
+    }
+  }
+  function acceptRuleOffer(){
+    ctx.setCatRules(prev => [{ id: `c${Date.now()}`, match: 'contains', pattern: ruleOffer.pattern, type: 'expense', minAmount: '', maxAmount: '', category: ruleOffer.category }, ...prev]);
+    setRuleOffer(null);
+  }
+
+  const totals = useMemo(()=> filterTotals(visibleTx, listFilter), [visibleTx, listFilter]);
+
+  // Long lists render only the rows in view (plus overscan); spacer rows keep the scroll height
+  const [scrollTop, setScrollTop] = useState(0);
+  const virtual = visibleTx.length > TX_VIRTUAL_MIN;
+  const rowHeights = useRef(new Map()), tbodyRef = useRef(null), [, setMeasured] = useState(0);
+  const heightOf = (i) => rowHeights.current.get(visibleTx[i].id);
+  const win = virtual ? virtualWindow({ count: visibleTx.length, rowHeight: TX_ROW_HEIGHT, scrollTop, viewport: TX_TABLE_HEIGHT, heightOf }) : { start: 0, end: visibleTx.length, padTop: 0, padBottom: 0 };
+  // a transaction's height is the sum of its rows (editing adds a row for splits)
+  useLayoutEffect(() => {
+    if (!virtual || !tbodyRef.current) return;
+    const seen = new Map();
+    for (const tr of tbodyRef.current.querySelectorAll("tr[data-tx]")) seen.set(tr.dataset.tx, (seen.get(tr.dataset.tx) || 0) + tr.offsetHeight);
+    let changed = false;
+    for (const t of visibleTx.slice(win.start, win.end)) {
+      const h = seen.get(String(t.id));
+      if (h && rowHeights.current.get(t.id) !== h) { rowHeights.current.set(t.id, h); changed = true; }
+    }
+    if (changed) setMeasured(n => n + 1);
+  });
+
+  // Multi-select (shift-click selects a range of the visible rows) and bulk actions
+  const [selected, setSelected] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null);
+  const [bulk, setBulk] = useState({ kind: "category", value: catNames[0] });
+  const [bulkUndo, setBulkUndo] = useState(null);
+  const selectedTx = visibleTx.filter(t => selected.has(t.id));
+  function toggleRow(i, e){
+    const on = !selected.has(visibleTx[i].id);
+    // the range runs from the last clicked row wherever sorting and filtering have put it since
+    const anchor = e.shiftKey ? visibleTx.findIndex(t => t.id === anchorId) : -1;
+    const [a, b] = anchor >= 0 ? [Math.min(anchor, i), Math.max(anchor, i)] : [i, i];
+    setSelected(prev => { const next = new Set(prev); for (let j = a; j <= b; j++) on ? next.add(visibleTx[j].id) : next.delete(visibleTx[j].id); return next; });
+    setAnchorId(visibleTx[i].id);
+  }
+  function toggleAll(){ setSelected(selectedTx.length === visibleTx.length ? new Set() : new Set(visibleTx.map(t => t.id))); }
+  function setBulkKind(kind){ setBulk({ kind, value: kind === 'category' ? catNames[0] : kind === 'type' ? 'expense' : kind === 'date' ? todayISO() : "" }); }
+  function applyBulk(){
+    if (!selectedTx.length) return;
+    const what = bulk.kind === 'delete' ? "למחוק" : `${BULK_ACTIONS[bulk.kind]}${bulk.value ? ` ל"${bulk.kind === 'type' ? TX_TYPES[bulk.value] : bulk.value}"` : ""} עבור`;
+    if (!confirm(`${what} ${bulkSummary(selectedTx)}?`)) return;
+    const { transactions, before } = bulkEdit(ctx.transactions, selectedTx.map(t => t.id), bulk);
+    if (!before.length) return;
+    ctx.setTransactions(transactions, `${BULK_ACTIONS[bulk.kind]}: ${bulkSummary(before)}`);
+    setBulkUndo({ label: `${BULK_ACTIONS[bulk.kind]}: ${bulkSummary(before)}`, before });
+    setSelected(new Set());
+  }
+  function undoBulk(){ ctx.setTransactions(prev => restoreTransactions(prev, bulkUndo.before)); setBulkUndo(null); }
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
+        <h2 className="font-semibold mb-3">תנועה חדשה</h2>
+        <form onSubmit={addTx} className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="תאריך"><input type="date" className="w-full border rounded-xl px-3 py-2" value={form.date} onChange={e=>setForm({...form, date:e.target.value})} /></Field>
+            <Field label="סוג"><select className="w-full border rounded-xl px-3 py-2" value={form.type} onChange={e=>setForm({...form, type:e.target.value})}>{Object.entries(TX_TYPES).map(([k,l])=><option key={k} value={k}>{l}</option>)}</select></Field>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label={form.type==='transfer' ? "מחשבון" : "חשבון"}><select className="w-full border rounded-xl px-3 py-2" value={form.accountId} onChange={e=>setForm({...form, accountId:e.target.value})}>{ctx.accounts.map(a=><option key={a.id} value={a.id}>{a.name}</option>)}</select></Field>
+            {form.type==='transfer' && (
+              <Field label="לחשבון"><select className="w-full border rounded-xl px-3 py-2" value={form.toAccountId} onChange={e=>setForm({...form, toAccountId:e.target.value})}><option value="">—</option>{ctx.accounts.filter(a=>a.id!==form.accountId).map(a=><option key={a.id} value={a.id}>{a.name}</option>)}</select></Field>
+            )}
+          </div>
+          {household && (
+            <div className="grid grid-cols-2 gap-3 items-end">
+              <Field label={form.type==='income' ? "הכנסה של" : "שולם על ידי"}><select className="w-full border rounded-xl px-3 py-2" value={form.memberId} onChange={e=>setForm({...form, memberId:e.target.value})}>{ctx.members.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}</select></Field>
+              {form.type==='expense' && <label className="flex items-center gap-2 text-sm pb-2"><input type="checkbox" checked={form.shared} onChange={e=>setForm({...form, shared:e.target.checked})} /> הוצאה משותפת</label>}
+            </div>
+          )}
+          {form.type==='expense' && (
+            <Field label={ruleCategory && !catTouched ? "קטגוריה (לפי כלל סיווג)" : "קטגוריה"}><select className="w-full border rounded-xl px-3 py-2" value={form.category} onChange={e=>{ setCatTouched(true); setForm({...form, category:e.target.value}); }}><CategoryOptions categories={ctx.categories} /></select></Field>
+          )}
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2"><Field label="סכום"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.amount} onChange={e=>setForm({...form, amount:e.target.value})} /></Field></div>
+            <Field label="מטבע"><select className="w-full border rounded-xl px-3 py-2" value={form.currency} onChange={e=>setForm({...form, currency:e.target.value})}>{currencies.map(c=><option key={c} value={c}>{c}</option>)}</select></Field>
+          </div>
+          {form.currency !== BASE_CURRENCY && Number(form.amount) > 0 && (
+            <div className="text-xs text-teal-700">{(() => { const r = rateFor(ctx.fxRates, form.currency, form.date); return r == null ? "אין שער המרה למטבע זה" : `≈ ${currency(Number(form.amount) * r)} (שער ${r})`; })()}</div>
+          )}
+          <Field label="הערה"><input type="text" className="w-full border rounded-xl px-3 py-2" value={form.note} onChange={e=>setForm({...form, note:e.target.value})} placeholder="למשל: קניות / לקוח X" /></Field>
+          {formError && <div className="text-sm text-red-600">{formError}</div>}
+          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף תנועה</button>
+        </form>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2 overflow-hidden">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold">תנועות <span className="text-sm font-normal text-teal-700">({totals.count})</span></h2>
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-teal-700">חודש:</span>
+            <input type="month" value={filterMonth} onChange={e=>e.target.value && setFilter(periodRange(e.target.value, ctx.monthStart))} className="border rounded-xl px-3 py-2" />
+            {filterMonth && ctx.monthStart > 1 && <span className="text-xs text-teal-700">{filter.from} עד {filter.to}</span>}
+          </div>
+        </div>
+        <div className="flex flex-wrap items-end gap-2 mb-3 text-sm">
+          <input type="search" placeholder="חיפוש בהערות…" className="border rounded-lg px-2 py-1 flex-1 min-w-[10rem]" value={filter.q} onChange={e=>setFilter({ q: e.target.value })} />
+          <select className="border rounded-lg px-2 py-1" value={filter.cat} onChange={e=>setFilter({ cat: e.target.value })}>
+            <option value="">כל הקטגוריות</option>
+            <CategoryOptions categories={ctx.categories} extra={["הכנסה", "העברה"]} />
+          </select>
+          <select className="border rounded-lg px-2 py-1" value={filter.type} onChange={e=>setFilter({ type: e.target.value })}>
+            <option value="">כל הסוגים</option>
+            {Object.entries(TX_TYPES).map(([k,l])=><option key={k} value={k}>{l}</option>)}
+          </select>
+          <input type="number" placeholder="מסכום" className="border rounded-lg px-2 py-1 w-24" value={filter.min} onChange={e=>setFilter({ min: e.target.value })} />
+          <input type="number" placeholder="עד סכום" className="border rounded-lg px-2 py-1 w-24" value={filter.max} onChange={e=>setFilter({ max: e.target.value })} />
+          <label className="text-teal-700">מ-<input type="date" className="border rounded-lg px-2 py-1 mr-1" value={filter.from} onChange={e=>setFilter({ from: e.target.value })} /></label>
+          <label className="text-teal-700">עד<input type="date" className="border rounded-lg px-2 py-1 mr-1" value={filter.to} onChange={e=>setFilter({ to: e.target.value })} /></label>
+          <select className="border rounded-lg px-2 py-1" value={filter.dow} onChange={e=>setFilter({ dow: e.target.value })}>
+            <option value="">כל הימים</option>
+            {WEEKDAYS.map((d, i) => <option key={i} value={i}>יום {d}</option>)}
+          </select>
+          {household && (
+            <select className="border rounded-lg px-2 py-1" value={filter.member} onChange={e=>setFilter({ member: e.target.value })}>
+              <option value="">כל בני הבית</option>
+              {ctx.members.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              <option value={SHARED_FILTER}>הוצאות משותפות</option>
+            </select>
+          )}
+          <button onClick={()=>setParams(filterToQuery({}), { replace: true })} className="px-2 py-1 rounded-lg bg-white border hover:shadow">כל ההיסטוריה</button>
+          <button onClick={saveFilter} className="px-2 py-1 rounded-lg bg-teal-600 text-white hover:bg-teal-700">שמור תצוגה</button>
+        </div>
+        {filter.ids && (
+          <div className="flex items-center gap-2 mb-3 text-xs">
+            <span className="px-2 py-1 rounded-full bg-amber-50 border border-amber-200 text-amber-800">מוצגות רק התנועות של התובנה ({filter.ids.split(",").length})</span>
+            <button onClick={()=>setFilter({ ids: "" })} className="text-teal-700 hover:underline">הצג הכל</button>
+          </div>
+        )}
+        {ctx.savedFilters.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+            <span className="text-teal-700">תצוגות שמורות:</span>
+            {ctx.savedFilters.map(v => (
+              <span key={v.id} className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-teal-50 border">
+                <button onClick={()=>setParams(v.query)} className="text-teal-800 hover:underline">{v.name}</button>
+                <button onClick={()=>ctx.setSavedFilters(prev=>prev.filter(x=>x.id!==v.id))} className="text-red-600" title="הסר">×</button>
+              </span>
+            ))}
+          </div>
+        )}
+        {formError && editingId && <div className="text-sm text-red-600 mb-2">{formError}</div>}
+        {ruleOffer && (
+          <div className="flex flex-wrap items-center gap-3 mb-3 p-3 rounded-xl bg-teal-50 text-sm">
+            <span>תמיד לסווג את "<b>{ruleOffer.pattern}</b>" כ<b>{ruleOffer.category}</b>?</span>
+            <button onClick={acceptRuleOffer} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">כן, צור כלל</button>
+            <button onClick={()=>setRuleOffer(null)} className="px-2 py-1 rounded-lg bg-white border hover:shadow">לא</button>
+          </div>
+        )}
+        <div className="grid grid-cols-3 gap-3 mb-3">
+          <KPI title="הכנסות" value={currency(totals.income)} />
+          <KPI title="הוצאות" value={currency(totals.expense)} />
+          <KPI title="נטו" value={currency(totals.net)} tone={totals.net>=0?"ok":"bad"} />
+        </div>
+        {bulkUndo && (
+          <div className="flex flex-wrap items-center gap-3 mb-3 p-3 rounded-xl bg-amber-50 text-sm">
+            <span>{bulkUndo.label}</span>
+            <button onClick={undoBulk} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל פעולה</button>
+            <button onClick={()=>setBulkUndo(null)} className="text-teal-700 hover:underline">סגור</button>
+          </div>
+        )}
+        {selectedTx.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-3 p-3 rounded-xl bg-teal-50 text-sm">
+            <span className="font-medium">נבחרו {bulkSummary(selectedTx)}</span>
+            <select className="border rounded-lg px-2 py-1" value={bulk.kind} onChange={e=>setBulkKind(e.target.value)}>{Object.entries(BULK_ACTIONS).map(([k,l])=><option key={k} value={k}>{l}</option>)}</select>
+            {bulk.kind === 'category' && <select className="border rounded-lg px-2 py-1" value={bulk.value} onChange={e=>setBulk({...bulk, value:e.target.value})}><CategoryOptions categories={ctx.categories} /></select>}
+            {bulk.kind === 'type' && <select className="border rounded-lg px-2 py-1" value={bulk.value} onChange={e=>setBulk({...bulk, value:e.target.value})}><option value="expense">{TX_TYPES.expense}</option><option value="income">{TX_TYPES.income}</option></select>}
+            {bulk.kind === 'note' && <input type="text" placeholder="טקסט להוספה" className="border rounded-lg px-2 py-1" value={bulk.value} onChange={e=>setBulk({...bulk, value:e.target.value})} />}
+            {bulk.kind === 'date' && <input type="date" className="border rounded-lg px-2 py-1" value={bulk.value} onChange={e=>setBulk({...bulk, value:e.target.value})} />}
+            <button onClick={applyBulk} className={`px-2 py-1 rounded-lg text-white ${bulk.kind === 'delete' ? "bg-red-600 hover:bg-red-700" : "bg-emerald-600 hover:bg-emerald-700"}`}>החל</button>
+            <button onClick={()=>setSelected(new Set())} className="text-teal-700 hover:underline">נקה בחירה</button>
+          </div>
+        )}
+        <div className="overflow-auto max-h-[480px] rounded-xl border" onScroll={e=>virtual && setScrollTop(e.currentTarget.scrollTop)}>
+          <table className="min-w-full text-sm">
+            <thead className="bg-teal-50 sticky top-0">
+              <tr>
+                <th className="p-2"><input type="checkbox" aria-label="בחר הכל" checked={visibleTx.length > 0 && selectedTx.length === visibleTx.length} onChange={toggleAll} /></th>
+                {[["date","תאריך"],["type","סוג"],[null,"חשבון"],["category","קטגוריה"],["note","הערה"],["amount","סכום"]].map(([key, label]) => (
+                  <th key={label} className="text-right p-2">
+                    {key ? <button onClick={()=>sortBy(key)} className="hover:underline">{label}{(filter.sort || "date") === key ? (filter.dir === "asc" ? " ▲" : " ▼") : ""}</button> : label}
+                  </th>
+                ))}
+                <th className="p-2">פעולות</th>
+              </tr>
+            </thead>
+            <tbody ref={tbodyRef}>
+              {win.padTop > 0 && <tr aria-hidden="true" style={{ height: win.padTop }} />}
+              {visibleTx.slice(win.start, win.end).map((t, k, _, i = win.start + k)=> (
+                editingId === t.id ? (
+                  <React.Fragment key={t.id}>
+                  <tr data-tx={t.id} className="border-t bg-teal-50/40">
+                    <td className="p-2" />
+                    <td className="p-2"><input type="date" className="border rounded-lg px-2 py-1" value={editForm.date} onChange={e=>setEditForm({...editForm, date:e.target.value})} /></td>
+                    <td className="p-2">
+                      <select className="border rounded-lg px-2 py-1" value={editForm.type} onChange={e=>setEditForm({...editForm, type:e.target.value})}>
+                        {Object.entries(TX_TYPES).map(([k,l])=><option key={k} value={k}>{l}</option>)}
+                      </select>
+                    </td>
+                    <td className="p-2">
+                      <select className="border rounded-lg px-2 py-1" value={editForm.accountId} onChange={e=>setEditForm({...editForm, accountId:e.target.value})}>
+                        {ctx.accounts.map(a=><option key={a.id} value={a.id}>{a.name}</option>)}
+                      </select>
+                      {editForm.type === 'transfer' && (
+                        <select className="border rounded-lg px-2 py-1 mt-1 block" value={editForm.toAccountId} onChange={e=>setEditForm({...editForm, toAccountId:e.target.value})}>
+                          <option value="">לחשבון…</option>
+                          {ctx.accounts.filter(a=>a.id!==editForm.accountId).map(a=><option key={a.id} value={a.id}>{a.name}</option>)}
+                        </select>
+                      )}
+                      {household && (
+                        <select className="border rounded-lg px-2 py-1 mt-1 block" value={editForm.memberId} onChange={e=>setEditForm({...editForm, memberId:e.target.value})}>
+                          {ctx.members.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}
+                        </select>
+                      )}
+                      {household && editForm.type === 'expense' && <label className="flex items-center gap-1 text-xs mt-1"><input type="checkbox" checked={editForm.shared} onChange={e=>setEditForm({...editForm, shared:e.target.checked})} /> משותפת</label>}
+                    </td>
+                    <td className="p-2">
+                      {editForm.type !== 'expense' ? (
+                        <span className="text-teal-700">{TX_TYPES[editForm.type]}</span>
+                      ) : editForm.splits.length ? (
+                        <span className="text-teal-700">{SPLIT_CATEGORY}</span>
+                      ) : (
+                        <select className="border rounded-lg px-2 py-1" value={editForm.category} onChange={e=>setEditForm({...editForm, category:e.target.value})}>
+                          <CategoryOptions categories={ctx.categories} />
+                        </select>
+                      )}
+                      {editForm.type === 'expense' && !editForm.splits.length && <button type="button" onClick={addSplitLine} className="block text-xs text-teal-700 hover:underline mt-1">פצל</button>}
+                    </td>
+                    <td className="p-2"><input type="text" className="border rounded-lg px-2 py-1 w-40" value={editForm.note} onChange={e=>setEditForm({...editForm, note:e.target.value})} /></td>
+                    <td className="p-2">
+                      <input type="number" className="border rounded-lg px-2 py-1 w-28 text-right" value={editForm.amount} onChange={e=>setEditForm({...editForm, amount:e.target.value})} />
+                      <select className="border rounded-lg px-2 py-1 mt-1 block" value={editForm.currency} onChange={e=>setEditForm({...editForm, currency:e.target.value})}>{currencies.map(c=><option key={c} value={c}>{c}</option>)}</select>
+                    </td>
+                    <td className="p-2 text-center">
+                      <div className="flex items-center gap-2 justify-center">
+                        <button onClick={saveEdit} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">שמור</button>
+                        <button onClick={cancelEdit} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
+                      </div>
+                    </td>
+                  </tr>
+                  {editForm.type === 'expense' && editForm.splits.length > 0 && (
+                    <tr data-tx={t.id} className="bg-teal-50/40">
+                      <td colSpan={8} className="p-2">
+                        <div className="space-y-2">
+                          {editForm.splits.map((l, i) => (
+                            <div key={i} className="flex flex-wrap items-center gap-2">
+                              <select className="border rounded-lg px-2 py-1" value={l.category} onChange={e=>setSplit(i, { category: e.target.value })}><CategoryOptions categories={ctx.categories} /></select>
+                              <input type="number" placeholder="סכום (₪)" className="border rounded-lg px-2 py-1 w-28 text-right" value={l.amount} onChange={e=>setSplit(i, { amount: e.target.value })} />
+                              <input type="text" placeholder="הערה לשורה" className="border rounded-lg px-2 py-1 w-48" value={l.note} onChange={e=>setSplit(i, { note: e.target.value })} />
+                              <button type="button" onClick={()=>removeSplitLine(i)} className="text-red-600 text-xs hover:underline">הסר</button>
+                            </div>
+                          ))}
+                          <div className="flex items-center gap-3 text-xs">
+                            <button type="button" onClick={addSplitLine} className="text-teal-700 hover:underline">הוסף שורה</button>
+                            {editForm.currency === BASE_CURRENCY && (
+                              <span className="text-teal-700">נותר לחלוקה: {currency((Number(editForm.amount)||0) - editForm.splits.reduce((a, l) => a + (Number(l.amount)||0), 0))}</span>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
+                ) : (
+                  <tr key={t.id} data-tx={t.id} className={`border-t hover:bg-teal-50/40 ${selected.has(t.id) ? "bg-teal-50" : ""}`}>
+                    <td className="p-2"><input type="checkbox" checked={selected.has(t.id)} onClick={e=>toggleRow(i, e)} onChange={()=>{}} /></td>
+                    <td className="p-2 whitespace-nowrap">{t.date}</td>
+                    <td className="p-2">{TX_TYPES[t.type]}</td>
+                    <td className="p-2 whitespace-nowrap">
+                      {t.type==='transfer' ? `${accountName(txAccount(t))} ← ${accountName(t.toAccountId)}` : accountName(txAccount(t))}
+                      {household && <div className="text-xs text-teal-700">{memberName(txMember(t))}{t.shared && " • משותפת"}</div>}
+                    </td>
+                    <td className="p-2">
+                      {categoryInfo(ctx.categories, t.category)?.icon ? `${categoryInfo(ctx.categories, t.category).icon} ` : ""}{t.category||"—"}
+                      {t.splits?.length > 0 && <div className="text-xs text-teal-700">{t.splits.map(l => `${l.category} ${currency(l.amount)}`).join(" • ")}</div>}
+                    </td>
+                    <td className="p-2">{t.note||""}{t.recurringId && <span className="mr-2 text-xs px-2 py-0.5 rounded-full bg-teal-100 text-teal-700">קבועה</span>}{goalOfTx.has(t.id) && <span className="mr-2 text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700">יעד: {goalOfTx.get(t.id)}</span>}</td>
+                    <td className={`p-2 font-medium ${t.type==='income'?"text-emerald-700":t.type==='transfer'?"text-teal-700":"text-red-600"}`}>
+                      {currency(t.amount)}
+                      {t.currency && t.currency !== BASE_CURRENCY && <div className="text-xs font-normal text-teal-700">{currency(t.originalAmount, t.currency)}</div>}
+                    </td>
+                    <td className="p-2 text-center">
+                      <div className="flex items-center gap-3 justify-center">
+                        <button onClick={()=>startEdit(t)} className="text-teal-700 hover:underline">ערוך</button>
+                        <button onClick={()=>removeTx(t.id)} className="text-red-600 hover:underline">מחק</button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              ))}
+              {win.padBottom > 0 && <tr aria-hidden="true" style={{ height: win.padBottom }} />}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// <option>s for the taxonomy: subcategories indented under their parent
+function CategoryOptions({ categories, extra = [] }) {
+  const parents = categoryParents(categories);
+  return (
+    <>
+      {categoryNames(categories).map(name => { const c = categoryInfo(categories, name); return <option key={name} value={name}>{parents.has(name) ? "\u00A0\u00A0↳ " : ""}{c.icon ? `${c.icon} ` : ""}{name}</option>; })}
+      {extra.map(name => <option key={name} value={name}>{name}</option>)}
+    </>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="block text-sm text-teal-700">
+      <span className="mb-1 inline-block">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+// ---------- Recurring Page ----------
+function RecurringPage({ ctx }) {
+  const emptyForm = { note: "", type: "expense", amount: "", currency: BASE_CURRENCY, category: categoryNames(ctx.categories)[0], accountId: ctx.accounts[0]?.id, memberId: DEFAULT_MEMBER_ID, shared: false, freq: "monthly", startDate: todayISO(), endDate: "" };
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState(emptyForm);
+
+  const postedByRule = useMemo(() => ctx.transactions.reduce((m, t) => { if (t.recurringId) m[t.recurringId] = (m[t.recurringId] || 0) + 1; return m; }, {}), [ctx.transactions]);
+
+  function addRule(e){
+    e.preventDefault(); const amount = Number(form.amount); if(!amount||amount<=0||!form.startDate) return;
+    ctx.setRecurring(prev => [...prev, { id: `r${Date.now()}`, note: form.note.trim(), type: form.type, amount, currency: form.currency, category: form.category, accountId: form.accountId, memberId: form.memberId, shared: form.type === 'expense' && form.shared, freq: form.freq, startDate: form.startDate, endDate: form.endDate, count: 0, paused: false }]);
+    setForm({ ...emptyForm });
+  }
+  function updateRule(id, fn){ ctx.setRecurring(prev => prev.map(r => r.id === id ? fn(r) : r)); }
+  function removeRule(id){ if(confirm("למחוק את הכלל? תנועות שכבר נרשמו יישארו.")) ctx.setRecurring(prev => prev.filter(r => r.id !== id)); }
+  function togglePause(r){ updateRule(r.id, x => x.paused ? { ...skipPastOccurrences(x, todayISO()), paused: false } : { ...x, paused: true }); }
+  function skipNext(r){ updateRule(r.id, x => nextOccurrence(x) ? { ...x, count: (x.count || 0) + 1 } : x); }
+
+  function startEdit(r){
+    setEditingId(r.id);
+    setEditForm({ note: r.note, type: r.type, amount: String(r.amount), currency: r.currency || BASE_CURRENCY, category: r.category, accountId: txAccount(r), memberId: txMember(r), shared: !!r.shared, freq: r.freq, startDate: nextOccurrence(r) || r.startDate, endDate: r.endDate || "" });
+  }
+  // Edits apply from the next occurrence on; already-posted transactions are left as they are.
+  function saveEdit(e){
+    e?.preventDefault?.();
+    const amount = Number(editForm.amount); if(!amount||amount<=0||!editForm.startDate) return;
+    updateRule(editingId, r => {
+      const rebase = editForm.freq !== r.freq || editForm.startDate !== nextOccurrence(r);
+      return { ...r, note: editForm.note.trim(), type: editForm.type, amount, currency: editForm.currency, category: editForm.category, accountId: editForm.accountId, memberId: editForm.memberId, shared: editForm.type === 'expense' && editForm.shared, freq: editForm.freq, endDate: editForm.endDate,
+        ...(rebase ? { startDate: editForm.startDate, count: 0 } : {}) };
+    });
+    setEditingId(null);
+  }
+
+  function ruleFields(f, setF, dateLabel){
+    return (
+      <>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="סוג"><select className="w-full border rounded-xl px-3 py-2" value={f.type} onChange={e=>setF({...f, type:e.target.value})}><option value="expense">הוצאה</option><option value="income">הכנסה</option></select></Field>
+          <Field label="תדירות"><select className="w-full border rounded-xl px-3 py-2" value={f.freq} onChange={e=>setF({...f, freq:e.target.value})}>{Object.entries(FREQUENCIES).map(([k,l])=><option key={k} value={k}>{l}</option>)}</select></Field>
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label="חשבון"><select className="w-full border rounded-xl px-3 py-2" value={f.accountId} onChange={e=>setF({...f, accountId:e.target.value})}>{ctx.accounts.map(a=><option key={a.id} value={a.id}>{a.name}</option>)}</select></Field>
+          {f.type==='expense' && (
+            <Field label="קטגוריה"><select className="w-full border rounded-xl px-3 py-2" value={f.category} onChange={e=>setF({...f, category:e.target.value})}><CategoryOptions categories={ctx.categories} /></select></Field>
+          )}
+        </div>
+        {ctx.members.length > 1 && (
+          <div className="grid grid-cols-2 gap-3 items-end">
+            <Field label="בן משק הבית"><select className="w-full border rounded-xl px-3 py-2" value={f.memberId} onChange={e=>setF({...f, memberId:e.target.value})}>{ctx.members.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}</select></Field>
+            {f.type==='expense' && <label className="flex items-center gap-2 text-sm pb-2"><input type="checkbox" checked={f.shared} onChange={e=>setF({...f, shared:e.target.checked})} /> הוצאה משותפת</label>}
+          </div>
+        )}
+        <div className="grid grid-cols-3 gap-3">
+          <div className="col-span-2"><Field label="סכום"><input type="number" className="w-full border rounded-xl px-3 py-2" value={f.amount} onChange={e=>setF({...f, amount:e.target.value})} /></Field></div>
+          <Field label="מטבע"><select className="w-full border rounded-xl px-3 py-2" value={f.currency} onChange={e=>setF({...f, currency:e.target.value})}>{KNOWN_CURRENCIES.map(c=><option key={c} value={c}>{c}</option>)}</select></Field>
+        </div>
+        <Field label="הערה"><input type="text" className="w-full border rounded-xl px-3 py-2" value={f.note} onChange={e=>setF({...f, note:e.target.value})} placeholder="למשל: שכירות / Adobe" /></Field>
+        <div className="grid grid-cols-2 gap-3">
+          <Field label={dateLabel}><input type="date" className="w-full border rounded-xl px-3 py-2" value={f.startDate} onChange={e=>setF({...f, startDate:e.target.value})} /></Field>
+          <Field label="תאריך סיום (רשות)"><input type="date" className="w-full border rounded-xl px-3 py-2" value={f.endDate} onChange={e=>setF({...f, endDate:e.target.value})} /></Field>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
+        <h2 className="font-semibold mb-3">תנועה קבועה חדשה</h2>
+        <form onSubmit={addRule} className="space-y-3">
+          {ruleFields(form, setForm, "תאריך התחלה")}
+          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף תנועה קבועה</button>
+        </form>
+        <p className="text-xs text-teal-700 mt-3">מופעים שהגיע מועדם נרשמים אוטומטית בכל כניסה לאפליקציה.</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
+        <h2 className="font-semibold mb-3">כללים קבועים</h2>
+        {!ctx.recurring.length && <div className="text-sm text-teal-700">אין עדיין תנועות קבועות.</div>}
+        <div className="grid md:grid-cols-2 gap-4">
+          {ctx.recurring.map((r)=>{
+            const next = nextOccurrence(r);
+            return editingId === r.id ? (
+              <form key={r.id} onSubmit={saveEdit} className="border rounded-xl p-4 space-y-3 bg-teal-50/40">
+                {ruleFields(editForm, setEditForm, "המופע הבא")}
+                <div className="flex items-center gap-2">
+                  <button className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">שמור</button>
+                  <button type="button" onClick={()=>setEditingId(null)} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
+                </div>
+              </form>
+            ) : (
+              <div key={r.id} className={`border rounded-xl p-4 ${r.paused?"opacity-60":""}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-semibold">{r.note || (r.type==='income' ? 'הכנסה' : r.category)}</div>
+                  <div className={`font-medium ${r.type==='income'?"text-emerald-700":"text-red-600"}`}>{currency(r.amount, r.currency || BASE_CURRENCY)}</div>
+                </div>
+                <div className="text-sm text-teal-700 space-y-1">
+                  <div>{FREQUENCIES[r.freq]}{r.type==='expense' && <> • {r.category}</>} • {ctx.accounts.find(a=>a.id===txAccount(r))?.name}</div>
+                  <div>המופע הבא: <b>{r.paused ? "מושהה" : (next || "הסתיים")}</b>{r.endDate && <> • עד {r.endDate}</>}</div>
+                  <div>נרשמו: <b>{postedByRule[r.id]||0}</b> תנועות</div>
+                </div>
+                <div className="flex items-center gap-3 mt-2 text-sm">
+                  <button onClick={()=>togglePause(r)} className="text-teal-700 hover:underline">{r.paused ? "המשך" : "השהה"}</button>
+                  {!r.paused && next && <button onClick={()=>skipNext(r)} className="text-teal-700 hover:underline">דלג על הבא</button>}
+                  <button onClick={()=>startEdit(r)} className="text-teal-700 hover:underline">ערוך</button>
+                  <button onClick={()=>removeRule(r.id)} className="text-red-600 hover:underline">מחק</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Rules Page ----------
+function RulesPage({ ctx }) {
+  const emptyForm = { match: "contains", pattern: "", type: "expense", minAmount: "", maxAmount: "", category: categoryNames(ctx.categories)[0] };
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  function addRule(e){
+    e.preventDefault();
+    if (!form.pattern.trim() && form.minAmount === "" && form.maxAmount === "") { setError("יש להזין טקסט או טווח סכומים"); return; }
+    if (form.match === 'regex') { try { new RegExp(form.pattern); } catch { setError("ביטוי רגולרי לא תקין"); return; } }
+    ctx.setCatRules(prev => [...prev, { ...form, id: `c${Date.now()}`, pattern: form.pattern.trim() }]);
+    setForm(emptyForm); setError("");
+  }
+  function removeRule(id){ ctx.setCatRules(prev => prev.filter(r => r.id !== id)); }
+  function moveRule(i, dir){
+    ctx.setCatRules(prev => { const next = [...prev]; const j = i + dir; if (j < 0 || j >= next.length) return prev; [next[i], next[j]] = [next[j], next[i]]; return next; });
+  }
+
+  function runPreview(){ setPreview(previewRecategorize(ctx.transactions, ctx.catRules).map(c => ({ ...c, keep: true }))); }
+  function applyPreview(){
+    const changes = new Map(preview.filter(c => c.keep).map(c => [c.tx.id, c.to]));
+    ctx.setTransactions(prev => prev.map(t => changes.has(t.id) ? { ...t, category: changes.get(t.id) } : t));
+    setPreview(null);
+  }
+
+  function describe(r){
+    const parts = [r.pattern ? (r.match === 'regex' ? `ביטוי /${r.pattern}/` : `מכיל "${r.pattern}"`) : "כל הערה"];
+    if (r.type === 'income') parts.push("הכנסה");
+    if (r.minAmount !== "" || r.maxAmount !== "") parts.push(`סכום ${r.minAmount !== "" ? r.minAmount : 0}–${r.maxAmount !== "" ? r.maxAmount : "∞"}`);
+    return parts.join(" • ");
+  }
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
+        <h2 className="font-semibold mb-3">כלל סיווג חדש</h2>
+        <form onSubmit={addRule} className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="התאמה"><select className="w-full border rounded-xl px-3 py-2" value={form.match} onChange={e=>setForm({...form, match:e.target.value})}><option value="contains">הערה מכילה</option><option value="regex">ביטוי רגולרי</option></select></Field>
+            <Field label="סוג"><select className="w-full border rounded-xl px-3 py-2" value={form.type || "expense"} onChange={e=>setForm({...form, type:e.target.value})}><option value="expense">הוצאה</option><option value="income">הכנסה</option></select></Field>
+          </div>
+          <Field label="טקסט"><input className="w-full border rounded-xl px-3 py-2" value={form.pattern} onChange={e=>setForm({...form, pattern:e.target.value})} placeholder="למשל: Wolt" /></Field>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label="סכום מינימלי"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.minAmount} onChange={e=>setForm({...form, minAmount:e.target.value})} /></Field>
+            <Field label="סכום מקסימלי"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.maxAmount} onChange={e=>setForm({...form, maxAmount:e.target.value})} /></Field>
+          </div>
+          <Field label="קטגוריה"><select className="w-full border rounded-xl px-3 py-2" value={form.category} onChange={e=>setForm({...form, category:e.target.value})}><CategoryOptions categories={ctx.categories} extra={["הכנסה"]} /></select></Field>
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף כלל</button>
+        </form>
+        <p className="text-xs text-teal-700 mt-3">הכללים רצים בייבוא CSV ובהזנה ידנית. הכלל הראשון שמתאים קובע.</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">כללי סיווג</h2>
+          <button onClick={runPreview} disabled={!ctx.catRules.length} className="px-3 py-1 rounded-xl bg-white border shadow hover:shadow-md text-sm disabled:opacity-50">הרץ כללים על ההיסטוריה</button>
+        </div>
+        {!ctx.catRules.length && <div className="text-sm text-teal-700">אין עדיין כללים.</div>}
+        <ul className="space-y-2 mb-4">
+          {ctx.catRules.map((r, i) => (
+            <li key={r.id} className="border rounded-xl p-3 flex items-center justify-between text-sm">
+              <div><span className="text-teal-700">{i + 1}.</span> {describe(r)} ← <b>{r.category}</b></div>
+              <div className="flex items-center gap-3">
+                <button onClick={()=>moveRule(i, -1)} className="text-teal-700 hover:underline">למעלה</button>
+                <button onClick={()=>moveRule(i, 1)} className="text-teal-700 hover:underline">למטה</button>
+                <button onClick={()=>removeRule(r.id)} className="text-red-600 hover:underline">מחק</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {preview && (
+          <div>
+            <h3 className="font-semibold mb-2">תצוגה מקדימה: {preview.length} תנועות ישתנו</h3>
+            <div className="overflow-auto max-h-[360px] rounded-xl border mb-3">
+              <table className="min-w-full text-sm">
+                <thead className="bg-teal-50 sticky top-0">
+                  <tr>
+                    <th className="p-2"></th>
+                    <th className="text-right p-2">תאריך</th>
+                    <th className="text-right p-2">הערה</th>
+                    <th className="text-right p-2">סכום</th>
+                    <th className="text-right p-2">קטגוריה נוכחית</th>
+                    <th className="text-right p-2">קטגוריה חדשה</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((c, i) => (
+                    <tr key={c.tx.id} className="border-t">
+                      <td className="p-2 text-center"><input type="checkbox" checked={c.keep} onChange={e=>setPreview(preview.map((x, j) => j === i ? { ...x, keep: e.target.checked } : x))} /></td>
+                      <td className="p-2 whitespace-nowrap">{c.tx.date}</td>
+                      <td className="p-2">{c.tx.note}</td>
+                      <td className="p-2">{currency(c.tx.amount)}</td>
+                      <td className="p-2 text-teal-700">{c.tx.category || "—"}</td>
+                      <td className="p-2 font-medium">{c.to}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex items-center gap-2">
+              <button onClick={applyPreview} disabled={!preview.some(c=>c.keep)} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow disabled:opacity-50">החל {preview.filter(c=>c.keep).length} שינויים</button>
+              <button onClick={()=>setPreview(null)} className="px-4 py-2 rounded-xl bg-white border hover:shadow">סגור</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ---------- Rates Page ----------
+function RatesPage({ ctx }) {
+  const [form, setForm] = useState({ currency: "USD", date: todayISO(), rate: "" });
+  const [filter, setFilter] = useState("");
+  const [message, setMessage] = useState("");
+  const shown = ctx.fxRates.filter(r => !filter || r.currency === filter);
+  const codes = [...new Set(ctx.fxRates.map(r => r.currency))];
+  // foreign-currency transactions whose stored shekel amount differs from what the table gives today
+  const stale = useMemo(() => ctx.transactions.filter(t => { const c = withConversion(t, ctx.fxRates); return c && c.amount !== t.amount; }), [ctx.transactions, ctx.fxRates]);
+
+  function addRate(e){
+    e.preventDefault();
+    const code = normalizeCurrency(form.currency); const rate = Number(form.rate);
+    if (!code || code === BASE_CURRENCY || !form.date || !(rate > 0)) return;
+    ctx.setFxRates(prev => mergeRates(prev, [{ currency: code, date: form.date, rate }]));
+    setForm({ ...form, rate: "" });
+  }
+  function removeRate(r){ ctx.setFxRates(prev => prev.filter(x => x !== r)); }
+  function onFile(e){
+    const f = e.target.files?.[0]; if(!f) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const incoming = parseRatesCSV(String(reader.result||""));
+      ctx.setFxRates(prev => mergeRates(prev, incoming));
+      setMessage(incoming.length ? `יובאו ${incoming.length} שערים.` : "לא נמצאו שערים בקובץ (נדרשות עמודות date,currency,rate או date,USD,EUR...).");
+    };
+    reader.readAsText(f);
+    e.target.value = "";
+  }
+  function reconvert(){
+    ctx.setTransactions(prev => prev.map(t => withConversion(t, ctx.fxRates) || t));
+    setMessage(`עודכנו ${stale.length} תנועות.`);
+  }
+
   return (
-    <div className={`bg-white rounded-2xl shadow p-4 ring-1 ${ring}`}>
-      <div className="text-sm text-teal-700">{title}</div>
-      <div className="text-2xl font-bold">{value}</div>
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1 space-y-4">
+        <div>
+          <h2 className="font-semibold mb-3">שער חדש</h2>
+          <form onSubmit={addRate} className="space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <Field label="מטבע"><input className="w-full border rounded-xl px-3 py-2" value={form.currency} onChange={e=>setForm({...form, currency:e.target.value})} placeholder="USD" /></Field>
+              <Field label="תאריך"><input type="date" className="w-full border rounded-xl px-3 py-2" value={form.date} onChange={e=>setForm({...form, date:e.target.value})} /></Field>
+            </div>
+            <Field label="שער (₪ ליחידה)"><input type="number" step="0.0001" className="w-full border rounded-xl px-3 py-2" value={form.rate} onChange={e=>setForm({...form, rate:e.target.value})} /></Field>
+            <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף שער</button>
+          </form>
+        </div>
+        <div>
+          <h2 className="font-semibold mb-2">ייבוא שערים מ-CSV</h2>
+          <p className="text-sm text-teal-700 mb-2">עמודות date,currency,rate או date ועמודה לכל מטבע (USD,EUR...).</p>
+          <input type="file" accept=".csv,text/csv" onChange={onFile} className="block" />
+        </div>
+        {message && <p className="text-sm text-teal-800">{message}</p>}
+        <p className="text-xs text-teal-700">לכל תנועה נלקח השער האחרון שתאריכו אינו מאוחר מתאריך התנועה.</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">טבלת שערים</h2>
+          <div className="flex items-center gap-3">
+            {stale.length > 0 && <button onClick={reconvert} className="px-3 py-1 rounded-xl bg-white border shadow hover:shadow-md text-sm">עדכן המרה ב-{stale.length} תנועות</button>}
+            <select className="border rounded-xl px-3 py-2" value={filter} onChange={e=>setFilter(e.target.value)}>
+              <option value="">כל המטבעות</option>
+              {codes.map(c=><option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+        </div>
+        {!shown.length ? <div className="text-sm text-teal-700">אין עדיין שערים.</div> : (
+          <div className="overflow-auto max-h-[480px] rounded-xl border">
+            <table className="min-w-full text-sm">
+              <thead className="bg-teal-50 sticky top-0">
+                <tr>
+                  <th className="text-right p-2">תאריך</th>
+                  <th className="text-right p-2">מטבע</th>
+                  <th className="text-right p-2">שער</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(r => (
+                  <tr key={`${r.currency}:${r.date}`} className="border-t">
+                    <td className="p-2 whitespace-nowrap">{r.date}</td>
+                    <td className="p-2">{r.currency}</td>
+                    <td className="p-2">{r.rate}</td>
+                    <td className="p-2 text-center"><button onClick={()=>removeRate(r)} className="text-red-600 hover:underline">מחק</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
-// ---------- Dashboard ----------
-function Dashboard({ ctx }) {
-  const { monthlyAgg, transactions, budgets } = ctx;
-  const nowYm = new Date().toISOString().slice(0,7);
-  const thisMonth = transactions.filter(t=>ym(t.date)===nowYm);
-  const expensesByCat = thisMonth.filter(t=>t.type==='expense').reduce((acc,t)=>{acc[t.category||'אחר']=(acc[t.category||'אחר']||0)+t.amount; return acc;},{});
-  const pieData = Object.entries(expensesByCat).map(([name,value])=>({ name, value }));
+// ---------- Budgets Page ----------
+function BudgetsPage({ ctx }) {
+  const nowYm = currentPeriod(ctx.monthStart);
+  const [month, setMonth] = useState(nowYm);
+  const parents = useMemo(() => categoryParents(ctx.categories), [ctx.categories]);
+  const spendIdx = useMemo(() => spendIndexFromAggregates(ctx.aggregates, parents), [ctx.aggregates, parents]);
+  // A personal budget counts what its member answers for (own expenses plus their part of shared ones)
+  const owners = [...new Set(Object.values(ctx.budgetOwners))].filter(id => ctx.members.some(m => m.id === id));
+  const memberIdx = useMemo(() => {
+    const shares = memberShares(ctx.members);
+    return new Map(owners.map(id => [id, categorySpendIndex(memberView(ctx.transactions, id, shares), parents, ctx.monthStart)]));
+  }, [ctx.transactions, ctx.members, parents, ctx.monthStart, owners.join()]);
+  const idxFor = (cat) => memberIdx.get(ctx.budgetOwners[cat]) || spendIdx;
+  function setOwner(cat, id){
+    ctx.setBudgetOwners(prev => { const next = { ...prev }; if (id) next[cat] = id; else delete next[cat]; return next; });
+  }
+  const limits = budgetsForMonth(ctx.budgetVersions, month);
+  // every category in the taxonomy, plus budgets whose category no longer exists
+  const cats = [...new Set([...categoryNames(ctx.categories), ...Object.keys(limits)])];
+  const [chartCat, setChartCat] = useState(cats[0] || "");
 
-  const avgNet3 = useMemo(()=>{
-    const recent = monthlyAgg.slice(-3);
-    const sum = recent.reduce((a,r)=>a+r.net,0);
-    return Math.round(sum / (recent.length||1));
-  },[monthlyAgg]);
+  // A change made while viewing the current or a future month applies from that month on; a past month changes alone
+  const past = month < currentPeriod(ctx.monthStart);
+  function updateBudget(cat, value){ ctx.setBudgetVersions(prev => (past ? setBudgetIn : setBudgetFrom)(prev, cat, month, value)); }
+  function toggleRollover(cat, on){
+    ctx.setRollover(prev => { const next = { ...prev }; if (on) next[cat] = month; else delete next[cat]; return next; });
+  }
+
+  const chartData = useMemo(() => Array.from({ length: 12 }, (_, i) => {
+    const m = addMonths(month, i - 11);
+    const st = budgetStatus(ctx.budgetVersions, ctx.rollover, idxFor(chartCat), chartCat, m);
+    return { month: m, spent: st.spent, available: Math.max(0, st.available) };
+  }), [ctx.budgetVersions, ctx.rollover, spendIdx, memberIdx, ctx.budgetOwners, chartCat, month]);
+  const adherence = chartData.filter(d => d.available > 0 && d.spent <= d.available).length;
 
   return (
-    <div className="grid lg:grid-cols-3 gap-6">
-      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
-        <h2 className="font-semibold mb-2">תזרים 12 חודשים</h2>
-        <div className="h-72">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={ctx.monthlyAgg} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="month" />
-              <YAxis tickFormatter={(v)=>v/1000+"k"} />
-              <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
-              <Line type="monotone" dataKey="income" stroke="#10b981" strokeWidth={2} dot={false} />
-              <Line type="monotone" dataKey="expense" stroke="#ef4444" strokeWidth={2} dot={false} />
-              <Line type="monotone" dataKey="net" stroke="#0ea5e9" strokeWidth={2} dot={false} />
-            </LineChart>
-          </ResponsiveContainer>
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">תקציב לפי קטגוריה</h2>
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-teal-700">חודש:</span>
+            <input type="month" value={month} onChange={e=>e.target.value && setMonth(e.target.value)} className="border rounded-xl px-3 py-2" />
+          </div>
+        </div>
+        <p className="text-xs text-teal-700 mb-3">{past ? "שינוי סכום בחודש שעבר חל על החודש המוצג בלבד." : "שינוי סכום חל מהחודש המוצג והלאה; חודשים קודמים שומרים על התקציב שהיה בהם."}</p>
+        <div className="grid md:grid-cols-2 gap-4">
+          {cats.map((cat)=>{
+            const { limit, carried, available, spent } = budgetStatus(ctx.budgetVersions, ctx.rollover, idxFor(cat), cat, month);
+            const pct = available > 0 ? Math.min(100, Math.round((spent/available)*100)) : (spent > 0 ? 100 : 0); const over = spent > available;
+            return (
+              <div key={cat} className="border rounded-xl p-3 hover:shadow-sm">
+                <div className="flex items-center justify-between mb-2">
+                  <button onClick={()=>setChartCat(cat)} className={`font-medium hover:underline ${chartCat===cat?"text-teal-700":""}`}>
+                    <span className="inline-block w-2 h-2 rounded-full ml-1" style={{ background: categoryColor(ctx.categories, cat) }} />
+                    {categoryInfo(ctx.categories, cat)?.icon} {parents.has(cat) ? `${parents.get(cat)} › ` : ""}{cat}
+                  </button>
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-teal-700">תקציב:</span>
+                    <input type="number" className="w-24 border rounded-lg px-2 py-1 text-right" value={limit} onChange={e=>updateBudget(cat, e.target.value)} />
+                    <span className="text-teal-700">₪</span>
+                  </div>
+                </div>
+                <div className="w-full bg-gray-100 rounded-2xl h-3 overflow-hidden">
+                  <div className={`h-3 ${over?"bg-red-500": pct>85?"bg-amber-500":"bg-emerald-500"}`} style={{ width: `${pct}%` }} />
+                </div>
+                <div className="flex justify-between text-sm mt-1 text-teal-700">
+                  <span>הוצא: {currency(spent)}</span>
+                  <span>נשאר: {currency(Math.max(0, available-spent))}</span>
+                </div>
+                <div className="flex justify-between items-center text-xs mt-1 text-teal-700">
+                  <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={!!ctx.rollover[cat]} onChange={e=>toggleRollover(cat, e.target.checked)} />
+                    העברת יתרה לחודש הבא
+                  </label>
+                  {ctx.rollover[cat] && <span className={carried < 0 ? "text-red-600" : ""}>הועבר: {currency(carried)}</span>}
+                </div>
+                {ctx.members.length > 1 && (
+                  <label className="flex items-center gap-1 text-xs mt-1 text-teal-700">
+                    תקציב:
+                    <select className="border rounded-lg px-1 py-0.5" value={ctx.budgetOwners[cat] || ""} onChange={e=>setOwner(cat, e.target.value)}>
+                      <option value="">משותף</option>
+                      {ctx.members.map(m => <option key={m.id} value={m.id}>אישי — {m.name}</option>)}
+                    </select>
+                  </label>
+                )}
+              </div>
+            );
+          })}
         </div>
-        <p className="text-sm text-teal-700 mt-3">ממוצע נטו 3 חודשים: <b>{currency(avgNet3)}</b></p>
       </div>
 
-      <div className="bg-white rounded-2xl shadow p-4">
-        <h2 className="font-semibold mb-2">פילוח הוצאות לפי קטגוריה (החודש)</h2>
-        {pieData.length? (
-          <div className="h-72">
+      {chartCat && (
+        <div className="bg-white rounded-2xl shadow p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="font-semibold">עמידה בתקציב 12 חודשים — {chartCat}</h2>
+            <span className="text-sm text-teal-700">עמידה ב-{adherence} מתוך 12 חודשים</span>
+          </div>
+          <div className="h-64">
             <ResponsiveContainer width="100%" height="100%">
-              <PieChart>
-                <Pie data={pieData} dataKey="value" nameKey="name" outerRadius={100}>
-                  {pieData.map((_, i) => <Cell key={i} fill={COLORS[i % COLORS.length]} />)}
-                </Pie>
-                <Tooltip formatter={(v)=>currency(v)} />
-              </PieChart>
+              <BarChart data={chartData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis />
+                <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
+                <Legend />
+                <Bar dataKey="available" name="תקציב זמין" fill="#99f6e4" />
+                <Bar dataKey="spent" name="הוצא" fill="#ef4444" />
+              </BarChart>
             </ResponsiveContainer>
           </div>
-        ) : <div className="text-sm text-teal-700">אין נתוני הוצאות לחודש הנוכחי.</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Goals Page ----------
+function GoalsPage({ ctx }) {
+  const [form, setForm] = useState({ name: "", target: "", monthly: "", memberId: "" });
+  const [showArchive, setShowArchive] = useState(false);
+  // "" = all goals; otherwise shared goals plus that member's personal ones
+  const [owner, setOwner] = useState("");
+  function addGoal(e){ e.preventDefault(); if(!form.name||!Number(form.target)) return; ctx.setGoals(prev=>[...prev, { id: Date.now().toString(), name: form.name.trim(), target: Number(form.target), monthly: Number(form.monthly)||0, startYm: currentPeriod(ctx.monthStart), memberId: form.memberId }]); setForm({ name:"", target:"", monthly:"", memberId: form.memberId }); }
+  function removeGoal(id){ if(!confirm("למחוק את היעד ואת כל ההפקדות שלו?")) return; ctx.setGoals(prev=>prev.filter(g=>g.id!==id)); ctx.setGoalEntries(prev=>prev.filter(e=>e.goalId!==id)); }
+  function setArchived(id, archived){ ctx.setGoals(prev=>prev.map(g=>g.id===id ? { ...g, archived } : g)); }
+
+  const txById = useMemo(() => new Map(ctx.transactions.map(t => [t.id, t])), [ctx.transactions]);
+  const shown = ctx.goals.filter(g => !owner || !g.memberId || g.memberId === owner);
+  const active = shown.filter(g => !g.archived), archived = shown.filter(g => g.archived);
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
+        <h2 className="font-semibold mb-3">יעד חדש</h2>
+        <form onSubmit={addGoal} className="space-y-3">
+          <Field label="שם היעד"><input className="w-full border rounded-xl px-3 py-2" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} placeholder="למשל: מקדמה לרכב" /></Field>
+          <Field label="סכום יעד (₪)"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.target} onChange={e=>setForm({...form, target:e.target.value})} /></Field>
+          <Field label="הפרשה חודשית (₪)"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.monthly} onChange={e=>setForm({...form, monthly:e.target.value})} /></Field>
+          {ctx.members.length > 1 && (
+            <Field label="שייך ל"><select className="w-full border rounded-xl px-3 py-2" value={form.memberId} onChange={e=>setForm({...form, memberId:e.target.value})}>
+              <option value="">משותף</option>
+              {ctx.members.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}
+            </select></Field>
+          )}
+          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף יעד</button>
+        </form>
       </div>
 
-      <div className="lg:col-span-3 grid md:grid-cols-3 gap-4">
-        <SmartHints transactions={transactions} budgets={budgets} />
+      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">היעדים שלי</h2>
+          {ctx.members.length > 1 && (
+            <select className="border rounded-lg px-2 py-1 text-sm" value={owner} onChange={e=>setOwner(e.target.value)}>
+              <option value="">כל היעדים</option>
+              {ctx.members.map(m=><option key={m.id} value={m.id}>משותפים ושל {m.name}</option>)}
+            </select>
+          )}
+        </div>
+        <div className="grid md:grid-cols-2 gap-4">
+          {active.map((g)=> <GoalCard key={g.id} ctx={ctx} goal={g} txById={txById} onRemove={()=>removeGoal(g.id)} onArchive={()=>setArchived(g.id, true)} />)}
+        </div>
+        {archived.length > 0 && (
+          <div className="mt-4">
+            <button onClick={()=>setShowArchive(!showArchive)} className="text-sm text-teal-700 hover:underline">{showArchive ? "הסתר" : "הצג"} ארכיון ({archived.length})</button>
+            {showArchive && (
+              <ul className="mt-2 text-sm space-y-1">
+                {archived.map(g => {
+                  const { saved } = goalProgress(g, goalLedger(g.id, ctx.goalEntries, txById), currentPeriod(ctx.monthStart));
+                  return (
+                    <li key={g.id} className="flex items-center justify-between border rounded-xl p-2">
+                      <span>{g.name} — נחסכו {currency(saved)} מתוך {currency(g.target)}</span>
+                      <button onClick={()=>setArchived(g.id, false)} className="text-teal-700 hover:underline">החזר</button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-function SmartHints({ transactions, budgets }) {
-  const nowYm = new Date().toISOString().slice(0,7);
-  const monthTx = transactions.filter(t=>ym(t.date)===nowYm);
-  const spentByCat = monthTx.filter(t=>t.type==='expense').reduce((m,t)=>{m[t.category||'אחר']=(m[t.category||'אחר']||0)+t.amount; return m;},{});
-  const top = Object.entries(spentByCat).sort((a,b)=>b[1]-a[1]).slice(0,3);
+function GoalCard({ ctx, goal: g, txById, onRemove, onArchive }) {
+  const nowYm = currentPeriod(ctx.monthStart);
+  const [entry, setEntry] = useState({ kind: "contribution", amount: "", date: todayISO(), note: "" });
+  const [linkTx, setLinkTx] = useState("");
+  const ledger = goalLedger(g.id, ctx.goalEntries, txById);
+  const p = goalProgress(g, ledger, nowYm);
+  const linked = new Set(ctx.goalEntries.filter(e => e.txId !== undefined).map(e => e.txId));
+  const linkable = ctx.transactions.filter(t => t.type !== 'income' && !linked.has(t.id)).sort((a, b) => a.date < b.date ? 1 : -1).slice(0, 50);
+
+  function addEntry(e){
+    e.preventDefault(); const amount = Number(entry.amount); if(!(amount > 0)) return;
+    ctx.setGoalEntries(prev => [...prev, { id: `g${Date.now()}`, goalId: g.id, date: entry.date, amount: entry.kind === 'withdrawal' ? -amount : amount, note: entry.note.trim() }]);
+    setEntry({ ...entry, amount: "", note: "" });
+  }
+  function addLink(){
+    if (!linkTx) return;
+    const tx = linkable.find(t => String(t.id) === linkTx); if (!tx) return;
+    ctx.setGoalEntries(prev => [...prev, { id: `g${Date.now()}`, goalId: g.id, txId: tx.id, kind: entry.kind }]);
+    setLinkTx("");
+  }
+  function removeEntry(id){ ctx.setGoalEntries(prev => prev.filter(e => e.id !== id)); }
+
   return (
-    <div className="md:col-span-2 bg-white rounded-2xl shadow p-4">
-      <h3 className="font-semibold mb-2">המלצות חכמות</h3>
-      <ul className="list-disc pr-5 text-sm text-teal-800 space-y-1">
-        {top.map(([cat, amt])=>{
-          const max = budgets[cat]||0; const over = amt>max && max>0;
-          return <li key={cat}>בקטגוריית <b>{cat}</b> הוצאת {currency(amt)}{max?` (תקציב ${currency(max)})`:''}. {over?"כדאי להאט השבוע.":"מצב טוב, המשך כך!"}</li>;
-        })}
-        <li>הפרשה חודשית קבועה בתחילת חודש מקלה על עמידה ביעדים (למשל {currency(300)} ל"חיסכון נסיעות").</li>
-      </ul>
+    <div className="border rounded-xl p-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">
+          {g.name}
+          {ctx.members.length > 1 && <span className="mr-2 text-xs font-normal px-2 py-0.5 rounded-full bg-teal-50 text-teal-700">{ctx.members.find(m => m.id === g.memberId)?.name || "משותף"}</span>}
+        </div>
+        {p.completed
+          ? <button onClick={onArchive} className="text-teal-700 text-sm hover:underline">העבר לארכיון</button>
+          : <button onClick={onRemove} className="text-red-600 text-sm hover:underline">מחק</button>}
+      </div>
+      <div className="w-full bg-gray-100 rounded-2xl h-3 overflow-hidden mb-1">
+        <div className={`h-3 ${p.completed ? "bg-emerald-500" : p.onTrack ? "bg-teal-500" : "bg-amber-500"}`} style={{ width: `${p.pct}%` }} />
+      </div>
+      <div className="text-sm text-teal-700 space-y-1">
+        <div>נחסך: <b>{currency(p.saved)}</b> מתוך {currency(g.target)} ({p.pct}%)</div>
+        <div>הפרשה חודשית מתוכננת: <b>{currency(g.monthly||0)}</b> • קצב בפועל: <b>{currency(p.pace)}</b> לחודש</div>
+        <div>{p.completed ? <b className="text-emerald-700">היעד הושג!</b> : p.projectedYm ? <>צפי להשגה: <b>{p.projectedYm}</b></> : "אין עדיין הפקדות לחישוב צפי"}</div>
+        {!p.completed && <div className={p.onTrack ? "text-emerald-700" : "text-amber-700"}>{p.onTrack ? "בקצב התוכנית" : `מאחורי התוכנית ב-${currency(p.expected - p.saved)}`} (מ-{g.startYm})</div>}
+      </div>
+
+      <form onSubmit={addEntry} className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+        <select className="border rounded-lg px-2 py-1" value={entry.kind} onChange={e=>setEntry({...entry, kind:e.target.value})}><option value="contribution">הפקדה</option><option value="withdrawal">משיכה</option></select>
+        <input type="number" placeholder="סכום" className="border rounded-lg px-2 py-1 w-24 text-right" value={entry.amount} onChange={e=>setEntry({...entry, amount:e.target.value})} />
+        <input type="date" className="border rounded-lg px-2 py-1" value={entry.date} onChange={e=>setEntry({...entry, date:e.target.value})} />
+        <button className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">רשום</button>
+      </form>
+      <div className="flex items-center gap-2 mt-2 text-sm">
+        <select className="border rounded-lg px-2 py-1 flex-1 min-w-0" value={linkTx} onChange={e=>setLinkTx(e.target.value)}>
+          <option value="">קשר תנועה קיימת…</option>
+          {linkable.map(t => <option key={t.id} value={String(t.id)}>{t.date} {t.note || t.category} {currency(t.amount)}</option>)}
+        </select>
+        <button type="button" onClick={addLink} disabled={!linkTx} className="px-2 py-1 rounded-lg bg-white border hover:shadow disabled:opacity-50">קשר</button>
+      </div>
+
+      {ledger.length > 0 && (
+        <ul className="mt-3 text-xs space-y-1 max-h-32 overflow-auto">
+          {ledger.map(({ entry: e, date, amount }) => (
+            <li key={e.id} className="flex items-center justify-between">
+              <span>{date} {e.txId !== undefined ? `(תנועה) ${txById.get(e.txId)?.note || ""}` : e.note}</span>
+              <span className="flex items-center gap-2">
+                <b className={amount < 0 ? "text-red-600" : "text-emerald-700"}>{currency(amount)}</b>
+                <button onClick={()=>removeEntry(e.id)} className="text-red-600 hover:underline">הסר</button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-// ---------- Transactions Page ----------
-function TransactionsPage({ ctx }) {
-  const [form, setForm] = useState({ date: todayISO(), type: "expense", amount: "", category: CATEGORIES[0], note: "" });
-  const [month, setMonth] = useState(new Date().toISOString().slice(0,7));
-
-  // Edit state
-  const [editingId, setEditingId] = useState(null);
-  const [editForm, setEditForm] = useState({ id: null, date: todayISO(), type: "expense", amount: "", category: CATEGORIES[0], note: "" });
-
-  const txThisMonth = useMemo(()=> ctx.transactions.filter(t=>ym(t.date)===month), [ctx.transactions, month]);
+// ---------- Household Page ----------
+function HouseholdPage({ ctx }) {
+  const navigate = useNavigate();
+  const [month, setMonth] = useState(currentPeriod(ctx.monthStart));
+  const range = periodRange(month, ctx.monthStart);
+  const [form, setForm] = useState({ name: "" });
+  const [removing, setRemoving] = useState(null); // { id, to }
+  const [error, setError] = useState("");
+  const totals = useMemo(() => memberTotals(ctx.transactions, ctx.members, range), [ctx.transactions, ctx.members, range.from, range.to]);
+  const balances = useMemo(() => householdBalances(ctx.transactions, ctx.members, ctx.settlements), [ctx.transactions, ctx.members, ctx.settlements]);
+  const transfers = settleUp(balances);
+  const name = (id) => ctx.members.find(m => m.id === id)?.name || "—";
+  const sharedSpent = ctx.transactions.filter(t => t.shared && t.type === 'expense' && t.date >= range.from && t.date <= range.to).reduce((a, t) => a + t.amount, 0);
 
-  function addTx(e){
-    e.preventDefault(); const amount = Number(form.amount); if(!amount||amount<=0) return;
-    ctx.setTransactions(prev => [{ id: Date.now(), date: form.date, type: form.type, amount, category: form.type==='income'? 'הכנסה' : form.category, note: form.note.trim() }, ...prev]);
-    setForm({ ...form, amount: "", note: "" });
+  function addMember(){
+    const n = form.name.trim(); if (!n) return;
+    ctx.setMembers(prev => [...prev, { id: `m${Date.now()}`, name: n, color: COLORS[prev.length % COLORS.length], share: 1 }]);
+    setForm({ name: "" });
   }
-  function removeTx(id){ ctx.setTransactions(prev=>prev.filter(t=>t.id!==id)); }
-
-  // Start editing a transaction (income or expense)
-  function startEdit(t){
-    setEditingId(t.id);
-    setEditForm({ id: t.id, date: t.date, type: t.type, amount: String(t.amount), category: t.category || CATEGORIES[0], note: t.note || "" });
+  const update = (id, patch) => ctx.setMembers(prev => prev.map(m => m.id === id ? { ...m, ...patch } : m));
+  // All stores change in the same tick, so the journal records one undoable step
+  function remove(){
+    try {
+      const changed = removeMember({ members: ctx.members, transactions: ctx.transactions, recurring: ctx.recurring, goals: ctx.goals, budgetOwners: ctx.budgetOwners, settlements: ctx.settlements }, removing.id, removing.to);
+      const label = `הסרת ${name(removing.id)} (הועבר ל${name(removing.to)})`;
+      for (const [store, value] of Object.entries(changed)) ctx[`set${store[0].toUpperCase()}${store.slice(1)}`](value, label);
+      setRemoving(null); setError("");
+    } catch (e) { setError(e.message); }
   }
-  function cancelEdit(){ setEditingId(null); }
-  function saveEdit(e){
-    e?.preventDefault?.();
-    const amt = Number(editForm.amount);
-    if (!amt || amt <= 0) return;
-    const updated = {
-      id: editForm.id,
-      date: editForm.date,
-      type: editForm.type,
-      amount: amt,
-      category: editForm.type === 'income' ? 'הכנסה' : editForm.category,
-      note: (editForm.note || '').trim(),
-    };
-    ctx.setTransactions(prev => prev.map(t => t.id === editingId ? updated : t));
-    setEditingId(null);
+  function settle(t){
+    if (!confirm(`לרשום ש${name(t.from)} העביר/ה ${currency(t.amount)} ל${name(t.to)}?`)) return;
+    ctx.setSettlements(prev => [{ id: `s${Date.now()}`, date: todayISO(), ...t }, ...prev], `התחשבנות: ${name(t.from)} ← ${name(t.to)}`);
   }
 
-  const totals = useMemo(()=>{
-    const income = txThisMonth.filter(t=>t.type==='income').reduce((a,b)=>a+b.amount,0);
-    const expense = txThisMonth.filter(t=>t.type==='expense').reduce((a,b)=>a+b.amount,0);
-    return { income, expense, net: income-expense };
-  },[txThisMonth]);
-
   return (
-    <div className="grid lg:grid-cols-3 gap-6">
-      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
-        <h2 className="font-semibold mb-3">תנועה חדשה</h2>
-        <form onSubmit={addTx} className="space-y-3">
-          <div className="grid grid-cols-2 gap-3">
-            <Field label="תאריך"><input type="date" className="w-full border rounded-xl px-3 py-2" value={form.date} onChange={e=>setForm({...form, date:e.target.value})} /></Field>
-            <Field label="סוג"><select className="w-full border rounded-xl px-3 py-2" value={form.type} onChange={e=>setForm({...form, type:e.target.value})}><option value="expense">הוצאה</option><option value="income">הכנסה</option></select></Field>
-          </div>
-          {form.type==='expense' && (
-            <Field label="קטגוריה"><select className="w-full border rounded-xl px-3 py-2" value={form.category} onChange={e=>setForm({...form, category:e.target.value})}>{CATEGORIES.map(c=><option key={c} value={c}>{c}</option>)}</select></Field>
-          )}
-          <Field label="סכום (₪)"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.amount} onChange={e=>setForm({...form, amount:e.target.value})} /></Field>
-          <Field label="הערה"><input type="text" className="w-full border rounded-xl px-3 py-2" value={form.note} onChange={e=>setForm({...form, note:e.target.value})} placeholder="למשל: קניות / לקוח X" /></Field>
-          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף תנועה</button>
-        </form>
-      </div>
-
-      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2 overflow-hidden">
-        <div className="flex items-center justify-between mb-2">
-          <h2 className="font-semibold">תנועות</h2>
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl shadow p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="font-semibold">לפי בני משק הבית</h2>
           <div className="flex items-center gap-2">
             <span className="text-sm text-teal-700">חודש:</span>
-            <input type="month" value={month} onChange={e=>setMonth(e.target.value)} className="border rounded-xl px-3 py-2" />
+            <input type="month" value={month} onChange={e=>e.target.value && setMonth(e.target.value)} className="border rounded-xl px-3 py-2" />
           </div>
         </div>
-        <div className="grid grid-cols-3 gap-3 mb-3">
-          <KPI title="הכנסות" value={currency(totals.income)} />
-          <KPI title="הוצאות" value={currency(totals.expense)} />
-          <KPI title="נטו" value={currency(totals.net)} tone={totals.net>=0?"ok":"bad"} />
+        <div className="grid md:grid-cols-3 gap-4">
+          {totals.map(t => {
+            const m = ctx.members.find(x => x.id === t.id);
+            return (
+              <div key={t.id} className="border rounded-xl p-3 text-sm space-y-1">
+                <div className="flex items-center justify-between">
+                  <b><span className="inline-block w-2 h-2 rounded-full ml-1" style={{ background: m.color }} />{m.name}</b>
+                  <button onClick={()=>navigate(drillLink({ member: t.id, ...range }))} className="text-xs text-teal-700 hover:underline">הצג תנועות</button>
+                </div>
+                <div className="flex justify-between"><span className="text-teal-700">הכנסות</span><b className="text-emerald-700">{currency(t.income)}</b></div>
+                <div className="flex justify-between"><span className="text-teal-700">הוצאות (כולל חלק במשותף)</span><b className="text-red-600">{currency(t.expense)}</b></div>
+                <div className="flex justify-between"><span className="text-teal-700">נטו</span><b className={t.net >= 0 ? "text-emerald-700" : "text-red-600"}>{currency(t.net)}</b></div>
+                <div className="flex justify-between text-xs"><span className="text-teal-700">שילם/ה על הוצאות משותפות</span><span>{currency(t.paidShared)}</span></div>
+              </div>
+            );
+          })}
         </div>
-        <div className="overflow-auto max-h-[480px] rounded-xl border">
-          <table className="min-w-full text-sm">
-            <thead className="bg-teal-50 sticky top-0">
-              <tr>
-                <th className="text-right p-2">תאריך</th>
-                <th className="text-right p-2">סוג</th>
-                <th className="text-right p-2">קטגוריה</th>
-                <th className="text-right p-2">הערה</th>
-                <th className="text-right p-2">סכום</th>
-                <th className="p-2">פעולות</th>
-              </tr>
+        <div className="text-sm text-teal-700 mt-3">
+          הוצאות משותפות החודש: <b>{currency(sharedSpent)}</b>{" "}
+          <button onClick={()=>navigate(drillLink({ member: SHARED_FILTER, ...range }))} className="hover:underline">(הצג)</button>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-2xl shadow p-4">
+          <h2 className="font-semibold mb-2">מי חייב למי</h2>
+          <p className="text-xs text-teal-700 mb-3">לפי כל ההוצאות המשותפות וההתחשבנויות שנרשמו. כל הוצאה משותפת מתחלקת לפי החלק של כל אחד.</p>
+          <ul className="text-sm space-y-1 mb-3">
+            {ctx.members.map(m => { const b = balances.get(m.id) || 0; return (
+              <li key={m.id} className="flex justify-between"><span>{m.name}</span><b className={b > 0 ? "text-emerald-700" : b < 0 ? "text-red-600" : ""}>{b > 0 ? `מגיע לו/ה ${currency(b)}` : b < 0 ? `חייב/ת ${currency(-b)}` : "מאוזן"}</b></li>
+            ); })}
+          </ul>
+          {transfers.length ? (
+            <ul className="text-sm space-y-2">
+              {transfers.map(t => (
+                <li key={`${t.from}-${t.to}`} className="flex items-center justify-between p-2 rounded-xl bg-teal-50">
+                  <span><b>{name(t.from)}</b> מעביר/ה ל<b>{name(t.to)}</b> {currency(t.amount)}</span>
+                  <button onClick={()=>settle(t)} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700 text-xs">סמן כשולם</button>
+                </li>
+              ))}
+            </ul>
+          ) : <div className="text-sm text-emerald-700">אין חובות פתוחים.</div>}
+          {ctx.settlements.length > 0 && (
+            <ul className="mt-3 text-xs space-y-1 max-h-32 overflow-auto">
+              {ctx.settlements.map(s => (
+                <li key={s.id} className="flex items-center justify-between">
+                  <span>{s.date} {name(s.from)} ← {name(s.to)} {currency(s.amount)}</span>
+                  <button onClick={()=>ctx.setSettlements(prev => prev.filter(x => x.id !== s.id))} className="text-red-600 hover:underline">הסר</button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl shadow p-4">
+          <h2 className="font-semibold mb-2">בני משק הבית</h2>
+          <p className="text-xs text-teal-700 mb-3">החלק קובע איך מתחלקות הוצאות משותפות (למשל 2 ו-1 = שני שלישים ושליש).</p>
+          <table className="min-w-full text-sm mb-3">
+            <thead className="bg-teal-50">
+              <tr><th className="text-right p-2">שם</th><th className="text-right p-2">צבע</th><th className="text-right p-2">חלק</th><th className="p-2"></th></tr>
             </thead>
             <tbody>
-              {txThisMonth.map(t=> (
-                editingId === t.id ? (
-                  <tr key={t.id} className="border-t bg-teal-50/40">
-                    <td className="p-2"><input type="date" className="border rounded-lg px-2 py-1" value={editForm.date} onChange={e=>setEditForm({...editForm, date:e.target.value})} /></td>
-                    <td className="p-2">
-                      <select className="border rounded-lg px-2 py-1" value={editForm.type} onChange={e=>setEditForm({...editForm, type:e.target.value})}>
-                        <option value="income">הכנסה</option>
-                        <option value="expense">הוצאה</option>
-                      </select>
-                    </td>
-                    <td className="p-2">
-                      {editForm.type === 'income' ? (
-                        <span className="text-teal-700">הכנסה</span>
-                      ) : (
-                        <select className="border rounded-lg px-2 py-1" value={editForm.category} onChange={e=>setEditForm({...editForm, category:e.target.value})}>
-                          {CATEGORIES.map(c=> <option key={c} value={c}>{c}</option>)}
-                        </select>
-                      )}
-                    </td>
-                    <td className="p-2"><input type="text" className="border rounded-lg px-2 py-1 w-40" value={editForm.note} onChange={e=>setEditForm({...editForm, note:e.target.value})} /></td>
-                    <td className="p-2"><input type="number" className="border rounded-lg px-2 py-1 w-28 text-right" value={editForm.amount} onChange={e=>setEditForm({...editForm, amount:e.target.value})} /></td>
-                    <td className="p-2 text-center">
-                      <div className="flex items-center gap-2 justify-center">
-                        <button onClick={saveEdit} className="px-2 py-1 rounded-lg bg-emerald-600 text-white hover:bg-emerald-700">שמור</button>
-                        <button onClick={cancelEdit} className="px-2 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
-                      </div>
-                    </td>
-                  </tr>
-                ) : (
-                  <tr key={t.id} className="border-t hover:bg-teal-50/40">
-                    <td className="p-2 whitespace-nowrap">{t.date}</td>
-                    <td className="p-2">{t.type==='income'?"הכנסה":"הוצאה"}</td>
-                    <td className="p-2">{t.category||"—"}</td>
-                    <td className="p-2">{t.note||""}</td>
-                    <td className={`p-2 font-medium ${t.type==='income'?"text-emerald-700":"text-red-600"}`}>{currency(t.amount)}</td>
-                    <td className="p-2 text-center">
-                      <div className="flex items-center gap-3 justify-center">
-                        <button onClick={()=>startEdit(t)} className="text-teal-700 hover:underline">ערוך</button>
-                        <button onClick={()=>removeTx(t.id)} className="text-red-600 hover:underline">מחק</button>
-                      </div>
-                    </td>
-                  </tr>
-                )
+              {ctx.members.map(m => (
+                <tr key={m.id} className="border-t">
+                  <td className="p-2"><input className="border rounded-lg px-2 py-1 w-32" value={m.name} onChange={e=>update(m.id, { name: e.target.value })} /></td>
+                  <td className="p-2"><input type="color" value={m.color} onChange={e=>update(m.id, { color: e.target.value })} /></td>
+                  <td className="p-2"><input type="number" min="0" className="border rounded-lg px-2 py-1 w-20 text-right" value={m.share ?? 1} onChange={e=>update(m.id, { share: Math.max(0, Number(e.target.value) || 0) })} /></td>
+                  <td className="p-2 text-center">{m.id !== DEFAULT_MEMBER_ID && <button onClick={()=>setRemoving({ id: m.id, to: DEFAULT_MEMBER_ID })} className="text-red-600 hover:underline">הסר</button>}</td>
+                </tr>
               ))}
             </tbody>
           </table>
+          {removing && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 p-3 rounded-xl bg-amber-50 text-sm">
+              <span>להעביר את התנועות, היעדים והתקציבים של {name(removing.id)} אל</span>
+              <select className="border rounded-lg px-2 py-1" value={removing.to} onChange={e=>setRemoving({ ...removing, to: e.target.value })}>
+                {ctx.members.filter(m => m.id !== removing.id).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+              <button onClick={remove} className="px-2 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700">הסר</button>
+              <button onClick={()=>setRemoving(null)} className="text-teal-700 hover:underline">בטל</button>
+            </div>
+          )}
+          {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+          <div className="flex gap-2">
+            <input className="border rounded-xl px-3 py-2 flex-1" placeholder="שם" value={form.name} onChange={e=>setForm({ name: e.target.value })} />
+            <button onClick={addMember} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">הוסף</button>
+          </div>
         </div>
       </div>
     </div>
   );
 }
 
-function Field({ label, children }) {
+// ---------- Reports Page ----------
+function ReportsPage({ ctx }) {
+  const navigate = useNavigate();
+  const ms = ctx.monthStart, nowYm = currentPeriod(ms);
+  const [month, setMonth] = useState(nowYm);
+  const [compareTo, setCompareTo] = useState("mom");
+  const [fromYm, setFromYm] = useState(addMonths(nowYm, -11));
+  const [toYm, setToYm] = useState(nowYm);
+  const range = { from: periodRange(fromYm, ms).from, to: periodRange(toYm, ms).to };
+  const tx = ctx.transactions;
+
+  const mom = useMemo(() => compareCategories(tx, periodRange(month, ms), periodRange(addMonths(month, -1), ms)), [tx, month, ms]);
+  const yoy = useMemo(() => compareCategories(tx, periodRange(month, ms), periodRange(addMonths(month, -12), ms)), [tx, month, ms]);
+  const compareRows = compareTo === "mom" ? mom : yoy;
+  const prevMonth = addMonths(month, compareTo === "mom" ? -1 : -12);
+  const trend = useMemo(() => categoryTrend(tx, fromYm, toYm, ms), [tx, fromYm, toYm, ms]);
+  const trendCats = trend.categories.slice(0, 6);
+  const merchants = useMemo(() => topMerchants(tx, range), [tx, range.from, range.to]);
+  const weekdays = useMemo(() => weekdayAverages(tx, range), [tx, range.from, range.to]);
+  const sources = useMemo(() => incomeSources(tx, range), [tx, range.from, range.to]);
+  const badRange = fromYm > toYm;
+
+  const drill = (f) => navigate(drillLink(f));
+  const pct = (p) => p == null ? "—" : `${p > 0 ? "+" : ""}${p}%`;
+
+  function exportCSV(){
+    const cmp = (title, rows, prev) => ({ title, columns: ["קטגוריה", month, prev, "שינוי", "שינוי %"], rows: rows.map(r => [r.category, r.current, r.previous, r.delta, r.pct ?? ""]) });
+    const csv = reportToCSV([
+      cmp("השוואה לחודש קודם", mom, addMonths(month, -1)),
+      cmp("השוואה לשנה קודמת", yoy, addMonths(month, -12)),
+      { title: `מגמה לפי קטגוריה ${fromYm} עד ${toYm}`, columns: ["חודש", ...trend.categories], rows: trend.rows.map(r => [r.month, ...trend.categories.map(c => r[c] || 0)]) },
+      { title: "בתי עסק מובילים", columns: ["בית עסק", "תנועות", "סכום"], rows: merchants.map(m => [m.name, m.count, m.total]) },
+      { title: "הוצאה ממוצעת לפי יום בשבוע", columns: ["יום", "ימים בטווח", "סכום", "ממוצע ליום"], rows: weekdays.map(w => [w.label, w.days, w.total, w.avg]) },
+      { title: "מקורות הכנסה", columns: ["מקור", "תנועות", "סכום"], rows: sources.map(m => [m.name, m.count, m.total]) },
+    ]);
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = `report-${fromYm}-${toYm}.csv`; a.click(); URL.revokeObjectURL(url);
+  }
+
   return (
-    <label className="block text-sm text-teal-700">
-      <span className="mb-1 inline-block">{label}</span>
-      {children}
-    </label>
-  );
-}
+    <div className="grid lg:grid-cols-2 gap-6">
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4 flex flex-wrap items-center gap-3 text-sm">
+        <span className="text-teal-700">טווח:</span>
+        <input type="month" className="border rounded-xl px-3 py-2" value={fromYm} onChange={e=>e.target.value && setFromYm(e.target.value)} />
+        <span>עד</span>
+        <input type="month" className="border rounded-xl px-3 py-2" value={toYm} onChange={e=>e.target.value && setToYm(e.target.value)} />
+        {badRange && <span className="text-red-600">תחילת הטווח אחרי סופו</span>}
+        <span className="text-xs text-teal-700">לחיצה על עמודה או פלח פותחת את התנועות המתאימות.</span>
+        <button onClick={exportCSV} className="mr-auto px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow">ייצוא CSV</button>
+      </div>
 
-// ---------- Budgets Page ----------
-function BudgetsPage({ ctx }) {
-  const spentByCat = useMemo(()=>{
-    const nowYm = new Date().toISOString().slice(0,7);
-    const tx = ctx.transactions.filter(t=>ym(t.date)===nowYm && t.type==='expense');
-    return tx.reduce((m,t)=>{m[t.category||'אחר']=(m[t.category||'אחר']||0)+t.amount; return m;},{});
-  },[ctx.transactions]);
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h2 className="font-semibold">השוואה לפי קטגוריה</h2>
+          <div className="flex items-center gap-2 text-sm">
+            <input type="month" className="border rounded-lg px-2 py-1" value={month} onChange={e=>e.target.value && setMonth(e.target.value)} />
+            <select className="border rounded-lg px-2 py-1" value={compareTo} onChange={e=>setCompareTo(e.target.value)}>
+              <option value="mom">מול החודש הקודם</option>
+              <option value="yoy">מול אותו חודש אשתקד</option>
+            </select>
+          </div>
+        </div>
+        {compareRows.length ? (
+          <>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={compareRows} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="category" />
+                  <YAxis tickFormatter={(v)=>v/1000+"k"} />
+                  <Tooltip formatter={(v)=>currency(v)} />
+                  <Legend />
+                  <Bar dataKey="previous" name={prevMonth} fill="#99f6e4" cursor="pointer" onClick={(d)=>drill({ cat: d.payload.category, type: "expense", ...periodRange(prevMonth, ms) })} />
+                  <Bar dataKey="current" name={month} fill="#0d9488" cursor="pointer" onClick={(d)=>drill({ cat: d.payload.category, type: "expense", ...periodRange(month, ms) })} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <table className="w-full text-sm mt-3">
+              <thead><tr className="text-right text-teal-700"><th>קטגוריה</th><th>{prevMonth}</th><th>{month}</th><th>שינוי</th><th>%</th></tr></thead>
+              <tbody>
+                {compareRows.map(r => (
+                  <tr key={r.category} className="border-t">
+                    <td><button onClick={()=>drill({ cat: r.category, type: "expense", ...periodRange(month, ms) })} className="hover:underline">{r.category}</button></td>
+                    <td>{currency(r.previous)}</td><td>{currency(r.current)}</td>
+                    <td className={r.delta > 0 ? "text-red-600" : r.delta < 0 ? "text-emerald-700" : ""}>{currency(r.delta)}</td>
+                    <td>{pct(r.pct)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : <div className="text-sm text-teal-700">אין הוצאות בחודשים האלה.</div>}
+      </div>
+
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">מגמה לפי קטגוריה <span className="text-sm font-normal text-teal-700">({trendCats.length < trend.categories.length ? `${trendCats.length} המובילות מתוך ${trend.categories.length}` : "כל הקטגוריות"})</span></h2>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={trend.rows} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" />
+              <YAxis tickFormatter={(v)=>v/1000+"k"} />
+              <Tooltip formatter={(v)=>currency(v)} labelFormatter={(l)=>`חודש ${l}`} />
+              <Legend />
+              {trendCats.map((c, i) => <Bar key={c} dataKey={c} stackId="cat" fill={categoryColor(ctx.categories, c, i)} cursor="pointer" onClick={(d)=>drill({ cat: c, type: "expense", ...periodRange(d.payload.month, ms) })} />)}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">בתי עסק מובילים</h2>
+        {merchants.length ? (
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={merchants.map(m => ({ ...m, name: m.name || "ללא תיאור" }))} layout="vertical" margin={{ top: 10, right: 10, left: 10, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" tickFormatter={(v)=>v/1000+"k"} />
+                <YAxis type="category" dataKey="name" width={120} />
+                <Tooltip formatter={(v)=>currency(v)} />
+                <Bar dataKey="total" name="סכום" fill="#0d9488" cursor="pointer" onClick={(d)=>drill({ ids: merchants.find(m => m.key === d.payload.key)?.ids.join(",") || "", type: "expense", ...range })} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        ) : <div className="text-sm text-teal-700">אין הוצאות בטווח.</div>}
+      </div>
 
-  function updateBudget(cat, value){ ctx.setBudgets(prev=>({ ...prev, [cat]: Number(value)||0 })); }
+      <div className="bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">הוצאה ממוצעת לפי יום בשבוע</h2>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={weekdays} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" />
+              <YAxis />
+              <Tooltip formatter={(v)=>currency(v)} />
+              <Bar dataKey="avg" name="ממוצע ליום" fill="#0ea5e9" cursor="pointer" onClick={(d)=>drill({ dow: String(d.payload.day), type: "expense", ...range })} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
 
-  return (
-    <div className="bg-white rounded-2xl shadow p-4">
-      <div className="flex items-center justify-between mb-3">
-        <h2 className="font-semibold">תקציב לפי קטגוריה</h2>
-        <span className="text-sm text-teal-700">לחץ על סכום כדי לערוך</span>
-      </div>
-      <div className="grid md:grid-cols-2 gap-4">
-        {Object.entries(ctx.budgets).map(([cat,max])=>{
-          const spent = spentByCat[cat]||0; const pct = max? Math.min(100, Math.round((spent/max)*100)) : 0; const over = max && spent>max;
-          return (
-            <div key={cat} className="border rounded-xl p-3 hover:shadow-sm">
-              <div className="flex items-center justify-between mb-2">
-                <div className="font-medium">{cat}</div>
-                <div className="flex items-center gap-2 text-sm">
-                  <span className="text-teal-700">תקציב:</span>
-                  <input type="number" className="w-24 border rounded-lg px-2 py-1 text-right" value={max} onChange={e=>updateBudget(cat, e.target.value)} />
-                  <span className="text-teal-700">₪</span>
-                </div>
-              </div>
-              <div className="w-full bg-gray-100 rounded-2xl h-3 overflow-hidden">
-                <div className={`h-3 ${over?"bg-red-500": pct>85?"bg-amber-500":"bg-emerald-500"}`} style={{ width: `${pct}%` }} />
-              </div>
-              <div className="flex justify-between text-sm mt-1 text-teal-700">
-                <span>הוצא: {currency(spent)}</span>
-                <span>נשאר: {currency(Math.max(0,(max||0)-spent))}</span>
-              </div>
+      <div className="lg:col-span-2 bg-white rounded-2xl shadow p-4">
+        <h2 className="font-semibold mb-2">מקורות הכנסה</h2>
+        {sources.length ? (
+          <div className="grid md:grid-cols-2 gap-4 items-center">
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie data={sources.map(m => ({ ...m, name: m.name || "ללא תיאור" }))} dataKey="total" nameKey="name" outerRadius={100} cursor="pointer" onClick={(d)=>drill({ ids: sources.find(m => m.key === d.payload.key)?.ids.join(",") || "", type: "income", ...range })}>
+                    {sources.map((m, i) => <Cell key={m.key} fill={COLORS[i % COLORS.length]} />)}
+                  </Pie>
+                  <Tooltip formatter={(v)=>currency(v)} />
+                </PieChart>
+              </ResponsiveContainer>
             </div>
-          );
-        })}
+            <ul className="text-sm space-y-1">
+              {sources.map((m, i) => (
+                <li key={m.key} className="flex items-center justify-between">
+                  <button onClick={()=>drill({ ids: m.ids.join(","), type: "income", ...range })} className="hover:underline">
+                    <span className="inline-block w-2 h-2 rounded-full ml-1" style={{ background: COLORS[i % COLORS.length] }} />{m.name || "ללא תיאור"} <span className="text-xs text-teal-700">({m.count})</span>
+                  </button>
+                  <b>{currency(m.total)}</b>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : <div className="text-sm text-teal-700">אין הכנסות בטווח.</div>}
       </div>
     </div>
   );
 }
 
-// ---------- Goals Page ----------
-function GoalsPage({ ctx }) {
-  const [form, setForm] = useState({ name: "", target: "", monthly: "" });
-  function addGoal(e){ e.preventDefault(); if(!form.name||!Number(form.target)) return; ctx.setGoals(prev=>[...prev, { id: Date.now().toString(), name: form.name.trim(), target: Number(form.target), monthly: Number(form.monthly)||0, startYm: new Date().toISOString().slice(0,7)}]); setForm({ name:"", target:"", monthly:""}); }
-  function removeGoal(id){ ctx.setGoals(prev=>prev.filter(g=>g.id!==id)); }
+// ---------- Statement Page ----------
+// Laid out for A4: the app chrome and the controls are hidden in print, sections don't break across pages
+function StatementPage({ ctx }) {
+  const [month, setMonth] = useState(ctx.months[ctx.months.length - 1]);
+  const [copied, setCopied] = useState("");
+  const st = useMemo(() => monthlyStatement({ month, monthlyAgg: ctx.monthlyAgg, transactions: ctx.transactions, budgetVersions: ctx.budgetVersions, rollover: ctx.rollover, categories: ctx.categories, goals: ctx.goals, goalEntries: ctx.goalEntries, startDay: ctx.monthStart }),
+    [month, ctx.monthlyAgg, ctx.transactions, ctx.budgetVersions, ctx.rollover, ctx.categories, ctx.goals, ctx.goalEntries, ctx.monthStart]);
+  const pct = (p) => p == null ? "—" : `${p > 0 ? "+" : ""}${p}%`;
+
+  async function copy(format){
+    const text = statementSummary(st, format);
+    try { await navigator.clipboard.writeText(text); setCopied(format); }
+    catch { setCopied(""); prompt("העתק את הסיכום:", text); }
+  }
 
   return (
-    <div className="grid lg:grid-cols-3 gap-6">
-      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-1">
-        <h2 className="font-semibold mb-3">יעד חדש</h2>
-        <form onSubmit={addGoal} className="space-y-3">
-          <Field label="שם היעד"><input className="w-full border rounded-xl px-3 py-2" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} placeholder="למשל: מקדמה לרכב" /></Field>
-          <Field label="סכום יעד (₪)"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.target} onChange={e=>setForm({...form, target:e.target.value})} /></Field>
-          <Field label="הפרשה חודשית (₪)"><input type="number" className="w-full border rounded-xl px-3 py-2" value={form.monthly} onChange={e=>setForm({...form, monthly:e.target.value})} /></Field>
-          <button className="w-full py-2 rounded-xl bg-teal-600 text-white font-medium hover:bg-teal-700 shadow">הוסף יעד</button>
-        </form>
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 print:hidden">
+        <span className="text-sm text-teal-700">חודש:</span>
+        <select className="border rounded-xl px-3 py-2" value={month} onChange={e=>{ setMonth(e.target.value); setCopied(""); }}>
+          {[...ctx.months].reverse().map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <button onClick={()=>window.print()} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow">הדפס / שמור כ-PDF</button>
+        <button onClick={()=>copy("text")} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">העתק כטקסט</button>
+        <button onClick={()=>copy("markdown")} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">העתק כ-Markdown</button>
+        {copied && <span className="text-sm text-emerald-700">הסיכום הועתק</span>}
       </div>
 
-      <div className="bg-white rounded-2xl shadow p-4 lg:col-span-2">
-        <h2 className="font-semibold mb-3">היעדים שלי</h2>
-        <div className="grid md:grid-cols-2 gap-4">
-          {ctx.goals.map((g)=>{
-            const monthsToTarget = g.monthly>0 ? Math.ceil(g.target / g.monthly) : null;
-            return (
-              <div key={g.id} className="border rounded-xl p-4">
-                <div className="flex items-center justify-between mb-2">
-                  <div className="font-semibold">{g.name}</div>
-                  <button onClick={()=>removeGoal(g.id)} className="text-red-600 text-sm hover:underline">מחק</button>
-                </div>
-                <div className="text-sm text-teal-700 space-y-1">
-                  <div>סכום יעד: <b>{currency(g.target)}</b></div>
-                  <div>הפרשה חודשית: <b>{currency(g.monthly||0)}</b></div>
-                  <div>{monthsToTarget? <>הערכה לזמן הגעה: <b>{monthsToTarget}</b> חודשים</> : "קבע סכום חודשי כדי לחשב זמן הגעה"}</div>
-                </div>
-              </div>
-            );
-          })}
-        </div>
-      </div>
+      <article className="bg-white rounded-2xl shadow p-8 max-w-[210mm] mx-auto space-y-6 print:shadow-none print:rounded-none print:p-0 print:max-w-none">
+        <header className="flex items-end justify-between border-b pb-3">
+          <div>
+            <h1 className="text-2xl font-bold">דוח חודשי</h1>
+            <div className="text-teal-700">{st.month}{ctx.monthStart > 1 && ` (${periodRange(st.month, ctx.monthStart).from} עד ${periodRange(st.month, ctx.monthStart).to})`}</div>
+          </div>
+          <div className="text-xs text-teal-700">הופק {todayISO()}</div>
+        </header>
+
+        <section className="grid grid-cols-3 gap-3 break-inside-avoid">
+          {[["הכנסות", "income"], ["הוצאות", "expense"], ["נטו", "net"]].map(([label, k]) => (
+            <div key={k} className="border rounded-xl p-3">
+              <div className="text-sm text-teal-700">{label}</div>
+              <div className={`text-xl font-bold ${k === "net" && st.net < 0 ? "text-red-600" : ""}`}>{currency(st[k])}</div>
+              <div className="text-xs text-teal-700">לעומת {st.previous}: {currency(st.change[k].delta)} ({pct(st.change[k].pct)})</div>
+            </div>
+          ))}
+        </section>
+
+        <section className="break-inside-avoid">
+          <h2 className="font-semibold mb-2">עמידה בתקציב</h2>
+          {st.budgets.length ? (
+            <table className="w-full text-sm">
+              <thead><tr className="text-right text-teal-700 border-b"><th className="py-1">קטגוריה</th><th>תקציב</th><th>הוצא</th><th>ניצול</th><th>מצב</th></tr></thead>
+              <tbody>
+                {st.budgets.map(x => (
+                  <tr key={x.category} className="border-b">
+                    <td className="py-1">{x.category}</td><td>{currency(x.available)}</td><td>{currency(x.spent)}</td><td>{x.pct == null ? "—" : `${x.pct}%`}</td>
+                    <td className={x.over ? "text-red-600" : "text-emerald-700"}>{x.over ? `חריגה ${currency(x.spent - x.available)}` : "בתקציב"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : <div className="text-sm text-teal-700">אין תקציבים לחודש זה.</div>}
+        </section>
+
+        {st.goals.length > 0 && (
+          <section className="break-inside-avoid">
+            <h2 className="font-semibold mb-2">התקדמות יעדים</h2>
+            <table className="w-full text-sm">
+              <thead><tr className="text-right text-teal-700 border-b"><th className="py-1">יעד</th><th>נחסך</th><th>יעד</th><th>התקדמות</th><th>הופקד החודש</th></tr></thead>
+              <tbody>
+                {st.goals.map(g => (
+                  <tr key={g.name} className="border-b">
+                    <td className="py-1">{g.name}</td><td>{currency(g.saved)}</td><td>{currency(g.target)}</td>
+                    <td className={g.completed || g.onTrack ? "" : "text-red-600"}>{g.pct}%{g.completed ? " ✓" : g.onTrack ? "" : " (מאחור)"}</td><td>{currency(g.added)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        <section className="break-inside-avoid">
+          <h2 className="font-semibold mb-2">ההוצאות הגדולות</h2>
+          {st.largest.length ? (
+            <table className="w-full text-sm">
+              <tbody>
+                {st.largest.map(t => <tr key={t.id} className="border-b"><td className="py-1">{t.date}</td><td>{t.category}</td><td>{t.note}</td><td className="text-left">{currency(t.amount)}</td></tr>)}
+              </tbody>
+            </table>
+          ) : <div className="text-sm text-teal-700">אין הוצאות בחודש זה.</div>}
+        </section>
+
+        {st.movers.length > 0 && (
+          <section className="break-inside-avoid">
+            <h2 className="font-semibold mb-2">שינויים בולטים לעומת {st.previous}</h2>
+            <table className="w-full text-sm">
+              <thead><tr className="text-right text-teal-700 border-b"><th className="py-1">קטגוריה</th><th>{st.previous}</th><th>{st.month}</th><th>שינוי</th></tr></thead>
+              <tbody>
+                {st.movers.map(m => (
+                  <tr key={m.category} className="border-b">
+                    <td className="py-1">{m.category}</td><td>{currency(m.previous)}</td><td>{currency(m.current)}</td>
+                    <td className={m.delta > 0 ? "text-red-600" : "text-emerald-700"}>{currency(m.delta)} ({pct(m.pct)})</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+      </article>
     </div>
   );
 }
 
 // ---------- Import/Export Page ----------
 function ImportExportPage({ ctx }) {
+  const profiles = [...BUILTIN_PROFILES, ...ctx.importProfiles];
+  const [profileId, setProfileId] = useState("app");
+  const [accountId, setAccountId] = useState(ctx.accounts[0]?.id);
+  const [memberId, setMemberId] = useState(DEFAULT_MEMBER_ID);
+  const [fileText, setFileText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [wizard, setWizard] = useState(false);
+  const [review, setReview] = useState(null);
+  const [message, setMessage] = useState("");
+  const [exportDelimiter, setExportDelimiter] = useState(",");
+  const profile = profiles.find(p => p.id === profileId) || profiles[0];
+
   function exportCSV(){
-    const csv = toCSVString(ctx.transactions);
+    const csv = toCSVString(ctx.transactions, exportDelimiter);
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
     const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a.download = `transactions-${new Date().toISOString().slice(0,10)}.csv`; a.click(); URL.revokeObjectURL(url);
+    const a = document.createElement('a'); a.href = url; a.download = `transactions-${todayISO()}.csv`; a.click(); URL.revokeObjectURL(url);
   }
 
-  function importCSVText(text){
-    const parsed = parseCSV(text);
-    ctx.setTransactions(prev=>[...parsed, ...prev]);
+  // Parse into a review table; nothing is written until the user confirms
+  function importCSVText(text, p = profile){
+    let { rows, rejected, error } = parseWithProfile(text, p);
+    // Unknown layout: let the user map the columns
+    if (error) { setMessage(`${error} (פרופיל "${p.name}"). הגדר פרופיל חדש מהקובץ.`); setWizard(true); setReview(null); return; }
+    // Foreign-currency rows without a shekel amount are converted now; no known rate rejects the row
+    const converted = [], fxRejected = [];
+    for (const t of rows) {
+      const c = t.needsFx ? withConversion(t, ctx.fxRates) : t;
+      if (c) converted.push(c); else fxRejected.push({ line: "—", reason: `אין שער המרה ל-${t.currency}`, raw: `${t.date} ${t.note} ${t.originalAmount} ${t.currency}` });
+    }
+    rejected = [...rejected, ...fxRejected];
+    const categorized = applyCategoryRules(converted, ctx.catRules, [...categoryNames(ctx.categories), "הכנסה"]);
+    const dups = findDuplicates(categorized, ctx.transactions);
+    setReview({ profileName: p.name, items: categorized.map((tx, i) => ({ tx, dup: dups[i], keep: !dups[i] })), rejected });
+    setMessage("");
   }
 
   function onFile(e){
     const f = e.target.files?.[0]; if(!f) return;
     const reader = new FileReader();
-    reader.onload = () => importCSVText(String(reader.result||""));
+    reader.onload = () => { const text = String(reader.result||""); setFileText(text); setFileName(f.name); setWizard(false); importCSVText(text); };
     reader.readAsText(f);
+    e.target.value = "";
+  }
+
+  function commitReview(){
+    const batchId = `b${Date.now()}`;
+    // Rows that name their own account (app export) keep it; the rest go to the chosen account
+    const rows = review.items.filter(i => i.keep).map(i => ({ accountId, memberId, ...i.tx, id: newTxId(), importBatchId: batchId }));
+    if (rows.length) {
+      ctx.setTransactions(prev=>[...rows, ...prev], `ייבוא ${rows.length} תנועות מ-${fileName}`);
+      ctx.setImportBatches(prev=>[{ id: batchId, at: new Date().toISOString(), fileName, profileName: review.profileName, count: rows.length }, ...prev]);
+    }
+    setMessage(`יובאו ${rows.length} תנועות${review.rejected.length ? `, ${review.rejected.length} שורות נדחו` : ""}.`);
+    setReview(null);
+  }
+  function rollbackBatch(b){
+    if(!confirm(`לבטל את הייבוא "${b.fileName}"? כל התנועות שנוספו בו יימחקו.`)) return;
+    ctx.setTransactions(prev=>prev.filter(t=>t.importBatchId!==b.id), `ביטול ייבוא ${b.fileName}`);
+    ctx.setImportBatches(prev=>prev.filter(x=>x.id!==b.id));
   }
 
+  function saveProfile(p){
+    ctx.setImportProfiles(prev => [...prev, p]);
+    setProfileId(p.id); setWizard(false);
+    importCSVText(fileText, p);
+  }
+  function removeProfile(id){ ctx.setImportProfiles(prev => prev.filter(p => p.id !== id)); if (profileId === id) setProfileId("app"); }
+
   return (
     <div className="grid md:grid-cols-2 gap-6">
       <div className="bg-white rounded-2xl shadow p-4">
         <h2 className="font-semibold mb-2">ייצוא CSV</h2>
         <p className="text-sm text-teal-700 mb-3">מוריד קובץ עם כל התנועות. ניתן לייבא חזרה בעתיד.</p>
+        <div className="mb-3">
+          <Field label="מפריד עמודות">
+            <select className="border rounded-xl px-3 py-2" value={exportDelimiter} onChange={e=>setExportDelimiter(e.target.value)}>
+              {Object.entries(DELIMITERS).map(([d,l])=><option key={l} value={d}>{l}</option>)}
+            </select>
+          </Field>
+        </div>
         <button onClick={exportCSV} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow">הורדת CSV</button>
       </div>
 
       <div className="bg-white rounded-2xl shadow p-4">
         <h2 className="font-semibold mb-2">ייבוא CSV</h2>
-        <p className="text-sm text-teal-700 mb-3">פורמט עמודות: id,date,type,amount,category,note</p>
+        <p className="text-sm text-teal-700 mb-3">בחר פרופיל לפי מקור הקובץ (האפליקציה, בנק או כרטיס אשראי). קובץ שלא זוהה יפתח אשף הגדרת עמודות. לפני השמירה תוצג תצוגה מקדימה.</p>
+        <div className="flex items-center gap-2 mb-3">
+          <Field label="פרופיל ייבוא">
+            <select className="border rounded-xl px-3 py-2" value={profile.id} onChange={e=>setProfileId(e.target.value)}>
+              {profiles.map(p=><option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </Field>
+          {!profile.builtin && <button onClick={()=>removeProfile(profile.id)} className="text-red-600 text-sm hover:underline self-end mb-2">מחק פרופיל</button>}
+          <Field label="לחשבון">
+            <select className="border rounded-xl px-3 py-2" value={accountId} onChange={e=>setAccountId(e.target.value)}>
+              {ctx.accounts.map(a=><option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+          </Field>
+          {ctx.members.length > 1 && (
+            <Field label="של">
+              <select className="border rounded-xl px-3 py-2" value={memberId} onChange={e=>setMemberId(e.target.value)}>
+                {ctx.members.map(m=><option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+            </Field>
+          )}
+        </div>
         <input type="file" accept=".csv,text/csv" onChange={onFile} className="block" />
+        {message && <p className="text-sm text-teal-800 mt-3">{message}</p>}
+        {fileText && !wizard && <button onClick={()=>setWizard(true)} className="text-sm text-teal-700 hover:underline mt-2">בנה פרופיל חדש מהקובץ האחרון</button>}
+      </div>
+
+      {wizard && fileText && (
+        <div className="md:col-span-2">
+          <ProfileWizard text={fileText} onSave={saveProfile} onCancel={()=>setWizard(false)} />
+        </div>
+      )}
+
+      {review && (
+        <div className="md:col-span-2">
+          <ImportReview review={review} setReview={setReview} onCommit={commitReview} onCancel={()=>setReview(null)} />
+        </div>
+      )}
+
+      {ctx.importBatches.length > 0 && (
+        <div className="bg-white rounded-2xl shadow p-4 md:col-span-2">
+          <h2 className="font-semibold mb-2">היסטוריית ייבוא</h2>
+          <table className="min-w-full text-sm">
+            <tbody>
+              {ctx.importBatches.map(b => (
+                <tr key={b.id} className="border-t">
+                  <td className="p-2 whitespace-nowrap">{new Date(b.at).toLocaleString("he-IL")}</td>
+                  <td className="p-2">{b.fileName || "—"}</td>
+                  <td className="p-2 text-teal-700">{b.profileName}</td>
+                  <td className="p-2">{ctx.transactions.filter(t=>t.importBatchId===b.id).length} תנועות</td>
+                  <td className="p-2 text-center"><button onClick={()=>rollbackBatch(b)} className="text-red-600 hover:underline">בטל ייבוא</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Preview of parsed rows: likely duplicates start unchecked, rejected rows are listed with the reason
+function ImportReview({ review, setReview, onCommit, onCancel }) {
+  const kept = review.items.filter(i => i.keep);
+  const dupCount = review.items.filter(i => i.dup).length;
+  function setKeep(idx, keep){ setReview({ ...review, items: review.items.map((it, i) => i === idx ? { ...it, keep } : it) }); }
+  function setAll(keep){ setReview({ ...review, items: review.items.map(it => ({ ...it, keep })) }); }
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold">תצוגה מקדימה לייבוא</h2>
+        <div className="flex items-center gap-3 text-sm">
+          <button onClick={()=>setAll(true)} className="text-teal-700 hover:underline">בחר הכל</button>
+          <button onClick={()=>setAll(false)} className="text-teal-700 hover:underline">נקה הכל</button>
+        </div>
+      </div>
+      <p className="text-sm text-teal-700 mb-2">{review.items.length} שורות תקינות, {dupCount} כפילויות אפשריות, {review.rejected.length} שורות נדחו.</p>
+      <div className="overflow-auto max-h-[420px] rounded-xl border mb-3">
+        <table className="min-w-full text-sm">
+          <thead className="bg-teal-50 sticky top-0">
+            <tr>
+              <th className="p-2"></th>
+              <th className="text-right p-2">תאריך</th>
+              <th className="text-right p-2">סוג</th>
+              <th className="text-right p-2">קטגוריה</th>
+              <th className="text-right p-2">הערה</th>
+              <th className="text-right p-2">סכום</th>
+              <th className="text-right p-2">סטטוס</th>
+            </tr>
+          </thead>
+          <tbody>
+            {review.items.map(({ tx, dup, keep }, i) => (
+              <tr key={i} className={`border-t ${dup?"bg-amber-50":""}`}>
+                <td className="p-2 text-center"><input type="checkbox" checked={keep} onChange={e=>setKeep(i, e.target.checked)} /></td>
+                <td className="p-2 whitespace-nowrap">{tx.date}</td>
+                <td className="p-2">{tx.type==='income'?"הכנסה":"הוצאה"}</td>
+                <td className="p-2">{tx.category||"—"}</td>
+                <td className="p-2">{tx.note}</td>
+                <td className={`p-2 font-medium ${tx.type==='income'?"text-emerald-700":"text-red-600"}`}>{currency(tx.amount)}</td>
+                <td className="p-2 text-xs">{dup ? <span className="text-amber-700">כפילות אפשרית: {dup.date} {dup.note}</span> : <span className="text-emerald-700">חדשה</span>}</td>
+              </tr>
+            ))}
+            {review.rejected.map((r, i) => (
+              <tr key={`x${i}`} className="border-t bg-red-50/60 text-red-700">
+                <td className="p-2 text-center">✕</td>
+                <td className="p-2 text-xs" colSpan={5}>שורה {r.line}: {r.raw}</td>
+                <td className="p-2 text-xs">נדחתה: {r.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center gap-2">
+        <button onClick={onCommit} disabled={!kept.length} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow disabled:opacity-50">ייבא {kept.length} תנועות נבחרות</button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-xl bg-white border hover:shadow">בטל</button>
+      </div>
+    </div>
+  );
+}
+
+// Builds an import profile from the first rows of an unknown file
+function ProfileWizard({ text, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({ name: "", delimiter: detectDelimiter(text), headerRow: 0, dateFormat: "DD/MM/YYYY", amountMode: "signed", expenseSign: "negative", map: {} }));
+  const rows = useMemo(() => csvRows(text, draft.delimiter).slice(0, 12), [text, draft.delimiter]);
+  const header = rows[draft.headerRow] || [];
+  const width = Math.max(0, ...rows.map(r => r.length));
+
+  function toProfile(){
+    const columns = Object.fromEntries(Object.entries(draft.map).filter(([, j]) => j !== "" && header[j] !== undefined).map(([f, j]) => [f, [String(header[j]).trim()]]));
+    return { id: `p${Date.now()}`, name: draft.name.trim() || "פרופיל חדש", delimiter: draft.delimiter, headerRow: draft.headerRow, dateFormat: draft.dateFormat, amountMode: draft.amountMode, expenseSign: draft.expenseSign, columns };
+  }
+  const preview = parseWithProfile(text, toProfile());
+  const fields = [...(draft.amountMode === 'split' ? ["date", "debit", "credit"] : ["date", "amount"]), "type", "category", "note", "currency", "originalAmount"];
+  const setMap = (f, v) => setDraft({ ...draft, map: { ...draft.map, [f]: v === "" ? "" : Number(v) } });
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <h2 className="font-semibold mb-3">אשף פרופיל ייבוא</h2>
+      <p className="text-sm text-teal-700 mb-2">השורות הראשונות בקובץ. סמן את שורת הכותרת ומפה את העמודות.</p>
+      <div className="overflow-auto max-h-72 rounded-xl border mb-4">
+        <table className="min-w-full text-xs">
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i} onClick={()=>setDraft({ ...draft, headerRow: i, map: {} })} className={`border-t cursor-pointer ${i===draft.headerRow?"bg-teal-100 font-semibold":"hover:bg-teal-50/40"}`}>
+                <td className="p-1 text-teal-700">{i}</td>
+                {Array.from({ length: width }, (_, j) => <td key={j} className="p-1 whitespace-nowrap">{r[j] ?? ""}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="grid md:grid-cols-5 gap-3 mb-3">
+        <Field label="מפריד"><select className="w-full border rounded-xl px-3 py-2" value={draft.delimiter} onChange={e=>setDraft({...draft, delimiter:e.target.value, map: {}})}>{Object.entries(DELIMITERS).map(([d,l])=><option key={l} value={d}>{l}</option>)}</select></Field>
+        <Field label="שם הפרופיל"><input className="w-full border rounded-xl px-3 py-2" value={draft.name} onChange={e=>setDraft({...draft, name:e.target.value})} placeholder="למשל: לאומי עו״ש" /></Field>
+        <Field label="שורת כותרת"><input type="number" min="0" className="w-full border rounded-xl px-3 py-2" value={draft.headerRow} onChange={e=>setDraft({...draft, headerRow: Math.max(0, Number(e.target.value)||0), map: {}})} /></Field>
+        <Field label="פורמט תאריך"><select className="w-full border rounded-xl px-3 py-2" value={draft.dateFormat} onChange={e=>setDraft({...draft, dateFormat:e.target.value})}>{DATE_FORMATS.map(f=><option key={f} value={f}>{f}</option>)}</select></Field>
+        <Field label="עמודות סכום">
+          <select className="w-full border rounded-xl px-3 py-2" value={`${draft.amountMode}:${draft.expenseSign}`} onChange={e=>{ const [amountMode, expenseSign] = e.target.value.split(":"); setDraft({...draft, amountMode, expenseSign}); }}>
+            <option value="signed:negative">עמודה אחת, הוצאה במינוס</option>
+            <option value="signed:positive">עמודה אחת, הוצאה בפלוס (כרטיס אשראי)</option>
+            <option value="split:negative">עמודות חובה וזכות נפרדות</option>
+          </select>
+        </Field>
+      </div>
+      <div className="grid md:grid-cols-6 gap-3 mb-4">
+        {fields.map(f => (
+          <Field key={f} label={PROFILE_FIELDS[f]}>
+            <select className="w-full border rounded-xl px-2 py-2" value={draft.map[f] ?? ""} onChange={e=>setMap(f, e.target.value)}>
+              <option value="">—</option>
+              {header.map((h, j) => <option key={j} value={j}>{h || `עמודה ${j+1}`}</option>)}
+            </select>
+          </Field>
+        ))}
+      </div>
+      <div className="text-sm text-teal-700 mb-2">
+        {preview.error ? preview.error : <>תצוגה מקדימה: {preview.rows.length} תנועות, {preview.rejected.length} שורות נדחו.</>}
+      </div>
+      {!preview.error && (
+        <table className="min-w-full text-sm mb-3">
+          <tbody>
+            {preview.rows.slice(0, 5).map((t, i) => (
+              <tr key={i} className="border-t">
+                <td className="p-1">{t.date}</td>
+                <td className="p-1">{t.type==='income'?"הכנסה":"הוצאה"}</td>
+                <td className="p-1">{t.note}</td>
+                <td className="p-1">{currency(t.amount)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <div className="flex items-center gap-2">
+        <button disabled={!!preview.error} onClick={()=>onSave(toProfile())} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow disabled:opacity-50">שמור פרופיל וייבא</button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-xl bg-white border hover:shadow">בטל</button>
+      </div>
+    </div>
+  );
+}
+
+// ---------- History Page ----------
+function HistoryPage({ ctx }) {
+  const { entries, cursor, travel } = ctx.journal;
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-semibold">היסטוריית שינויים</h2>
+        <span className="text-xs text-teal-700">נשמרים {JOURNAL_LIMIT} השינויים האחרונים. Ctrl+Z לביטול, Ctrl+Shift+Z לביצוע שוב.</span>
       </div>
+      {entries.length ? (
+        <ul className="text-sm divide-y">
+          {entries.map((e, i) => i).reverse().map(i => {
+            const e = entries[i], undone = i >= cursor;
+            return (
+              <li key={e.id} className={`flex items-center justify-between gap-3 py-2 ${undone ? "opacity-50" : ""}`}>
+                <div>
+                  <div className={undone ? "line-through" : ""}>{e.label}</div>
+                  <div className="text-xs text-teal-700">{new Date(e.at).toLocaleString("he-IL")}{i === cursor - 1 ? " • המצב הנוכחי" : ""}</div>
+                </div>
+                {i !== cursor - 1 && <button onClick={()=>travel(i + 1)} className="px-3 py-1 rounded-xl bg-white border hover:shadow whitespace-nowrap">{undone ? "בצע שוב עד כאן" : "חזור לנקודה זו"}</button>}
+              </li>
+            );
+          })}
+          {cursor > 0 && (
+            <li className="flex items-center justify-between py-2">
+              <span className="text-teal-700">לפני השינוי הראשון ברשימה</span>
+              <button onClick={()=>travel(0)} className="px-3 py-1 rounded-xl bg-white border hover:shadow">חזור לנקודה זו</button>
+            </li>
+          )}
+        </ul>
+      ) : <div className="text-sm text-teal-700">עדיין אין שינויים.</div>}
     </div>
   );
 }
@@ -663,10 +4442,29 @@ function TestsPage({ ctx }) {
     const roundParsed = parseCSV(roundtripCSV);
     assert("Roundtrip preserves length", roundParsed.length === sample.length);
     assert("Roundtrip preserves first row amount", roundParsed[0].amount === sample[0].amount);
+    const padded = parseCSV(toCSVString([{ id: 9, date: "2025-01-05", type: "expense", amount: 5, category: "מזון", note: "  קפה " }]));
+    assert("Roundtrip keeps note whitespace", padded[0]?.note === "  קפה ", JSON.stringify(padded[0]));
 
     const withComma = [{ id: 13, date: "2025-01-06", type: "expense", amount: 50, category: "אחר", note: "a,b,c" }];
     const csv2 = toCSVString(withComma);
-    assert("Commas replaced with semicolons in notes", csv2.includes("a;b;c"));
+    assert("Notes with commas are quoted", csv2.includes('"a,b,c"'), csv2);
+
+    // RFC 4180 quoting
+    const tricky = [
+      { id: 14, date: "2025-01-07", type: "expense", amount: 42, category: "מסעדות", note: "Cafe, Tel Aviv" },
+      { id: 15, date: "2025-01-08", type: "expense", amount: 10, category: "אחר", note: 'he said "hi"; ok' },
+      { id: 16, date: "2025-01-09", type: "income", amount: 5, category: "הכנסה", note: "line1\nline2\r\nline3\ttab" },
+    ];
+    for (const d of [",", ";", "\t"]) {
+      const back = parseCSV(toCSVString(tricky, d));
+      assert(`Roundtrip keeps notes byte-for-byte (${JSON.stringify(d)})`, back.length === tricky.length && back.every((t,i)=>t.note===tricky[i].note), JSON.stringify(back.map(t=>t.note)));
+    }
+    assert("Escaped quotes parsed", parseCSVRows('a,"x ""y"" z",b')[0][1] === 'x "y" z');
+    assert("Embedded newline stays in one row", parseCSVRows('a,"1\n2"\nb,c').length === 2);
+    assert("Quote inside unquoted field is literal", parseCSVRows('סה"כ,10')[0][0] === 'סה"כ');
+    assert("Detects semicolon delimiter", detectDelimiter('date;amount;note\n2025-01-01;"1,200.50";x') === ";");
+    const thousands = parseCSV('date,amount,note\n2025-01-10,"-1,234.50","Cafe, Tel Aviv"');
+    assert("Quoted thousands amount keeps columns aligned", thousands[0]?.amount === 1234.5 && thousands[0]?.note === "Cafe, Tel Aviv", JSON.stringify(thousands));
 
     // New tests for your requested behavior
     // 1) Unknown type + positive amount -> infer income
@@ -695,7 +4493,497 @@ function TestsPage({ ctx }) {
     const parsedMissing = parseCSV(missingCols);
     assert("Allows missing type (infer)", parsedMissing.length === 1 && parsedMissing[0].type === 'income');
 
+    // Import profiles
+    assert("parseDate DD/MM/YYYY", parseDate("05/08/2025", "DD/MM/YYYY") === "2025-08-05");
+    assert("parseDate 2-digit year", parseDate("5.8.25", "DD/MM/YYYY") === "2025-08-05");
+    assert("parseDate rejects 31/02", parseDate("31/02/2025", "DD/MM/YYYY") === "");
+    assert("parseAmount strips ₪ and thousands", parseAmount("₪1,234.50") === 1234.5);
+    assert("parseAmount trailing minus", parseAmount("120.00-") === -120);
+    const bankCSV = `מספר חשבון: 12-345-678\nתקופה: 08/2025\nתאריך,תיאור הפעולה,חובה,זכות,יתרה\n03/08/2025,פז,190.00,,5000\n10/08/2025,משכורת,,14000.00,19000\nסה"כ,,190,14000,`;
+    const bank = parseWithProfile(bankCSV, BUILTIN_PROFILES.find(p=>p.id==="bank"));
+    assert("Bank profile skips preamble rows", bank.rows.length === 2, JSON.stringify(bank));
+    assert("Bank debit => expense, credit => income", bank.rows[0]?.type === 'expense' && bank.rows[1]?.type === 'income' && bank.rows[1]?.amount === 14000);
+    assert("Bank totals row rejected with reason", bank.rejected.length === 1 && !!bank.rejected[0].reason);
+    const cardCSV = `תאריך עסקה,שם בית העסק,סכום חיוב\n01/08/2025,שופרסל,250\n02/08/2025,זיכוי,-40`;
+    const card = parseWithProfile(cardCSV, BUILTIN_PROFILES.find(p=>p.id==="card"));
+    assert("Card profile: positive charge => expense", card.rows[0]?.type === 'expense' && card.rows[0]?.note === 'שופרסל');
+    assert("Card profile: negative refund => income", card.rows[1]?.type === 'income' && card.rows[1]?.amount === 40);
+    assert("Unknown layout reports error", !!parseWithProfile(cardCSV, BUILTIN_PROFILES[0]).error);
+
+    // Import review
+    assert("newTxId is unique in a burst", new Set(Array.from({ length: 50 }, newTxId)).size === 50);
+    assert("Note similarity ignores case/punctuation", noteSimilarity("WOLT*Tel-Aviv", "wolt tel aviv") === 1);
+    assert("Different notes are not similar", noteSimilarity("שופרסל", "פז") < 0.6);
+    const existing = [{ id: 1, date: "2025-08-03", type: "expense", amount: 190, note: "פז דלק" }];
+    const dups = findDuplicates([
+      { date: "2025-08-04", type: "expense", amount: 190, note: "פז  דלק" },
+      { date: "2025-08-03", type: "expense", amount: 191, note: "פז דלק" },
+      { date: "2025-08-03", type: "expense", amount: 190, note: "שופרסל" },
+      { date: "2025-08-09", type: "expense", amount: 190, note: "פז דלק" },
+    ], existing);
+    assert("Duplicate found within a day", dups[0]?.id === 1);
+    assert("Different amount is not a duplicate", dups[1] === null);
+    assert("Different merchant is not a duplicate", dups[2] === null);
+    assert("Far date is not a duplicate", dups[3] === null);
+
+    // Categorization rules
+    const catRules = [
+      { id: "a", match: "contains", pattern: "wolt", type: "", minAmount: "", maxAmount: "", category: "מסעדות" },
+      { id: "b", match: "regex", pattern: "^(פז|דלק|sonol)", type: "expense", minAmount: "", maxAmount: "", category: "דלק" },
+      { id: "c", match: "contains", pattern: "שופרסל", type: "expense", minAmount: "", maxAmount: "500", category: "מכולת" },
+    ];
+    assert("Contains rule is case-insensitive", categorize({ type: "expense", amount: 60, note: "WOLT Tel Aviv" }, catRules) === "מסעדות");
+    assert("Regex rule matches", categorize({ type: "expense", amount: 190, note: "פז יקום" }, catRules) === "דלק");
+    assert("Type filter applies", categorize({ type: "income", amount: 190, note: "פז יקום" }, catRules) === "");
+    assert("Rule without a type leaves income alone", categorize({ type: "income", amount: 60, note: "wolt refund" }, catRules) === "");
+    assert("Income rule matches income", ruleMatches({ match: "contains", pattern: "משכורת", type: "income" }, { type: "income", amount: 1, note: "משכורת" }));
+    assert("Amount range applies", categorize({ type: "expense", amount: 900, note: "שופרסל דיל" }, catRules) === "");
+    assert("Invalid regex never matches", !ruleMatches({ match: "regex", pattern: "(" }, { type: "expense", amount: 1, note: "(" }));
+    const applied = applyCategoryRules([{ type: "expense", amount: 60, note: "wolt", category: "" }, { type: "expense", amount: 60, note: "wolt", category: "אחר" }], catRules);
+    assert("Import rules fill empty category only", applied[0].category === "מסעדות" && applied[1].category === "אחר");
+    assert("Re-run preview lists only changes", previewRecategorize([{ id: 1, type: "expense", amount: 60, note: "wolt", category: "מסעדות" }, { id: 2, type: "expense", amount: 60, note: "wolt", category: "אחר" }], catRules).length === 1);
+
+    // Accounts and transfers
+    const accs = [{ id: "chk", openingBalance: 1000 }, { id: "visa", openingBalance: 0 }];
+    const accTx = [
+      { id: 1, date: "2025-01-05", type: "income", amount: 5000, accountId: "chk" },
+      { id: 2, date: "2025-01-10", type: "expense", amount: 300, accountId: "visa" },
+      { id: 3, date: "2025-02-02", type: "transfer", amount: 300, accountId: "chk", toAccountId: "visa" },
+    ];
+    const bal = accountBalances(accs, accTx);
+    assert("Transfer moves money between accounts", bal.chk === 5700 && bal.visa === 0, JSON.stringify(bal));
+    const hist = balanceHistory(accs, accTx, ["2025-01", "2025-02"]);
+    const usdAcc = { id: "usd", currency: "USD", openingBalance: 100 };
+    const accRates = [{ currency: "USD", date: "2025-01-01", rate: 3.5 }, { currency: "USD", date: "2025-03-01", rate: 3.7 }];
+    assert("Foreign opening balance converts at the latest rate", accountBalances([usdAcc], [], undefined, accRates).usd === 370);
+    assert("Foreign opening balance without a rate is left out", openingBalance(usdAcc, []) === null && accountBalances([usdAcc], []).usd === 0);
+    assert("Month-end balances and net worth", hist[0].visa === -300 && hist[0].netWorth === 5700 && hist[1].netWorth === 5700, JSON.stringify(hist));
+    assert("Legacy tx belongs to default account", txAccount({ id: 9 }) === "main");
+    const transferCSV = parseCSV(toCSVString([accTx[2]]));
+    assert("Transfer survives CSV roundtrip", transferCSV[0]?.type === "transfer" && transferCSV[0]?.toAccountId === "visa", JSON.stringify(transferCSV));
+
+    // Currencies
+    const fx = [{ currency: "USD", date: "2025-01-01", rate: 3.6 }, { currency: "USD", date: "2025-02-01", rate: 3.7 }];
+    assert("Rate: latest on or before date", rateFor(fx, "USD", "2025-01-20") === 3.6 && rateFor(fx, "USD", "2025-03-01") === 3.7);
+    assert("Rate: before table falls back to earliest", rateFor(fx, "USD", "2024-06-01") === 3.6);
+    assert("Rate: unknown currency is null, ILS is 1", rateFor(fx, "EUR", "2025-01-01") === null && rateFor(fx, "ILS", "2025-01-01") === 1);
+    const usdTx = withConversion({ date: "2025-02-10", type: "expense", amount: 0, currency: "USD", originalAmount: 20.5 }, fx);
+    assert("Converted amount in shekels", usdTx.amount === 75.85 && usdTx.originalAmount === 20.5, JSON.stringify(usdTx));
+    const usdBack = parseCSV(toCSVString([{ ...usdTx, id: 1, note: "Adobe" }]));
+    assert("Currency survives CSV roundtrip", usdBack[0]?.currency === "USD" && usdBack[0]?.originalAmount === 20.5 && usdBack[0]?.amount === 75.85 && !usdBack[0]?.needsFx, JSON.stringify(usdBack));
+    const wide = parseRatesCSV("תאריך,USD,EUR\n01/03/2025,3.61,3.95\n02/03/2025,3.62,");
+    assert("Wide rates CSV", wide.length === 3 && wide[0].currency === "USD" && wide[1].rate === 3.95, JSON.stringify(wide));
+    assert("Long rates CSV", parseRatesCSV("date,currency,rate\n2025-03-01,$,3.6").length === 1);
+    assert("Merge replaces same currency+date", mergeRates(fx, [{ currency: "USD", date: "2025-02-01", rate: 3.75 }]).length === 2);
+    const fxRule = { id: "rf", type: "expense", amount: 20, currency: "USD", category: "תוכנות/מנויים", note: "Adobe", freq: "monthly", startDate: "2025-02-05", endDate: "2025-02-28", count: 0 };
+    assert("Recurring foreign rule converts", dueRecurring([fxRule], "2025-03-01", fx).posts[0]?.amount === 74);
+    assert("Recurring foreign rule waits for a rate", dueRecurring([fxRule], "2025-03-01", []).posts.length === 0);
+
+    // Splits
+    const splitTx = { id: 21, date: "2025-03-01", type: "expense", amount: 300, category: SPLIT_CATEGORY, note: "שופרסל", splits: [
+      { category: "מכולת", amount: 200, note: "" }, { category: "פנאי", amount: 60, note: "צעצוע, לגן" }, { category: "אחר", amount: 40, note: "" } ] };
+    const byCat = expenseByCategory([splitTx, { id: 22, date: "2025-03-02", type: "expense", amount: 50, category: "מכולת", note: "" }]);
+    assert("Split lines count in their own categories", byCat["מכולת"] === 250 && byCat["פנאי"] === 60 && !byCat[SPLIT_CATEGORY], JSON.stringify(byCat));
+    assert("Split lines must add up", validateSplits(300, [{ amount: "200" }, { amount: "90" }]) !== "" && validateSplits(300, [{ amount: "200" }, { amount: "100" }]) === "");
+    const splitCSV = toCSVString([splitTx]);
+    assert("Split exported one row per line", splitCSV.split("\n").length === 4, splitCSV);
+    const splitBack = parseCSV(splitCSV);
+    assert("Split survives CSV roundtrip", splitBack.length === 1 && splitBack[0].amount === 300 && splitBack[0].splits?.length === 3 && splitBack[0].splits[1].note === "צעצוע, לגן", JSON.stringify(splitBack));
+    assert("Rules never recategorize a split", categorize(splitTx, [{ match: "contains", pattern: "שופרסל", category: "מכולת" }]) === "");
+
+    // Budget versions and rollover
+    let bv = budgetVersionsFromMap({ "מכולת": 1200 });
+    bv = setBudgetFrom(bv, "מכולת", "2025-10", 1500);
+    assert("Budget change applies from its month only", budgetFor(bv, "מכולת", "2025-09") === 1200 && budgetFor(bv, "מכולת", "2025-11") === 1500);
+    bv = setBudgetFrom(bv, "מכולת", "2025-08", 1000);
+    assert("Editing a past month keeps later versions", budgetFor(bv, "מכולת", "2025-09") === 1000 && budgetFor(bv, "מכולת", "2025-10") === 1500);
+    const once = setBudgetIn(budgetVersionsFromMap({ "מכולת": 1200 }), "מכולת", "2025-08", 900);
+    assert("Editing one past month leaves the months after it", budgetFor(once, "מכולת", "2025-08") === 900 && budgetFor(once, "מכולת", "2025-09") === 1200 && budgetFor(once, "מכולת", "2025-07") === 1200);
+    assert("Editing one month keeps the next month's own version", budgetFor(setBudgetIn(bv, "מכולת", "2025-09", 700), "מכולת", "2025-10") === 1500);
+    assert("Month shift across years", addMonths("2025-11", 3) === "2026-02" && addMonths("2025-01", -1) === "2024-12");
+    const spendIdx = categorySpendIndex([
+      { date: "2025-08-05", type: "expense", amount: 700, category: "מכולת" },
+      { date: "2025-09-05", type: "expense", amount: 1300, category: "מכולת" },
+      { date: "2025-10-05", type: "expense", amount: 400, category: "מכולת" },
+    ]);
+    const st = budgetStatus(bv, { "מכולת": "2025-08" }, spendIdx, "מכולת", "2025-10");
+    assert("Rollover carries unspent and overspent", st.carried === 0 && st.available === 1500 && st.spent === 400, JSON.stringify(st));
+    const st2 = budgetStatus(bv, { "מכולת": "2025-09" }, spendIdx, "מכולת", "2025-10");
+    assert("Rollover starts from the month it was enabled", st2.carried === -300 && st2.available === 1200, JSON.stringify(st2));
+    assert("No rollover, no carry", budgetStatus(bv, {}, spendIdx, "מכולת", "2025-10").carried === 0);
+
+    // Goals ledger
+    const goalTx = new Map([[501, { id: 501, date: "2025-05-02", type: "transfer", amount: 800 }]]);
+    const gEntries = [
+      { id: "e1", goalId: "g", date: "2025-04-10", amount: 800 },
+      { id: "e2", goalId: "g", txId: 501, kind: "contribution" },
+      { id: "e3", goalId: "g", date: "2025-05-20", amount: -200 },
+      { id: "e4", goalId: "g", txId: 999, kind: "contribution" },
+      { id: "e5", goalId: "other", date: "2025-05-20", amount: 50 },
+    ];
+    const gl = goalLedger("g", gEntries, goalTx);
+    assert("Goal ledger resolves links and drops deleted ones", gl.length === 3 && gl.reduce((a, l) => a + l.amount, 0) === 1400);
+    const gp = goalProgress({ target: 3500, monthly: 800, startYm: "2025-04" }, gl, "2025-05");
+    assert("Goal progress: saved, pct, pace", gp.saved === 1400 && gp.pct === 40 && gp.pace === 700, JSON.stringify(gp));
+    assert("Goal projection from actual pace", gp.projectedYm === "2025-08" && !gp.onTrack, JSON.stringify(gp));
+    assert("Goal completed at target", goalProgress({ target: 1000, monthly: 0, startYm: "2025-04" }, [{ amount: 1000 }], "2025-05").completed);
+
+    // Forecast
+    const fc = forecastCashflow({
+      transactions: [
+        { id: 1, date: "2025-03-10", type: "income", amount: 3000, category: "הכנסה" },
+        { id: 2, date: "2025-04-10", type: "expense", amount: 600, category: "פנאי" },
+        { id: 3, date: "2025-05-01", type: "income", amount: 9000, category: "הכנסה", recurringId: "sal" },
+      ],
+      recurring: [
+        { id: "sal", type: "income", amount: 9000, freq: "monthly", startDate: "2025-01-01", count: 5 },
+        { id: "rent", type: "expense", amount: 5000, category: "דיור", freq: "monthly", startDate: "2025-01-05", count: 5 },
+        { id: "off", type: "expense", amount: 999, category: "דיור", freq: "monthly", startDate: "2025-01-05", paused: true },
+      ],
+      goals: [{ monthly: 1000, remaining: 1500 }],
+      budgetsFor: () => ({ "דיור": 5500, "מזון": 4000 }),
+      rates: [], startBalance: 1000, fromYm: "2025-05", horizon: 3,
+    });
+    assert("Forecast combines recurring, budgets and trend", fc[0].month === "2025-06" && fc[0].income === 10000 && fc[0].expense === 9700, JSON.stringify(fc[0]));
+    assert("Forecast caps goal contributions at the remaining amount", fc.map(r => r.goals).join() === "1000,500,0");
+    const fcShifted = forecastCashflow({
+      transactions: [{ id: 1, date: "2025-07-05", type: "income", amount: 3000, category: "הכנסה" }],
+      recurring: [{ id: "ins", type: "expense", amount: 1200, category: "ביטוח", freq: "yearly", startDate: "2024-09-05", count: 1 }],
+      goals: [], budgetsFor: () => ({}), rates: [], fromYm: "2025-07", startDay: 10, horizon: 2,
+    });
+    assert("Forecast buckets by financial month", fcShifted[0].expense === 1200 && fcShifted[1].expense === 0 && fcShifted[0].income === 1000, JSON.stringify(fcShifted));
+    assert("Forecast running balance and shortfall", fc[0].net === -700 && fc[0].balance === 300 && fc[2].balance === 400 && fc.filter(r => r.net < 0).length === 2, JSON.stringify(fc));
+
+    // Transaction filters
+    const fTx = [
+      { id: 1, date: "2025-01-15", type: "expense", amount: 220, category: "פנאי", note: "Adobe CC" },
+      { id: 2, date: "2025-03-15", type: "expense", amount: 220, category: "פנאי", note: "adobe cc" },
+      { id: 3, date: "2025-03-20", type: "expense", amount: 500, category: SPLIT_CATEGORY, note: "סופר", splits: [{ category: "מזון", amount: 400 }, { category: "בית", amount: 100 }] },
+      { id: 4, date: "2025-03-01", type: "income", amount: 9000, category: "הכנסה", note: "משכורת" },
+    ];
+    const fq = filterFromQuery(new URLSearchParams("q=ADOBE&from=2025-01-01&to=2025-12-31"), "2025-03");
+    assert("Filter: free text across history", fTx.filter(t => matchesFilter(t, fq)).map(t => t.id).join() === "1,2");
+    assert("Filter: defaults to the month when the query is empty", filterFromQuery(new URLSearchParams(""), "2024-02").to === "2024-02-29");
+    assert("Filter: 'everything' survives the query round trip", filterFromQuery(new URLSearchParams(filterToQuery({})), "2025-03").from === "");
+    const fb = filterFromQuery(new URLSearchParams("cat=בית&min=100&from="), "2025-03");
+    assert("Filter: category reaches split lines and amount range", fTx.filter(t => matchesFilter(t, fb)).map(t => t.id).join() === "3");
+    assert("Filter totals count only matching split lines", filterTotals([fTx[2]], fb).expense === 100);
+    assert("Sort by amount ascending, newest first on ties", sortTransactions(fTx, "amount", "asc").map(t => t.id).join() === "2,1,3,4");
+
+    // Bulk edit
+    const bTx = [
+      { id: 1, date: "2025-03-01", type: "expense", amount: 100, category: "אחר", note: "a" },
+      { id: 2, date: "2025-03-02", type: "expense", amount: 50, category: SPLIT_CATEGORY, note: "", splits: [{ category: "מזון", amount: 25 }, { category: "בית", amount: 25 }] },
+      { id: 3, date: "2025-03-03", type: "income", amount: 900, category: "הכנסה", note: "" },
+    ];
+    const bc = bulkEdit(bTx, [1, 2, 3], { kind: "category", value: "מזון" });
+    assert("Bulk category: expenses only, splits collapse", bc.before.length === 2 && bc.transactions.every(t => t.type !== 'expense' || (t.category === "מזון" && !t.splits)) && bc.transactions[2].category === "הכנסה");
+    const bd = bulkEdit(bTx, [2, 3], { kind: "delete" });
+    assert("Bulk delete and undo restores rows", bd.transactions.length === 1 && JSON.stringify(restoreTransactions(bd.transactions, bd.before).map(t => t.id).sort()) === "[1,2,3]");
+    const bt = bulkEdit(bTx, [1], { kind: "type", value: "income" });
+    assert("Bulk type change sets the fixed category", bt.transactions[0].type === "income" && bt.transactions[0].category === "הכנסה");
+    assert("Bulk note appends", bulkEdit(bTx, [1, 3], { kind: "note", value: " #x " }).transactions.map(t => t.note).join("|") === "a #x||#x");
+    assert("Bulk summary text", bulkSummary(bTx) === `3 תנועות, ${currency(1050)} סה״כ`);
+
+    // Change journal
+    const jBefore = [{ id: 1, v: "a" }, { id: 2, v: "b" }, { id: 3, v: "c" }];
+    const jAfter = [{ id: 4, v: "d" }, { id: 1, v: "a" }, { id: 3, v: "C" }];
+    const jc = diffStore("transactions", jBefore, jAfter);
+    assert("Journal diff of keyed lists", jc.added.length === 1 && jc.removed.length === 1 && jc.changed.length === 1);
+    assert("Journal undo restores order and content", JSON.stringify(applyChange(jAfter, jc, true)) === JSON.stringify(jBefore));
+    assert("Journal redo reapplies", JSON.stringify(applyChange(jBefore, jc, false)) === JSON.stringify(jAfter));
+    const jSkipped = [];
+    assert("Journal undo leaves records changed since by sync", applyChange([jAfter[0], jAfter[1], { id: 3, v: "synced" }], jc, true, jSkipped).find(x => x.id === 3).v === "synced" && jSkipped.join() === "3");
+    const bvBefore = budgetVersionsFromMap({ "דלק": 300 }), bvEdit = diffStore("budgetVersions", bvBefore, setBudgetFrom(bvBefore, "דלק", "2025-10", 400));
+    const bvSynced = { ...setBudgetFrom(bvBefore, "דלק", "2025-10", 400), "בית": [{ from: BUDGET_EPOCH, amount: 900 }] };
+    const bvUndone = applyChange(bvSynced, bvEdit, true);
+    assert("Journal undo of a budget keeps a synced one", bvEdit.keys.length === 1 && budgetFor(bvUndone, "דלק", "2025-11") === 300 && budgetFor(bvUndone, "בית", "2025-11") === 900, JSON.stringify(bvUndone));
+    assert("Journal skips no-op changes", diffStore("transactions", jBefore, jBefore.map(x => ({ ...x }))) === null && diffStore("expectedIncome", 5, 5) === null);
+    assert("Journal values and descriptions", applyChange(10, diffStore("expectedIncome", 5, 10), true) === 5 && describeChange(jc) === "תנועות: נוספו 1, נמחקו 1, עודכנו 1");
+
+    // Storage migrations
+    const legacyData = {
+      pf_budgets: { "מכולת": 1500 },
+      pf_tx: [
+        { id: 1, date: "2024-01-01", type: "expense", amount: 50, category: "מכולת" },
+        { id: 2, date: "2024-01-02", type: "expense", amount: 90, category: "x", splits: [{ category: "מכולת", amount: "40" }, { category: "בית", amount: "50" }] },
+        { id: 3, date: "2024-01-03", type: "expense", amount: 10, category: "דלק", splits: [] },
+      ],
+    };
+    const migrated = migrateData(legacyData, 0);
+    assert("Migration: legacy budgets become versions", !migrated.pf_budgets && budgetFor(migrated.pf_budget_versions, "מכולת", "2025-01") === 1500);
+    assert("Migration: rows get the default account", migrated.pf_tx.every(t => t.accountId === "main") && !legacyData.pf_tx[0].accountId);
+    assert("Migration: rows belong to the default member", migrated.pf_tx.every(t => t.memberId === DEFAULT_MEMBER_ID) && migrateData({ pf_recurring: [{ id: "r", memberId: "x" }] }, 4).pf_recurring[0].memberId === "x");
+    assert("Migration: splits normalized", migrated.pf_tx[1].category === SPLIT_CATEGORY && migrated.pf_tx[1].splits[0].amount === 40 && !("splits" in migrated.pf_tx[2]));
+    assert("Migration: categories seeded from defaults and budget keys", migrateData({ pf_budget_versions: { "חיות": [] } }, 3).pf_categories.length === CATEGORIES.length + 1 && migrated.pf_categories.length === CATEGORIES.length);
+    assert("Migration from the current version is a no-op", JSON.stringify(migrateData(migrated, SCHEMA_VERSION)) === JSON.stringify(migrated));
+    const sIssues = [];
+    const sane = sanitizeData({ pf_tx: [...migrated.pf_tx, null, { id: 9, date: "bad", amount: 1 }], pf_goals: "oops", pf_expected_income: 5, other: 1 }, sIssues);
+    assert("Sanitize drops corrupt rows and values", sane.pf_tx.length === 3 && !("pf_goals" in sane) && sane.pf_expected_income === 5 && sane.other === 1 && sIssues.length === 2);
+
+    // Backup merge
+    const mergedStores = mergeBackupStores(
+      { pf_tx: [{ id: 1, v: "mine" }], pf_budget_versions: { "דלק": [{ from: BUDGET_EPOCH, amount: 1 }] }, pf_expected_income: 0, pf_month_start: 1 },
+      { pf_tx: [{ id: 1, v: "theirs" }, { id: 2 }], pf_budget_versions: { "דלק": [], "בית": [] }, pf_expected_income: 9000, pf_month_start: 10, pf_goals: [{ id: "g" }] },
+    );
+    assert("Backup merge keeps ours and adds theirs", mergedStores.pf_tx.map(t => t.v || t.id).join() === "mine,2" && mergedStores.pf_budget_versions["דלק"].length === 1 && "בית" in mergedStores.pf_budget_versions && mergedStores.pf_goals.length === 1);
+    assert("Backup merge keeps our numbers, zero included", mergedStores.pf_expected_income === 0 && mergedStores.pf_month_start === 1);
+    const replacedStores = replaceBackupStores({ pf_tx: [{ id: 1 }] });
+    assert("Backup replace resets stores the backup lacks", replacedStores.pf_tx.length === 1 && replacedStores.pf_goals.length === 0 && replacedStores.pf_members === DEFAULT_MEMBERS && replacedStores.pf_month_start === 1 && Object.keys(replacedStores).length === Object.keys(BACKUP_STORES).length);
+
+    // Category taxonomy
+    const taxo = [
+      { id: "f", name: "מזון", parentId: "", color: "#111111", icon: "" },
+      { id: "s", name: "סופר", parentId: "f", color: "#222222", icon: "" },
+      { id: "r", name: "מסעדות", parentId: "", color: "#333333", icon: "" },
+    ];
+    assert("Category names list children after their parent", categoryNames([taxo[2], taxo[1], taxo[0]]).join() === "מסעדות,מזון,סופר");
+    const taxoStores = {
+      transactions: [
+        { id: 1, date: "2025-03-01", type: "expense", amount: 80, category: "מסעדות" },
+        { id: 2, date: "2025-03-02", type: "expense", amount: 90, category: SPLIT_CATEGORY, splits: [{ category: "מסעדות", amount: 40 }, { category: "סופר", amount: 50 }] },
+      ],
+      budgetVersions: { "מסעדות": [{ from: BUDGET_EPOCH, amount: 300 }], "מזון": [{ from: BUDGET_EPOCH, amount: 1000 }] },
+      rollover: { "מסעדות": "2025-01" }, catRules: [{ id: "x", category: "מסעדות" }], recurring: [], categories: taxo,
+      savedFilters: [{ id: "v", name: "בחוץ", query: "cat=%D7%9E%D7%A1%D7%A2%D7%93%D7%95%D7%AA&type=expense" }, { id: "w", name: "הכל", query: "from=" }],
+    };
+    const renamed = renameCategory(taxoStores, "מסעדות", "אוכל בחוץ");
+    assert("Rename rewrites transactions, splits, budgets, rules and rollover", renamed.transactions[0].category === "אוכל בחוץ" && renamed.transactions[1].splits[0].category === "אוכל בחוץ" && renamed.budgetVersions["אוכל בחוץ"][0].amount === 300 && !renamed.budgetVersions["מסעדות"] && renamed.catRules[0].category === "אוכל בחוץ" && renamed.rollover["אוכל בחוץ"] === "2025-01" && renamed.categories.length === 3);
+    assert("Rename moves a personal budget's owner", renameCategory({ ...taxoStores, budgetOwners: { "מסעדות": "b" } }, "מסעדות", "אוכל בחוץ").budgetOwners["אוכל בחוץ"] === "b");
+    assert("Rename rewrites saved views", new URLSearchParams(renamed.savedFilters[0].query).get("cat") === "אוכל בחוץ" && new URLSearchParams(renamed.savedFilters[0].query).get("type") === "expense" && renamed.savedFilters[1] === taxoStores.savedFilters[1]);
+    const unusedDel = deleteCategory({ ...taxoStores, transactions: [], catRules: [] }, "מסעדות");
+    assert("Deleting an unused category drops it from saved views", !new URLSearchParams(unusedDel.savedFilters[0].query).has("cat") && new URLSearchParams(unusedDel.savedFilters[0].query).get("type") === "expense");
+    const merged = renameCategory(taxoStores, "מסעדות", "מזון");
+    assert("Merge sums budgets and drops the source", budgetFor(merged.budgetVersions, "מזון", "2025-03") === 1300 && merged.categories.length === 2 && categoryUsage({ ...taxoStores, ...merged }, "מזון").transactions === 2);
+    assert("Rename refuses reserved names", !Object.keys(renameCategory(taxoStores, "מסעדות", "הכנסה")).length && !Object.keys(renameCategory(taxoStores, "מסעדות", SPLIT_CATEGORY)).length);
+    let delErr = ""; try { deleteCategory(taxoStores, "מסעדות"); } catch (e) { delErr = e.message; }
+    assert("Delete requires reassigning used categories", delErr && deleteCategory(taxoStores, "מסעדות", "סופר").transactions[0].category === "סופר");
+    const parentIdx = categorySpendIndex(taxoStores.transactions, categoryParents(taxo));
+    assert("Parent budget counts subcategory spending", parentIdx.get("2025-03|מזון") === 50 && parentIdx.get("2025-03|סופר") === 50);
+
+    // Reports
+    const repTx = [
+      { id: 1, date: "2025-03-02", type: "expense", amount: 100, category: "מכולת", note: "Shufersal" },
+      { id: 2, date: "2025-03-09", type: "expense", amount: 50, category: "מכולת", note: "shufersal!" },
+      { id: 3, date: "2025-02-10", type: "expense", amount: 200, category: "מכולת", note: "Rami Levy" },
+      { id: 4, date: "2024-03-05", type: "expense", amount: 40, category: "דלק", note: "" },
+      { id: 5, date: "2025-03-10", type: "income", amount: 9000, category: "הכנסה", note: "Salary" },
+      { id: 6, date: "2025-03-03", type: "expense", amount: 60, category: SPLIT_CATEGORY, note: "Shufersal", splits: [{ category: "מכולת", amount: 20 }, { category: "פנאי", amount: 40 }] },
+    ];
+    const mom = compareCategories(repTx, monthRange("2025-03"), monthRange("2025-02"));
+    assert("Report: month-over-month per category", mom[0].category === "מכולת" && mom[0].current === 170 && mom[0].previous === 200 && mom[0].pct === -15 && mom.find(r => r.category === "פנאי").pct === null);
+    const yoy = compareCategories(repTx, monthRange("2025-03"), monthRange("2024-03"));
+    assert("Report: year-over-year keeps categories only in the old period", yoy.find(r => r.category === "דלק").previous === 40);
+    const trendRep = categoryTrend(repTx, "2025-01", "2025-03");
+    assert("Report: category trend fills empty months", trendRep.rows.length === 3 && !trendRep.rows[0]["מכולת"] && trendRep.rows[2]["מכולת"] === 170 && trendRep.categories[0] === "מכולת");
+    const merch = topMerchants(repTx, { from: "2025-03-01", to: "2025-03-31" });
+    assert("Report: merchants grouped by normalized note", merch[0].name === "Shufersal" && merch[0].count === 3 && merch[0].total === 210);
+    assert("Report: merchant drill-down takes exactly the group's rows", repTx.filter(t => matchesFilter(t, { ids: merch[0].ids.join(",") })).every(t => normNote(t.note) === merch[0].key) && merch[0].ids.length === 3);
+    const wd = weekdayAverages(repTx, { from: "2025-03-01", to: "2025-03-31" });
+    assert("Report: weekday average over the days in range", wd[0].days === 5 && wd[0].total === 150 && wd[0].avg === 30 && wd.reduce((a, r) => a + r.days, 0) === 31);
+    assert("Report: income sources", incomeSources(repTx, {}).map(m => m.name).join() === "Salary");
+    assert("Filter: weekday", repTx.filter(t => matchesFilter(t, { dow: "0" })).map(t => t.id).join() === "1,2" && matchesFilter(repTx[0], { dow: "" }));
+    assert("Report drill-down links to a filtered list", drillLink({ cat: "מכולת", from: "2025-03-01" }) === `/transactions?cat=${encodeURIComponent("מכולת")}&from=2025-03-01`);
+    assert("Report CSV has a block per section", reportToCSV([{ title: "A", columns: ["x", "y"], rows: [[1, "a,b"]] }, { title: "B", columns: ["z"], rows: [] }]) === 'A\nx,y\n1,"a,b"\n\nB\nz');
+
+    // Monthly statement
+    const stTx = [
+      { id: 1, date: "2025-03-02", type: "expense", amount: 900, category: "מכולת", note: "סופר" },
+      { id: 2, date: "2025-03-05", type: "expense", amount: 100, category: "דלק", note: "" },
+      { id: 3, date: "2025-02-05", type: "expense", amount: 500, category: "מכולת", note: "" },
+      { id: 4, date: "2025-03-01", type: "income", amount: 5000, category: "הכנסה", note: "" },
+      { id: 5, date: "2025-04-01", type: "income", amount: 300, category: "הכנסה", note: "" },
+    ];
+    const stAgg = [{ month: "2025-02", income: 0, expense: 500, net: -500 }, { month: "2025-03", income: 5000, expense: 1000, net: 4000 }];
+    const stm = monthlyStatement({
+      month: "2025-03", monthlyAgg: stAgg, transactions: stTx, rollover: {}, categories: DEFAULT_CATEGORIES,
+      budgetVersions: { "מכולת": [{ from: BUDGET_EPOCH, amount: 800 }], "דלק": [{ from: BUDGET_EPOCH, amount: 300 }], "פנאי": [{ from: BUDGET_EPOCH, amount: 0 }] },
+      goals: [{ id: "g", name: "חופשה", target: 1000, monthly: 100, startYm: "2025-01" }],
+      goalEntries: [{ id: "a", goalId: "g", date: "2025-03-10", amount: 200 }, { id: "b", goalId: "g", date: "2025-04-10", amount: 500 }],
+    });
+    assert("Statement: totals and month-over-month change", stm.net === 4000 && stm.change.expense.delta === 500 && stm.change.expense.pct === 100 && stm.change.income.pct === null);
+    assert("Statement: budget adherence, empty budgets skipped", stm.budgets.map(x => `${x.category}:${x.over}`).join() === "מכולת:true,דלק:false");
+    assert("Statement: goal progress as of month end", stm.goals[0].saved === 200 && stm.goals[0].added === 200 && stm.goals[0].pct === 20);
+    assert("Statement: largest expenses and movers", stm.largest.map(t => t.id).join() === "1,2" && stm.movers[0].category === "מכולת" && stm.movers[0].delta === 400);
+    const stMd = statementSummary(stm, "markdown"), stText = statementSummary(stm);
+    assert("Statement summary: Markdown and plain text", stMd.startsWith("## סיכום חודשי 2025-03") && stMd.includes("- מכולת:") && stMd.includes("**חריגה**") && !stText.includes("**") && stText.includes("• חופשה:"));
+
+    // Financial month
+    assert("Local date ignores the UTC offset", localISO(new Date(2025, 2, 1, 0, 30)) === "2025-03-01" && localISO(new Date(2025, 11, 31, 23, 59)) === "2025-12-31");
+    assert("Financial month: dates before the start day belong to the previous month", periodOf("2025-03-09", 10) === "2025-02" && periodOf("2025-03-10", 10) === "2025-03" && periodOf("2025-01-05", 10) === "2024-12" && periodOf("2025-03-09") === "2025-03");
+    assert("Financial month range", JSON.stringify(periodRange("2025-12", 10)) === JSON.stringify({ from: "2025-12-10", to: "2026-01-09" }) && periodRange("2024-02").to === "2024-02-29" && periodRange("2025-03", 40).from === "2025-03-28");
+    assert("Recent financial months end with the current one", recentPeriods(3, 10, "2025-01-05").join() === "2024-10,2024-11,2024-12" && recentPeriods(2, 1, "2025-01-05").join() === "2024-12,2025-01");
+    assert("Filter range maps back to its financial month", periodOfRange(periodRange("2025-03", 10), 10) === "2025-03" && periodOfRange({ from: "2025-03-01", to: "2025-03-31" }, 10) === "" && periodOfRange({ from: "", to: "" }) === "");
+    assert("Filter defaults to the financial month", filterFromQuery(new URLSearchParams(""), "2025-03", 10).to === "2025-04-09");
+    const payIdx = categorySpendIndex([{ id: 1, date: "2025-04-05", type: "expense", amount: 70, category: "דלק" }], null, 10);
+    assert("Budgets bucket spending by financial month", payIdx.get("2025-03|דלק") === 70 && !payIdx.has("2025-04|דלק"));
+
+    // Aggregation engine
+    const aggTx = [
+      { id: 1, date: "2025-03-02", type: "expense", amount: 100.1, category: "מכולת", accountId: "main" },
+      { id: 2, date: "2025-03-09", type: "income", amount: 1000, category: "הכנסה", accountId: "main" },
+      { id: 3, date: "2025-04-01", type: "expense", amount: 90, category: SPLIT_CATEGORY, splits: [{ category: "מכולת", amount: 40 }, { category: "דלק", amount: 50 }] },
+      { id: 4, date: "2025-04-03", type: "transfer", amount: 200, category: "העברה", accountId: "main", toAccountId: "card" },
+    ];
+    const engine = createAggregator();
+    engine.sync(aggTx);
+    const aggSnap = engine.snapshot();
+    assert("Aggregates: month totals, split lines and account deltas", aggSnap["2025-03"].expense === 100.1 && aggSnap["2025-03"].income === 1000 && aggSnap["2025-04"].cats["דלק"] === 50 && aggSnap["2025-04"].count === 2 && aggSnap["2025-04"].accounts.card === 200);
+    const aggEdited = [{ ...aggTx[0], amount: 30, date: "2025-04-05" }, aggTx[1], aggTx[3], { id: 5, date: "2025-05-01", type: "expense", amount: 7, category: "פנאי" }];
+    const aggDiff = diffRows(new Map(aggTx.map(t => [t.id, t])), aggEdited);
+    assert("Aggregates: diff finds changed, new and removed rows only", aggDiff.upserts.map(t => t.id).join() === "1,5" && aggDiff.removed.join() === "3");
+    assert("Aggregates: incremental update matches a rebuild", engine.sync(aggEdited) === 3 && JSON.stringify(engine.snapshot()) === JSON.stringify(aggregateTransactions(aggEdited)) && !engine.snapshot()["2025-03"].cats["מכולת"]);
+    assert("Aggregates: financial months and readers", aggregateTransactions(aggTx, 10)["2025-02"].expense === 100.1 && monthTotals(aggSnap, "2025-03").net === 899.9 && monthTotals(aggSnap, "1999-01").count === 0);
+    assert("Aggregates: balances per account", aggregateAccountBalances([{ id: "main", openingBalance: 10 }, { id: "card" }], aggSnap).card === 200 && aggregateBalances([{ id: "main" }], aggSnap, ["2025-03"])[0].main === 899.9);
+    const vw = virtualWindow({ count: 1000, rowHeight: 40, scrollTop: 4000, viewport: 400, overscan: 5 });
+    assert("Virtual window renders the rows in view plus overscan", vw.start === 95 && vw.end === 115 && vw.padTop === 3800 && vw.padBottom === 885 * 40 && virtualWindow({ count: 3, rowHeight: 40, scrollTop: 0, viewport: 400 }).end === 3);
+    const vh = virtualWindow({ count: 100, rowHeight: 10, scrollTop: 100, viewport: 50, overscan: 0, heightOf: (i) => i < 5 ? 20 : undefined });
+    assert("Virtual window: measured rows shift the window", vh.start === 5 && vh.end === 10 && vh.padTop === 100 && vh.padBottom === 900);
+    assert("Benchmark data is deterministic", JSON.stringify(benchmarkTransactions(20)) === JSON.stringify(benchmarkTransactions(20)) && benchmarkTransactions(20)[19].date === "2025-12-29");
+
+    // Insights
+    const insTx = [
+      ...["2025-01-05", "2025-02-05", "2025-03-05", "2025-04-05"].map((date, i) => ({ id: 100 + i, date, type: "expense", amount: i < 3 ? 50 : 60, category: "תוכנות/מנויים", note: "Netflix.com" })),
+      ...["2025-01-10", "2025-01-20", "2025-02-01", "2025-02-12"].map((date, i) => ({ id: 200 + i, date, type: "expense", amount: 100, category: "מכולת", note: "Shufersal" })),
+      { id: 210, date: "2025-04-02", type: "expense", amount: 450, category: "מכולת", note: "Shufersal" },
+      { id: 300, date: "2025-04-03", type: "expense", amount: 80, category: "מסעדות", note: "Wolt" },
+      { id: 301, date: "2025-04-05", type: "expense", amount: 80, category: "מסעדות", note: "wolt" },
+    ];
+    const subsFound = detectSubscriptions(insTx, "2025-04-10");
+    assert("Insights: monthly charges detected as a subscription", subsFound.length === 1 && subsFound[0].name === "Netflix.com" && subsFound[0].nextDate === "2025-05-06" && subsFound[0].count === 4);
+    assert("Insights: stale or irregular charges are not subscriptions", detectSubscriptions(insTx, "2025-07-01").length === 0);
+    const insAggs = aggregateTransactions([
+      { id: 1, date: "2025-01-03", type: "expense", amount: 200, category: "פנאי" }, { id: 2, date: "2025-02-03", type: "expense", amount: 300, category: "פנאי" },
+      { id: 3, date: "2025-03-03", type: "expense", amount: 400, category: "פנאי" }, { id: 4, date: "2025-04-03", type: "expense", amount: 900, category: "דלק" },
+    ]);
+    const found = detectInsights({ transactions: insTx, aggregates: insAggs, budgets: { "דלק": 500 }, today: "2025-04-10", recentDays: 30 });
+    const foundIds = found.map(i => i.id);
+    assert("Insights: price increase on a subscription", foundIds.includes("price:netflix com:103") && found.find(i => i.kind === "price").filter.ids === "102,103");
+    assert("Insights: unusually large charge for the merchant", foundIds.includes("large:210") && !foundIds.includes("large:300"));
+    assert("Insights: possible double charge", foundIds.includes("double:300:301"));
+    assert("Insights: category rising three months and budget overrun", foundIds.includes("trend:פנאי:2025-03") && foundIds.includes("budget:דלק:2025-04"));
+    assert("Insights: ids are stable and ordered by kind", JSON.stringify(detectInsights({ transactions: insTx, aggregates: insAggs, budgets: { "דלק": 500 }, today: "2025-04-10", recentDays: 30 }).map(i => i.id)) === JSON.stringify(foundIds) && found[0].kind === "double");
+    assert("Filter: transaction ids", insTx.filter(t => matchesFilter(t, { ids: "300,301" })).length === 2);
+    const staleIds = staleInsightIds([...foundIds, "large:999", "double:300:999", "budget:דלק:2025-03", "trend:פנאי:2025-02", "sub:netflix com"], { transactions: insTx, today: "2025-04-10", recentDays: 30 });
+    assert("Insights: only dismissals that can't come back are pruned", staleIds.join() === "large:999,double:300:999,budget:דלק:2025-03,trend:פנאי:2025-02", staleIds.join());
+    assert("Insights: a dismissal outlives its transactions leaving the window", staleInsightIds(["large:210"], { transactions: insTx, today: "2025-06-10", recentDays: 30 }).length === 1);
+
+    // Household
+    const hh = [{ id: DEFAULT_MEMBER_ID, name: "A", share: 2 }, { id: "b", name: "B", share: 1 }];
+    const hhShares = memberShares(hh);
+    const hhTx = [
+      { id: 1, date: "2025-05-02", type: "expense", amount: 300, category: "מכולת", memberId: DEFAULT_MEMBER_ID, shared: true },
+      { id: 2, date: "2025-05-03", type: "expense", amount: 90, category: "x", memberId: "b", shared: true, splits: [{ category: "מכולת", amount: 60 }, { category: "בית", amount: 30 }] },
+      { id: 3, date: "2025-05-04", type: "expense", amount: 50, category: "דלק", memberId: "b" },
+      { id: 4, date: "2025-05-05", type: "income", amount: 1000, category: "הכנסה" },
+      { id: 5, date: "2025-06-01", type: "expense", amount: 999, category: "דלק", memberId: "b" },
+    ];
+    assert("Household: shares follow weights", Math.abs(hhShares.get("b") - 1 / 3) < 1e-9 && memberShares([{ id: "x", share: 0 }]).get("x") === 1);
+    const viewB = memberView(hhTx, "b", hhShares);
+    assert("Household: member view scales shared rows", viewB.length === 4 && viewB[0].amount === 100 && viewB[1].splits[0].amount === 20 && viewB[2] === hhTx[2] && hhTx[0].amount === 300);
+    const hhTot = memberTotals(hhTx, hh, { from: "2025-05-01", to: "2025-05-31" });
+    assert("Household: per-member totals", hhTot[0].income === 1000 && hhTot[0].expense === 260 && hhTot[1].expense === 180 && hhTot[1].paidShared === 90 && hhTot[0].net === 740);
+    const hhBal = householdBalances(hhTx, hh);
+    assert("Household: balances from shared expenses", hhBal.get(DEFAULT_MEMBER_ID) === 40 && hhBal.get("b") === -40);
+    assert("Household: settle up", JSON.stringify(settleUp(hhBal)) === JSON.stringify([{ from: "b", to: DEFAULT_MEMBER_ID, amount: 40 }]));
+    assert("Household: settlements even out", settleUp(householdBalances(hhTx, hh, [{ id: "s", from: "b", to: DEFAULT_MEMBER_ID, amount: 40 }])).length === 0);
+    const three = settleUp(new Map([["a", 50], ["b", -20], ["c", -30]]));
+    assert("Household: several debtors pay one creditor", three.length === 2 && three.every(t => t.to === "a") && three.reduce((x, t) => x + t.amount, 0) === 50);
+    assert("Filter: member and shared", hhTx.filter(t => matchesFilter(t, { member: "b" })).length === 3 && hhTx.filter(t => matchesFilter(t, { member: SHARED_FILTER })).length === 2 && matchesFilter(hhTx[3], { member: DEFAULT_MEMBER_ID }));
+    const hhRemoved = removeMember({ members: hh, transactions: hhTx, recurring: [], goals: [{ id: "g", memberId: "b" }], budgetOwners: { "דלק": "b" }, settlements: [{ id: "s", from: "b", to: DEFAULT_MEMBER_ID, amount: 1 }] }, "b", DEFAULT_MEMBER_ID);
+    assert("Household: removing a member reassigns everything", hhRemoved.members.length === 1 && hhRemoved.transactions.every(t => txMember(t) === DEFAULT_MEMBER_ID) && hhRemoved.transactions[3] === hhTx[3] && hhRemoved.goals[0].memberId === DEFAULT_MEMBER_ID && hhRemoved.budgetOwners["דלק"] === DEFAULT_MEMBER_ID && !hhRemoved.settlements.length);
+    assert("Household: the default member stays", Object.keys(removeMember({ members: hh }, DEFAULT_MEMBER_ID, "b")).length === 0);
+    assert("Recurring posts keep member and shared flag", (() => { const t = dueRecurring([{ id: "rh", type: "expense", amount: 10, category: "בית", note: "", freq: "monthly", startDate: "2025-01-01", memberId: "b", shared: true }], "2025-01-01").posts[0]; return t.memberId === "b" && t.shared; })());
+
+    // Profiles
+    const reg0 = normalizeProfiles(null);
+    assert("Profiles: default profile when nothing is stored", reg0.profiles.length === 1 && reg0.active === DEFAULT_PROFILE_ID);
+    const reg1 = addProfile({ ...reg0, active: DEFAULT_PROFILE_ID }, "עסק", "p1");
+    assert("Profiles: unknown active falls back to default", normalizeProfiles({ ...reg1, active: "gone" }).active === DEFAULT_PROFILE_ID && normalizeProfiles({ ...reg1, active: "p1" }).active === "p1");
+    assert("Profiles: default and active can't be removed", removeProfile(reg1, DEFAULT_PROFILE_ID) === reg1 && removeProfile({ ...reg1, active: "p1" }, "p1").profiles.length === 2 && removeProfile(reg1, "p1").profiles.length === 1);
+    assert("Profiles: separate database and keys", profileStore(DEFAULT_PROFILE_ID).db === DB_NAME && profileStore(DEFAULT_PROFILE_ID).prefix === "" && profileStore("p1").db !== DB_NAME && profileStore("p1").prefix === "p1:");
+
+    // Sync: two devices against an in-memory server space
+    const space = createSyncSpace();
+    const devA = { ...SYNC_DEFAULTS, device: "A" }, knownA = new Map(), knownB = new Map();
+    const syncTx = [{ id: 1, date: "2025-01-01", type: "expense", amount: 10, category: "דלק" }, { id: 2, date: "2025-01-02", type: "expense", amount: 20, category: "בית" }];
+    let sa = trackChanges(devA, "transactions", syncTx, knownA);
+    assert("Sync: new records are queued once", Object.keys(sa.queue).length === 2 && trackChanges(sa, "transactions", syncTx, knownA) === sa);
+    sa = mergePush(sa, Object.values(sa.queue), space.push("A", Object.values(sa.queue)));
+    assert("Sync: accepted pushes clear the queue", !Object.keys(sa.queue).length && sa.revs["transactions/1"] === 1);
+    let pb = mergePull({ ...SYNC_DEFAULTS, device: "B" }, space.pull(0));
+    let txB = applyRecords("transactions", [], pb.apply);
+    txB.forEach(t => knownB.set(String(t.id), t));
+    assert("Sync: the other device pulls the records", txB.length === 2 && pb.sync.cursor === 2 && pb.sync.revs["transactions/2"] === 1);
+    const editA = [{ ...syncTx[0], amount: 11 }, syncTx[1]], editB = [{ ...txB[0], amount: 12 }, txB[1]];
+    sa = trackChanges(sa, "transactions", editA, knownA);
+    sa = mergePush(sa, Object.values(sa.queue), space.push("A", Object.values(sa.queue)));
+    let sb = trackChanges(pb.sync, "transactions", editB, knownB);
+    assert("Sync: queued edit carries its base revision", sb.queue["transactions/1"].baseRev === 1 && sa.revs["transactions/1"] === 2);
+    pb = mergePull(sb, space.pull(sb.cursor));
+    assert("Sync: same record edited on two devices is a conflict", pb.sync.conflicts.length === 1 && pb.sync.conflicts[0].remote.value.amount === 11 && !pb.apply.length && !Object.keys(pb.sync.queue).length);
+    assert("Sync: records in conflict wait for a decision", trackChanges(pb.sync, "transactions", [{ ...editB[0], note: "x" }, editB[1]], new Map(knownB)).queue["transactions/1"] === undefined);
+    const keepB = resolveConflict(pb.sync, "transactions/1", "local", editB[0]);
+    const pushedB = mergePush(keepB.sync, Object.values(keepB.sync.queue), space.push("B", Object.values(keepB.sync.queue)));
+    assert("Sync: keeping the local copy wins on top of the server's", !pushedB.conflicts.length && pushedB.revs["transactions/1"] === 3 && space.state.records["transactions/1"].value.amount === 12);
+    const takeA = resolveConflict(pb.sync, "transactions/1", "remote");
+    assert("Sync: taking the server copy applies it", takeA.apply[0].value.amount === 11 && !Object.keys(takeA.sync.queue).length);
+    const stale = space.push("A", [{ store: "transactions", id: "1", baseRev: 2, value: { ...syncTx[0], amount: 99 } }]);
+    assert("Sync: a push from a stale revision is rejected", stale.conflicts.length === 1 && !stale.accepted.length);
+    assert("Sync: rejected pushes become conflicts", mergePush({ ...sa, queue: { "transactions/1": { store: "transactions", id: "1", baseRev: 2, value: 1 } } }, [{ store: "transactions", id: "1", baseRev: 2, value: 1 }], stale).conflicts.length === 1);
+    assert("Sync: identical copies are not conflicts", space.push("C", [{ store: "transactions", id: "2", baseRev: 0, value: syncTx[1] }]).accepted[0].rev === 1);
+    sa = trackChanges(sa, "transactions", [editA[0]], knownA);
+    assert("Sync: deletions are queued", sa.queue["transactions/2"].deleted === true);
+    space.push("A", Object.values(sa.queue));
+    const del = mergePull(pushedB, space.pull(pushedB.cursor));
+    assert("Sync: deletions reach the other device", applyRecords("transactions", editB, del.apply).map(t => t.id).join() === "1");
+    assert("Sync: budgets sync per category", applyRecords("budgetVersions", { "דלק": [], "בית": [] }, [{ id: "דלק", value: [{ from: BUDGET_EPOCH, amount: 5 }] }, { id: "בית", deleted: true }])["דלק"][0].amount === 5 && storeRecords("budgetVersions", { a: [] }).has("a"));
+
+    // Recurring rules
+    assert("Monthly rule clamps 31st to month end", occurrenceDate("2025-01-31", "monthly", 1) === "2025-02-28", occurrenceDate("2025-01-31", "monthly", 1));
+    assert("Monthly rule returns to anchor day", occurrenceDate("2025-01-31", "monthly", 2) === "2025-03-31");
+    assert("Weekly rule steps 7 days", occurrenceDate("2025-12-29", "weekly", 1) === "2026-01-05");
+    const rule = { id: "r1", type: "expense", amount: 2500, category: "דיור", note: "שכירות", freq: "monthly", startDate: "2025-01-10", endDate: "2025-03-31", count: 0 };
+    const due = dueRecurring([rule], "2025-06-01");
+    assert("Due instances stop at end date", due.posts.length === 3, JSON.stringify(due.posts.map(t=>t.date)));
+    assert("Due instances tagged with rule", due.posts.every(t=>t.recurringId==="r1"));
+    assert("Posting again yields nothing", dueRecurring(due.rules, "2025-06-01").posts.length === 0);
+    assert("Paused rule posts nothing", dueRecurring([{ ...rule, paused: true }], "2025-06-01").posts.length === 0);
+    assert("Resume skips missed occurrences", nextOccurrence(skipPastOccurrences({ ...rule, endDate: "" }, "2025-04-11")) === "2025-05-10");
+
     setResults(res);
+
+    // Web Crypto checks are async; their results are appended when done
+    (async () => {
+      const more = [];
+      const check = (name, condition, detail = "") => more.push({ name, pass: !!condition, detail: String(detail) });
+      const stores = { pf_tx: [{ id: 1, date: "2025-01-01", type: "expense", amount: 10, category: "דלק" }], pf_expected_income: 100 };
+      const backup = await createBackup(stores);
+      const back = await readBackup(JSON.stringify(backup));
+      check("Backup round trip", back.stores.pf_tx.length === 1 && back.stores.pf_expected_income === 100);
+      const tampered = JSON.stringify({ ...backup, stores: { ...stores, pf_expected_income: 1 } });
+      check("Backup checksum detects changes", await readBackup(tampered).then(() => false, e => /שלמות/.test(e.message)));
+      const enc = JSON.stringify(await encryptBackup(backup, "correct horse", 1000));
+      check("Encrypted backup needs the passphrase", await readBackup(enc).then(() => false, e => e.needsPassphrase));
+      check("Encrypted backup rejects a wrong passphrase", await readBackup(enc, "wrong").then(() => false, e => e.needsPassphrase));
+      check("Encrypted backup opens with the passphrase", (await readBackup(enc, "correct horse")).stores.pf_tx[0].amount === 10);
+
+      // App lock
+      const { key: lockKey, lock } = await createLock("family pass", 5, 1000);
+      check("Lock verifies the passphrase", (await unlockKey(lock, "family pass")) !== null && (await unlockKey(lock, "nope")) === null);
+      const mem = { store: {} };
+      const memBackend = { kind: "memory", readAll: async () => ({ ...mem.store }), writeMany: async (ws) => { for (const w of ws) mem.store[w.key] = w.value; }, replaceAll: async (d) => { mem.store = { ...d }; } };
+      await encryptingBackend(memBackend, lockKey).replaceAll({ pf_meta: { schemaVersion: 3, lock }, pf_tx: stores.pf_tx, pf_goals: [{ id: "g", name: "טיסה" }] });
+      check("Encrypted at rest", !JSON.stringify(mem.store.pf_tx).includes("דלק") && !JSON.stringify(mem.store.pf_goals).includes("טיסה") && mem.store.pf_meta.lock.idleMinutes === 5);
+      const reread = await encryptingBackend(memBackend, lockKey).readAll([]);
+      check("Encrypted round trip", reread.pf_tx[0].category === "דלק" && reread.pf_goals[0].name === "טיסה");
+      const badIssues = [], wrongKey = encryptingBackend(memBackend, (await createLock("other", 0, 1000)).key);
+      const badRead = await wrongKey.readAll(badIssues), rawTx = mem.store.pf_tx;
+      check("Wrong key reports instead of crashing", badIssues.length === 2 && badRead.pf_tx.length === 0);
+      await wrongKey.write("pf_tx", [{ id: "new", date: "2025-01-01", type: "expense", amount: 1, category: "אחר" }], []);
+      check("Rows that fail to decrypt are written back untouched", mem.store.pf_tx.length === rawTx.length + 1 && mem.store.pf_tx.slice(1).every((e, i) => e === rawTx[i]));
+      setResults(prev => [...prev, ...more]);
+    })();
   }, []);
 
   return (
@@ -720,30 +5008,532 @@ function TestsPage({ ctx }) {
         </tbody>
       </table>
       <p className="text-xs text-teal-700 mt-3">אם בדיקה נכשלה, שלח לי צילום מסך/טקסט — אתקן מיד.</p>
+      <Benchmark ctx={ctx} />
+    </div>
+  );
+}
+
+// Times the hot paths on synthetic history, next to the full-scan way monthly totals used to be computed: the pure
+// functions, the worker round trip (posting included) and rendering the transactions page
+const BENCHMARK_ROWS = 100000;
+
+// ms for the worker to build the totals from scratch and to take in one edited row; null without workers
+async function timeWorker(tx, edited) {
+  if (typeof Worker === "undefined") return null;
+  const worker = new Worker(new URL("./aggregate.worker.js", import.meta.url), { type: "module" });
+  const ask = (msg) => new Promise((resolve, reject) => {
+    const t0 = performance.now();
+    worker.onmessage = () => resolve(performance.now() - t0);
+    worker.onerror = reject;
+    worker.postMessage(msg);
+  });
+  try { return [await ask({ reset: true, startDay: 1, upserts: tx, removed: [] }), await ask({ upserts: [edited], removed: [] })]; }
+  catch { return null; }
+  finally { worker.terminate(); }
+}
+
+function Benchmark({ ctx }) {
+  const [rows, setRows] = useState(null);
+  const [running, setRunning] = useState(false);
+  async function run(){
+    setRunning(true); setRows(null);
+    await new Promise(r => setTimeout(r, 30)); // let "running" paint first
+    const tx = benchmarkTransactions(BENCHMARK_ROWS), out = [];
+    const time = (label, fn) => { const t0 = performance.now(); const v = fn(); out.push({ label, ms: performance.now() - t0 }); return v; };
+    const months = recentPeriods(12, 1, "2025-12-31");
+    time("12 חודשים בסינון מלא של כל התנועות (השיטה הקודמת)", () => months.map(m => tx.filter(t => ym(t.date) === m).reduce((a, t) => a + t.amount, 0)));
+    const engine = createAggregator();
+    time("בניית האינדקס מאפס", () => engine.sync(tx));
+    const next = tx.slice(); next[500] = { ...next[500], amount: 1 };
+    time("עדכון אחרי עריכת תנועה אחת", () => engine.sync(next));
+    const snap = time("תמונת מצב של האינדקס", () => engine.snapshot());
+    time("12 חודשים מהאינדקס", () => months.map(m => monthTotals(snap, m)));
+    time("אינדקס תקציבים מהאינדקס", () => spendIndexFromAggregates(snap, new Map()));
+    const june = monthRange("2025-06");
+    time("סינון ומיון חודש אחד לטבלה", () => sortTransactions(tx.filter(t => matchesFilter(t, june)), "date", "desc"));
+    const win = virtualWindow({ count: tx.length, rowHeight: TX_ROW_HEIGHT, scrollTop: 1e6, viewport: TX_TABLE_HEIGHT });
+    out.push({ label: `שורות בטבלה בכל רגע (מתוך ${tx.length.toLocaleString("he-IL")})`, value: win.end - win.start });
+    const inWorker = await timeWorker(tx, next[500]);
+    if (inWorker) out.push({ label: "Web Worker: בניית האינדקס כולל העברת התנועות", ms: inWorker[0] }, { label: "Web Worker: עדכון אחרי עריכת תנועה אחת", ms: inWorker[1] });
+    else out.push({ label: "Web Worker", value: "לא זמין כאן" });
+    // the real page, off screen, with every synthetic row in the list; setters do nothing
+    const noop = Object.fromEntries(Object.keys(ctx).filter(k => /^set[A-Z]/.test(k)).map(k => [k, () => {}]));
+    const page = (list) => (
+      <MemoryRouter initialEntries={["/transactions?from="]}><TransactionsPage ctx={{ ...ctx, ...noop, transactions: list, aggregates: snap }} /></MemoryRouter>
+    );
+    const root = createRoot(document.createElement("div"));
+    time("רינדור דף התנועות עם כל התנועות", () => flushSync(() => root.render(page(tx))));
+    time("רינדור הדף אחרי עריכת תנועה אחת", () => flushSync(() => root.render(page(next))));
+    root.unmount();
+    setRows(out); setRunning(false);
+  }
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center gap-3 mb-2">
+        <h3 className="font-semibold">מדד ביצועים</h3>
+        <button onClick={run} disabled={running} className="px-3 py-1 rounded-xl bg-white border shadow-sm hover:shadow disabled:opacity-40">{running ? "מריץ…" : `הרץ על ${BENCHMARK_ROWS.toLocaleString("he-IL")} תנועות`}</button>
+      </div>
+      <p className="text-xs text-teal-700 mb-2">פחות מ-16 מ״ש לפעולה = בלי עיכוב מורגש. מעל {WORKER_MIN_ROWS.toLocaleString("he-IL")} תנועות האינדקס מחושב ב-Web Worker, מחוץ לממשק.</p>
+      {rows && (
+        <table className="min-w-full text-sm">
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.label} className="border-t">
+                <td className="p-2">{r.label}</td>
+                <td className={`p-2 font-medium ${r.ms > 16 ? "text-amber-600" : "text-emerald-700"}`}>{r.ms !== undefined ? `${r.ms.toFixed(1)} מ״ש` : r.value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   );
 }
 
 // ---------- Settings Page ----------
+function CategorySettings({ ctx }) {
+  const [form, setForm] = useState({ name: "", parentId: "", color: COLORS[ctx.categories.length % COLORS.length], icon: "" });
+  const [names, setNames] = useState({}); // pending renames by id
+  const [removing, setRemoving] = useState(null); // { name, to }
+  const [error, setError] = useState("");
+  const stores = () => ({ transactions: ctx.transactions, budgetVersions: ctx.budgetVersions, rollover: ctx.rollover, catRules: ctx.catRules, recurring: ctx.recurring, categories: ctx.categories, savedFilters: ctx.savedFilters, budgetOwners: ctx.budgetOwners });
+  // All stores change in the same tick, so the journal records one undoable step
+  function commit(changed, label){
+    for (const [store, value] of Object.entries(changed)) ctx[`set${store[0].toUpperCase()}${store.slice(1)}`](value, label);
+  }
+  const tops = ctx.categories.filter(c => !c.parentId);
+  const ordered = categoryNames(ctx.categories).map(n => categoryInfo(ctx.categories, n));
+  const update = (id, patch) => ctx.setCategories(prev => prev.map(c => c.id === id ? { ...c, ...patch } : c));
+
+  function addCategory(){
+    const name = form.name.trim(); if (!name) return;
+    if (categoryInfo(ctx.categories, name) || RESERVED_CATEGORIES.includes(name)) { setError("קטגוריה בשם הזה כבר קיימת"); return; }
+    ctx.setCategories(prev => [...prev, { id: `cat${Date.now()}`, ...form, name }]);
+    setForm({ name: "", parentId: form.parentId, color: COLORS[(ctx.categories.length + 1) % COLORS.length], icon: "" }); setError("");
+  }
+  function rename(c){
+    const to = (names[c.id] ?? c.name).trim();
+    if (!to || to === c.name) return;
+    if (RESERVED_CATEGORIES.includes(to)) { setError(`"${to}" שמור למערכת ואי אפשר לתת אותו לקטגוריה`); return; }
+    const target = categoryInfo(ctx.categories, to);
+    if (target && !confirm(`"${to}" כבר קיימת. למזג את "${c.name}" לתוכה? התנועות, התקציבים והכללים יועברו.`)) return;
+    commit(renameCategory(stores(), c.name, to), target ? `מיזוג קטגוריה ${c.name} ← ${to}` : `שינוי שם קטגוריה ${c.name} ← ${to}`);
+    setNames(({ [c.id]: _, ...rest }) => rest); setError("");
+  }
+  function setParent(c, parentId){
+    if (parentId && ctx.categories.some(x => x.parentId === c.id)) { setError("לקטגוריה עם תתי-קטגוריות אין הורה"); return; }
+    update(c.id, { parentId }); setError("");
+  }
+  function remove(){
+    try {
+      const changed = deleteCategory(stores(), removing.name, removing.to);
+      commit(changed, `מחיקת קטגוריה ${removing.name}${removing.to ? ` (הועברה ל-${removing.to})` : ""}`);
+      setRemoving(null); setError("");
+    } catch (e) { setError(e.message); }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 md:col-span-2">
+      <h2 className="font-semibold mb-2">קטגוריות</h2>
+      <p className="text-xs text-teal-700 mb-3">שינוי שם לשם קיים ממזג את הקטגוריות. תקציב של קטגוריית-אב כולל את ההוצאות של תתי-הקטגוריות.</p>
+      <div className="overflow-auto rounded-xl border mb-3">
+        <table className="min-w-full text-sm">
+          <thead className="bg-teal-50">
+            <tr><th className="text-right p-2">סמל</th><th className="text-right p-2">צבע</th><th className="text-right p-2">שם</th><th className="text-right p-2">תחת</th><th className="text-right p-2">בשימוש</th><th className="p-2"></th></tr>
+          </thead>
+          <tbody>
+            {ordered.map(c => {
+              const used = categoryUsage(ctx, c.name);
+              return (
+                <tr key={c.id} className="border-t">
+                  <td className="p-2"><input className="border rounded-lg px-2 py-1 w-12 text-center" value={c.icon} onChange={e=>update(c.id, { icon: e.target.value.slice(0, 4) })} /></td>
+                  <td className="p-2"><input type="color" value={c.color} onChange={e=>update(c.id, { color: e.target.value })} /></td>
+                  <td className="p-2 whitespace-nowrap">
+                    {c.parentId && <span className="text-teal-700">↳ </span>}
+                    <input className="border rounded-lg px-2 py-1" value={names[c.id] ?? c.name} onChange={e=>setNames({ ...names, [c.id]: e.target.value })} onKeyDown={e=>e.key === "Enter" && rename(c)} />
+                    {names[c.id] !== undefined && names[c.id] !== c.name && <button onClick={()=>rename(c)} className="mr-2 text-teal-700 hover:underline">שמור</button>}
+                  </td>
+                  <td className="p-2">
+                    <select className="border rounded-lg px-2 py-1" value={c.parentId} onChange={e=>setParent(c, e.target.value)}>
+                      <option value="">— ראשית —</option>
+                      {tops.filter(t => t.id !== c.id).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-2 text-xs text-teal-700">{used.transactions} תנועות{used.recurring ? ` • ${used.recurring} קבועות` : ""}{used.rules ? ` • ${used.rules} כללים` : ""}</td>
+                  <td className="p-2 text-center">{ctx.categories.length > 1 && <button onClick={()=>{ setRemoving({ name: c.name, to: "" }); setError(""); }} className="text-red-600 hover:underline">מחק</button>}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {removing && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 p-3 rounded-xl bg-red-50 text-sm">
+          <span>מחיקת <b>{removing.name}</b>. העבר את השימושים שלה ל:</span>
+          <select className="border rounded-lg px-2 py-1" value={removing.to} onChange={e=>setRemoving({ ...removing, to: e.target.value })}>
+            <option value="">—</option>
+            {categoryNames(ctx.categories).filter(n => n !== removing.name).map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+          <button onClick={remove} className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700">מחק</button>
+          <button onClick={()=>setRemoving(null)} className="px-3 py-1 rounded-lg bg-white border hover:shadow">בטל</button>
+        </div>
+      )}
+      {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+      <div className="flex flex-wrap gap-2">
+        <input className="border rounded-xl px-3 py-2 w-14 text-center" placeholder="🙂" value={form.icon} onChange={e=>setForm({...form, icon:e.target.value.slice(0, 4)})} />
+        <input type="color" className="h-10" value={form.color} onChange={e=>setForm({...form, color:e.target.value})} />
+        <input className="border rounded-xl px-3 py-2 flex-1" placeholder="שם קטגוריה חדש" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        <select className="border rounded-xl px-3 py-2" value={form.parentId} onChange={e=>setForm({...form, parentId:e.target.value})}>
+          <option value="">קטגוריה ראשית</option>
+          {tops.map(t => <option key={t.id} value={t.id}>תחת {t.name}</option>)}
+        </select>
+        <button onClick={addCategory} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">הוסף</button>
+      </div>
+    </div>
+  );
+}
+
+// One line per synced record for the conflict view; undefined = deleted
+function describeRecord(store, v) {
+  if (v === undefined) return "נמחק";
+  if (store === "transactions") return `${v.date} • ${TX_TYPES[v.type] || ""} • ${v.note || v.category} • ${currency(v.amount)}`;
+  if (store === "goals") return `${v.name} • יעד ${currency(v.target)} • ${currency(v.monthly || 0)} לחודש${v.archived ? " • בארכיון" : ""}`;
+  if (store === "goalEntries") return v.txId !== undefined ? `קישור לתנועה ${v.txId}` : `${v.date} • ${currency(v.amount)}${v.note ? ` • ${v.note}` : ""}`;
+  return (v || []).map(x => `מ-${x.from}: ${currency(x.amount)}`).join(" • ");
+}
+
+function SyncSettings({ ctx }) {
+  const { state: s, configure, syncNow, resolve, localRecord } = ctx.sync;
+  const [form, setForm] = useState({ url: s.url, token: s.token });
+  const pending = Object.keys(s.queue).length;
+  function save(){
+    if (!/^https?:\/\/.+/.test(form.url.trim())) { alert("כתובת השרת צריכה להתחיל ב-http:// או https://"); return; }
+    configure({ url: form.url.trim(), token: form.token.trim(), enabled: true });
+  }
+  return (
+    <div className="bg-white rounded-2xl shadow p-4 md:col-span-2">
+      <h2 className="font-semibold mb-2">סנכרון בין מכשירים</h2>
+      <p className="text-xs text-teal-700 mb-3">
+        אופציונלי: תנועות, תקציבים ויעדים נשלחים לשרת שבשליטתך ומתקבלים ממנו. בלי חיבור השינויים ממתינים בתור ונשלחים כשהחיבור חוזר.
+        שרת לדוגמה מקומי: <code dir="ltr">npm run sync-server</code> ואז הכתובת <code dir="ltr">http://localhost:8787/home</code>.
+      </p>
+      <div className="flex flex-wrap gap-2 mb-2 text-sm">
+        <input dir="ltr" className="border rounded-xl px-3 py-2 flex-1 min-w-[14rem]" placeholder="https://example.com/sync/home" value={form.url} onChange={e=>setForm({...form, url:e.target.value})} />
+        <input dir="ltr" type="password" className="border rounded-xl px-3 py-2 w-44" placeholder="אסימון (לא חובה)" value={form.token} onChange={e=>setForm({...form, token:e.target.value})} />
+        <button onClick={save} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow">{s.enabled ? "שמור" : "הפעל סנכרון"}</button>
+        {s.enabled && <button onClick={syncNow} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">סנכרן עכשיו</button>}
+        {s.enabled && <button onClick={()=>configure({ enabled: false })} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">כבה</button>}
+      </div>
+      <div className="text-sm text-teal-700">
+        {!s.enabled ? "הסנכרון כבוי." : s.error ? <span className="text-red-600">הסנכרון נכשל: {s.error}</span> : s.lastSync ? `סונכרן לאחרונה ${new Date(s.lastSync).toLocaleString("he-IL")}` : "עדיין לא סונכרן."}
+        {s.enabled && <> • ממתינים לשליחה: <b>{pending}</b></>}
+      </div>
+      {s.conflicts.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <div className="text-sm font-medium text-amber-800">התנגשויות ({s.conflicts.length}): אותה רשומה שונתה בשני מכשירים. בחר איזו גרסה לשמור.</div>
+          {s.conflicts.map(c => (
+            <div key={c.key} className="p-3 rounded-xl border border-amber-200 bg-amber-50/50 text-sm">
+              <div className="text-xs text-teal-700 mb-1">{JOURNAL_STORES[c.store]}{c.store === "budgetVersions" ? ` • ${c.id}` : ""}</div>
+              <div className="grid md:grid-cols-2 gap-2">
+                <div><div className="text-xs text-teal-700">במכשיר הזה</div>{describeRecord(c.store, localRecord(c))}</div>
+                <div><div className="text-xs text-teal-700">בשרת ({new Date(c.remote.at).toLocaleString("he-IL")})</div>{describeRecord(c.store, c.remote.deleted ? undefined : c.remote.value)}</div>
+              </div>
+              <div className="flex gap-2 mt-2">
+                <button onClick={()=>resolve(c.key, "local")} className="px-2 py-1 rounded-lg bg-white border hover:shadow">השאר את שלי</button>
+                <button onClick={()=>resolve(c.key, "remote")} className="px-2 py-1 rounded-lg bg-white border hover:shadow">קבל את הגרסה מהשרת</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// The profile list is outside the journal: adding, renaming or deleting a profile can't be undone
+function ProfileSettings({ ctx }) {
+  const [name, setName] = useState("");
+  const [names, setNames] = useState({}); // pending renames by id
+  const [error, setError] = useState("");
+  const reg = ctx.profiles;
+  function rename(p){
+    const n = (names[p.id] ?? p.name).trim();
+    setNames(({ [p.id]: _, ...rest }) => rest);
+    if (!n) { setError("לפרופיל צריך שם"); return; }
+    if (n !== p.name) ctx.saveProfiles({ ...reg, profiles: reg.profiles.map(x => x.id === p.id ? { ...x, name: n } : x) });
+    setError("");
+  }
+  function create(){
+    const n = name.trim(); if (!n) return;
+    const next = addProfile(reg, n);
+    ctx.saveProfiles(next); setName("");
+    if (confirm(`הפרופיל "${n}" נוצר. לעבור אליו עכשיו?`)) switchProfile(ctx.storage, next.profiles[next.profiles.length - 1].id);
+  }
+  async function remove(p){
+    if (!confirm(`למחוק את הפרופיל "${p.name}" ואת כל הנתונים שלו? אי אפשר לבטל.`)) return;
+    try {
+      await deleteProfileData(p.id);
+      ctx.saveProfiles(removeProfile(reg, p.id)); setError("");
+    } catch (e) { setError(`מחיקת הפרופיל נכשלה: ${e?.message || e}`); }
+  }
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <h2 className="font-semibold mb-2">פרופילים</h2>
+      <p className="text-xs text-teal-700 mb-3">לכל פרופיל נתונים נפרדים לגמרי במכשיר הזה (תנועות, תקציבים, גיבויים ונעילה). המעבר בין פרופילים בראש העמוד.</p>
+      <ul className="space-y-2 text-sm mb-3">
+        {reg.profiles.map(p => (
+          <li key={p.id} className="flex items-center gap-2">
+            <input className="border rounded-lg px-2 py-1 flex-1" value={names[p.id] ?? p.name} onChange={e=>setNames({ ...names, [p.id]: e.target.value })} onBlur={()=>rename(p)} onKeyDown={e=>e.key === "Enter" && rename(p)} />
+            {p.id === ctx.storage.profile
+              ? <span className="text-xs text-emerald-700">פעיל</span>
+              : <button onClick={()=>switchProfile(ctx.storage, p.id)} className="text-teal-700 hover:underline">עבור</button>}
+            {p.id !== DEFAULT_PROFILE_ID && p.id !== ctx.storage.profile && <button onClick={()=>remove(p)} className="text-red-600 hover:underline">מחק</button>}
+          </li>
+        ))}
+      </ul>
+      {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+      <div className="flex gap-2">
+        <input className="border rounded-xl px-3 py-2 flex-1" placeholder="שם פרופיל חדש" value={name} onChange={e=>setName(e.target.value)} />
+        <button onClick={create} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">צור</button>
+      </div>
+    </div>
+  );
+}
+
+function LockSettings({ ctx }) {
+  const { storage } = ctx;
+  const [form, setForm] = useState({ current: "", pass: "", confirm: "", idle: String(storage.lock?.idleMinutes ?? 10) });
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState(false);
+  async function run(fn, done){
+    setBusy(true); setMessage("");
+    try { await fn(); setMessage(done); setForm(f => ({ ...f, current: "", pass: "", confirm: "" })); ctx.onLockChange(); }
+    catch (e) { setMessage(e.message); }
+    setBusy(false);
+  }
+  async function checkCurrent(){ if (!(await unlockKey(storage.lock, form.current))) throw new Error("הסיסמה הנוכחית שגויה"); }
+  function checkNew(){ if (form.pass.length < 8 || form.pass !== form.confirm) throw new Error("הסיסמה חייבת להכיל 8 תווים לפחות ולהתאים לאימות"); }
+  const enable = () => run(async () => { checkNew(); await storage.setPassphrase(form.pass, Number(form.idle) || 0); }, "הנעילה הופעלה והנתונים הוצפנו.");
+  const change = () => run(async () => { await checkCurrent(); checkNew(); await storage.setPassphrase(form.pass); }, "הסיסמה הוחלפה והנתונים הוצפנו מחדש.");
+  const disable = () => run(async () => { await checkCurrent(); if (!confirm("לבטל את הנעילה? הנתונים יישמרו ללא הצפנה.")) throw new Error(""); await storage.setPassphrase(""); }, "הנעילה בוטלה.");
+  // a write that fails puts the select back on the saved value
+  const setIdle = (idle) => {
+    const saved = form.idle;
+    setForm(f => ({ ...f, idle }));
+    if (storage.lock) storage.setIdleMinutes(Number(idle) || 0).then(ctx.onLockChange, e => { setForm(f => ({ ...f, idle: saved })); setMessage(`שמירת זמן הנעילה נכשלה: ${e?.message || e}`); });
+  };
+  const input = (key, placeholder) => <input type="password" placeholder={placeholder} className="border rounded-xl px-3 py-2" value={form[key]} onChange={e=>setForm({...form, [key]: e.target.value})} />;
+  return (
+    <div className="bg-white rounded-2xl shadow p-4">
+      <h2 className="font-semibold mb-2">נעילה והצפנה</h2>
+      <p className="text-sm text-teal-700 mb-3">{storage.lock ? "הנתונים שמורים מוצפנים (AES-GCM) ונדרשת סיסמה לפתיחה." : "הנתונים שמורים ללא הצפנה. הפעלת נעילה מצפינה אותם בסיסמה."}</p>
+      <div className="space-y-2 text-sm">
+        <label className="flex items-center gap-2 text-teal-700">נעילה אוטומטית אחרי
+          <select className="border rounded-lg px-2 py-1" value={form.idle} onChange={e=>setIdle(e.target.value)}>
+            {[["0", "אף פעם"], ["1", "דקה"], ["5", "5 דקות"], ["10", "10 דקות"], ["30", "30 דקות"], ["60", "שעה"]].map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+          </select>
+          ללא פעילות
+        </label>
+        {storage.lock && <div>{input("current", "סיסמה נוכחית")}</div>}
+        <div className="flex flex-wrap gap-2">{input("pass", storage.lock ? "סיסמה חדשה" : "סיסמה")}{input("confirm", "אימות סיסמה")}</div>
+        <div className="text-xs text-amber-700">אין דרך לשחזר את הנתונים בלי הסיסמה. כדאי לשמור גיבוי.</div>
+        <div className="flex flex-wrap gap-2">
+          {storage.lock ? (
+            <>
+              <button disabled={busy} onClick={change} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow disabled:opacity-50">שנה סיסמה</button>
+              <button disabled={busy} onClick={disable} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md disabled:opacity-50">בטל נעילה</button>
+            </>
+          ) : <button disabled={busy} onClick={enable} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow disabled:opacity-50">הפעל נעילה</button>}
+        </div>
+        {message && <div className="text-teal-700">{message}</div>}
+      </div>
+    </div>
+  );
+}
+
 function SettingsPage({ ctx }) {
-  function resetAll(){ if(confirm("לאפס את כל הנתונים?")){ localStorage.clear(); location.reload(); } }
-  const [newCat, setNewCat] = useState("");
-  function addCategory(){ if(!newCat.trim()) return; if(ctx.budgets[newCat]) return; ctx.setBudgets(prev=>({ ...prev, [newCat.trim()]: 0 })); setNewCat(""); }
+  // Reset keeps a snapshot of everything it wipes, so it can be reverted
+  const [snapshot] = useState(() => ctx.storage.data[RESET_SNAPSHOT_KEY] || null);
+
+  // Backup / restore
+  const [backupPass, setBackupPass] = useState({ on: false, pass: "", confirm: "" });
+  const [restore, setRestore] = useState(null); // { text, fileName, needsPassphrase, pass, backup, error }
+  const [backupMessage, setBackupMessage] = useState("");
+  const currentStores = () => Object.fromEntries(Object.entries(BACKUP_STORES).map(([k, name]) => [k, ctx[name]]));
+  async function downloadBackup(){
+    if (backupPass.on && (backupPass.pass.length < 8 || backupPass.pass !== backupPass.confirm)) { setBackupMessage("הסיסמה חייבת להכיל 8 תווים לפחות ולהתאים לאימות"); return; }
+    try {
+      const backup = await createBackup(currentStores());
+      const file = backupPass.on ? await encryptBackup(backup, backupPass.pass) : backup;
+      const blob = new Blob([JSON.stringify(file)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a'); a.href = url; a.download = `finance-backup-${todayISO()}${backupPass.on ? "-encrypted" : ""}.json`; a.click(); URL.revokeObjectURL(url);
+      setBackupMessage(`הגיבוי נוצר${backupPass.on ? " (מוצפן)" : ""}.`);
+    } catch (e) { setBackupMessage(`יצירת הגיבוי נכשלה: ${e?.message || e}`); }
+  }
+  async function openRestore(text, fileName, pass = ""){
+    try { setRestore({ text, fileName, pass, backup: await readBackup(text, pass) }); }
+    catch (e) { setRestore({ text, fileName, pass, error: e.message, needsPassphrase: e.needsPassphrase }); }
+  }
+  function onRestoreFile(e){
+    const file = e.target.files?.[0]; if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => openRestore(String(reader.result || ""), file.name);
+    reader.readAsText(file, 'utf-8');
+    e.target.value = "";
+  }
+  // Goes through the journaled setters, so a restore is one undoable step
+  function applyRestore(mode){
+    const { stores } = restore.backup;
+    if (mode === "replace" && !confirm("להחליף את כל הנתונים הנוכחיים בתוכן הגיבוי?")) return;
+    const next = mode === "replace" ? replaceBackupStores(stores) : mergeBackupStores(currentStores(), stores);
+    const label = `שחזור מגיבוי ${restore.fileName} (${mode === "replace" ? "החלפה" : "מיזוג"})`;
+    for (const [k, value] of Object.entries(next)) { const name = BACKUP_STORES[k]; ctx[`set${name[0].toUpperCase()}${name.slice(1)}`](value, label); }
+    setRestore(null);
+    setBackupMessage("הנתונים שוחזרו. אפשר לבטל בלחצן ״בטל״.");
+  }
+  async function resetAll(){
+    if(!confirm("לאפס את כל הנתונים? תישמר גיבוי אוטומטי שאפשר לשחזר.")) return;
+    const all = await ctx.storage.readAll();
+    await ctx.storage.replaceAll({ [RESET_SNAPSHOT_KEY]: takeSnapshot(all), pf_meta: all.pf_meta });
+    location.reload();
+  }
+  async function revertReset(){
+    if(!confirm("לשחזר את הנתונים מלפני האיפוס? הנתונים הנוכחיים יוחלפו.")) return;
+    await ctx.storage.replaceAll(snapshot.data);
+    location.reload();
+  }
+  const [accForm, setAccForm] = useState({ name: "", type: "checking", currency: "ILS", openingBalance: "" });
+  function addAccount(){
+    if(!accForm.name.trim()) return;
+    ctx.setAccounts(prev => [...prev, { id: `a${Date.now()}`, name: accForm.name.trim(), type: accForm.type, currency: accForm.currency, openingBalance: Number(accForm.openingBalance)||0 }]);
+    setAccForm({ name: "", type: "checking", currency: "ILS", openingBalance: "" });
+  }
+  function updateAccount(id, patch){ ctx.setAccounts(prev => prev.map(a => a.id === id ? { ...a, ...patch } : a)); }
+  // An account can go only when nothing references it
+  function removeAccount(id){
+    const used = ctx.transactions.some(t => txAccount(t) === id || t.toAccountId === id) || ctx.recurring.some(r => txAccount(r) === id);
+    if (used) { alert("לחשבון יש תנועות. העבר או מחק אותן קודם."); return; }
+    if (ctx.accounts.length <= 1) return;
+    ctx.setAccounts(prev => prev.filter(a => a.id !== id));
+  }
 
   return (
     <div className="grid md:grid-cols-2 gap-6">
+      <CategorySettings ctx={ctx} />
+
       <div className="bg-white rounded-2xl shadow p-4">
-        <h2 className="font-semibold mb-2">קטגוריות</h2>
-        <div className="flex gap-2 mb-3">
-          <input className="border rounded-xl px-3 py-2 flex-1" placeholder="שם קטגוריה חדש" value={newCat} onChange={e=>setNewCat(e.target.value)} />
-          <button onClick={addCategory} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">הוסף</button>
+        <h2 className="font-semibold mb-2">חודש פיננסי</h2>
+        <label className="flex items-center gap-2 text-sm">
+          החודש מתחיל ב-
+          <select className="border rounded-xl px-3 py-2" value={ctx.monthStart} onChange={e=>ctx.setMonthStart(Number(e.target.value))}>
+            {Array.from({ length: MONTH_START_MAX }, (_, i) => <option key={i + 1} value={i + 1}>{i + 1}</option>)}
+          </select>
+          לחודש
+        </label>
+        <p className="text-xs text-teal-700 mt-2">
+          למשל יום קבלת המשכורת. החודש הנוכחי: {periodRange(currentPeriod(ctx.monthStart), ctx.monthStart).from} עד {periodRange(currentPeriod(ctx.monthStart), ctx.monthStart).to}.
+          לוח המחוונים, התקציבים, הדוחות ובורר החודש בתנועות עובדים לפי החודש הזה.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow p-4 md:col-span-2">
+        <h2 className="font-semibold mb-2">חשבונות</h2>
+        <table className="min-w-full text-sm mb-3">
+          <thead className="bg-teal-50">
+            <tr>
+              <th className="text-right p-2">שם</th>
+              <th className="text-right p-2">סוג</th>
+              <th className="text-right p-2">מטבע</th>
+              <th className="text-right p-2">יתרת פתיחה</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {ctx.accounts.map(a => (
+              <tr key={a.id} className="border-t">
+                <td className="p-2"><input className="border rounded-lg px-2 py-1" value={a.name} onChange={e=>updateAccount(a.id, { name: e.target.value })} /></td>
+                <td className="p-2"><select className="border rounded-lg px-2 py-1" value={a.type} onChange={e=>updateAccount(a.id, { type: e.target.value })}>{Object.entries(ACCOUNT_TYPES).map(([k,l])=><option key={k} value={k}>{l}</option>)}</select></td>
+                <td className="p-2"><select className="border rounded-lg px-2 py-1" value={a.currency} onChange={e=>updateAccount(a.id, { currency: e.target.value })}>{KNOWN_CURRENCIES.map(c=><option key={c} value={c}>{c}</option>)}</select></td>
+                <td className="p-2">
+                  <input type="number" className="border rounded-lg px-2 py-1 w-28 text-right" value={a.openingBalance} onChange={e=>updateAccount(a.id, { openingBalance: Number(e.target.value)||0 })} />
+                  {openingBalance(a, ctx.fxRates) == null && <div className="text-xs text-amber-700">אין שער ל-{a.currency}, היתרה לא נספרת</div>}
+                </td>
+                <td className="p-2 text-center">{ctx.accounts.length > 1 && <button onClick={()=>removeAccount(a.id)} className="text-red-600 hover:underline">מחק</button>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex flex-wrap gap-2">
+          <input className="border rounded-xl px-3 py-2 flex-1" placeholder="שם חשבון חדש" value={accForm.name} onChange={e=>setAccForm({...accForm, name:e.target.value})} />
+          <select className="border rounded-xl px-3 py-2" value={accForm.type} onChange={e=>setAccForm({...accForm, type:e.target.value})}>{Object.entries(ACCOUNT_TYPES).map(([k,l])=><option key={k} value={k}>{l}</option>)}</select>
+          <select className="border rounded-xl px-3 py-2" value={accForm.currency} onChange={e=>setAccForm({...accForm, currency:e.target.value})}>{KNOWN_CURRENCIES.map(c=><option key={c} value={c}>{c}</option>)}</select>
+          <input type="number" className="border rounded-xl px-3 py-2 w-32" placeholder="יתרת פתיחה" value={accForm.openingBalance} onChange={e=>setAccForm({...accForm, openingBalance:e.target.value})} />
+          <button onClick={addAccount} className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md">הוסף</button>
         </div>
-        <div className="text-sm text-teal-700">קטגוריות פעילות: {Object.keys(ctx.budgets).join(" • ")}</div>
       </div>
 
+      <LockSettings ctx={ctx} />
+      <ProfileSettings ctx={ctx} />
+      <SyncSettings ctx={ctx} />
+
       <div className="bg-white rounded-2xl shadow p-4">
         <h2 className="font-semibold mb-2">נתונים</h2>
+        <p className="text-xs text-teal-700 mb-3">אחסון: {ctx.storage.kind === "indexeddb" ? "IndexedDB" : "localStorage (גיבוי)"} • גרסת מבנה {SCHEMA_VERSION}</p>
+
+        <div className="space-y-2 mb-4 text-sm">
+          <div className="font-medium">גיבוי מלא</div>
+          <label className="flex items-center gap-2"><input type="checkbox" checked={backupPass.on} onChange={e=>setBackupPass({...backupPass, on:e.target.checked})} /> הצפן בסיסמה (AES-GCM)</label>
+          {backupPass.on && (
+            <div className="flex flex-wrap gap-2">
+              <input type="password" placeholder="סיסמה" className="border rounded-xl px-3 py-2" value={backupPass.pass} onChange={e=>setBackupPass({...backupPass, pass:e.target.value})} />
+              <input type="password" placeholder="אימות סיסמה" className="border rounded-xl px-3 py-2" value={backupPass.confirm} onChange={e=>setBackupPass({...backupPass, confirm:e.target.value})} />
+            </div>
+          )}
+          {backupPass.on && <div className="text-xs text-amber-700">אין דרך לשחזר גיבוי מוצפן בלי הסיסמה.</div>}
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={downloadBackup} className="px-4 py-2 rounded-xl bg-teal-600 text-white hover:bg-teal-700 shadow">הורד גיבוי</button>
+            <label className="px-4 py-2 rounded-xl bg-white border shadow hover:shadow-md cursor-pointer">
+              שחזר מגיבוי…
+              <input type="file" accept=".json,application/json" className="hidden" onChange={onRestoreFile} />
+            </label>
+          </div>
+          {backupMessage && <div className="text-teal-700">{backupMessage}</div>}
+          {restore && (
+            <div className="p-3 rounded-xl border bg-teal-50/50 space-y-2">
+              <div className="font-medium">{restore.fileName}</div>
+              {restore.error && <div className="text-red-600">{restore.error}</div>}
+              {restore.needsPassphrase && (
+                <div className="flex gap-2">
+                  <input type="password" placeholder="סיסמת הגיבוי" className="border rounded-xl px-3 py-2" value={restore.pass} onChange={e=>setRestore({...restore, pass:e.target.value})} />
+                  <button onClick={()=>openRestore(restore.text, restore.fileName, restore.pass)} className="px-3 py-2 rounded-xl bg-white border hover:shadow">פתח</button>
+                </div>
+              )}
+              {restore.backup && (
+                <>
+                  <div className="text-xs text-teal-700">נוצר {new Date(restore.backup.createdAt).toLocaleString("he-IL")} • גרסת מבנה {restore.backup.schemaVersion} • בדיקת שלמות עברה</div>
+                  <ul className="text-xs grid grid-cols-2 gap-x-4">
+                    {summarizeBackup(restore.backup.stores).map(([label, n]) => <li key={label}>{label}: <b>{n}</b></li>)}
+                  </ul>
+                  {restore.backup.issues.length > 0 && <div className="text-xs text-amber-700">{restore.backup.issues.map(i => `${i.key}: ${i.reason}`).join(" • ")}</div>}
+                  <div className="flex flex-wrap gap-2">
+                    <button onClick={()=>applyRestore("replace")} className="px-3 py-1 rounded-xl bg-red-600 text-white hover:bg-red-700">החלף את הנתונים</button>
+                    <button onClick={()=>applyRestore("merge")} className="px-3 py-1 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700">מזג עם הקיים</button>
+                  </div>
+                </>
+              )}
+              <button onClick={()=>setRestore(null)} className="text-teal-700 hover:underline text-xs">סגור</button>
+            </div>
+          )}
+        </div>
+
         <button onClick={resetAll} className="px-4 py-2 rounded-xl bg-red-600 text-white hover:bg-red-700 shadow">איפוס מלא</button>
+        {snapshot && (
+          <div className="mt-3 text-sm">
+            <span className="text-teal-700">גיבוי מלפני האיפוס ({new Date(snapshot.at).toLocaleString("he-IL")})</span>
+            <button onClick={revertReset} className="mr-2 px-3 py-1 rounded-xl bg-white border hover:shadow">שחזר</button>
+          </div>
+        )}
       </div>
     </div>
   );
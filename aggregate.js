@@ -0,0 +1,111 @@
+// Aggregation engine: per-financial-month totals that stay up to date incrementally.
+// Used on the main thread for small data and from aggregate.worker.js for large data, so this module has no UI
+// imports. The date and category helpers it needs live here and App.jsx imports them.
+
+export const DEFAULT_ACCOUNT_ID = "main";
+export const MONTH_START_MAX = 28;
+
+export function ym(dateStr) { return (dateStr || "").slice(0, 7); }
+
+// 'YYYY-MM' shifted by n months
+export function addMonths(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+export function clampStartDay(day) { return Math.min(MONTH_START_MAX, Math.max(1, Math.floor(Number(day)) || 1)); }
+
+// Financial month of a local 'YYYY-MM-DD' date (see "Financial Month" in App.jsx)
+export function periodOf(date, startDay = 1) {
+  const m = ym(date);
+  return Number(date.slice(8, 10)) < clampStartDay(startDay) ? addMonths(m, -1) : m;
+}
+
+// A transaction may carry splits: [{ category, amount, note }] (shekels) summing to its amount; its own category is then SPLIT_CATEGORY.
+// Everything that aggregates by category goes through categoryLines.
+export function categoryLines(t) {
+  if (t.splits?.length) return t.splits.map(l => ({ category: l.category || 'אחר', amount: Number(l.amount) || 0, note: l.note || t.note || '' }));
+  return [{ category: t.category || 'אחר', amount: t.amount, note: t.note || '' }];
+}
+
+// Transactions saved before accounts existed belong to the default account
+export function txAccount(t) { return t.accountId || DEFAULT_ACCOUNT_ID; }
+
+// Signed effect of one transaction on the account(s) it touches: [[accountId, delta], ...]
+export function accountDeltas(t) {
+  if (t.type === 'transfer') return [[txAccount(t), -t.amount], [t.toAccountId, t.amount]];
+  return [[txAccount(t), t.type === 'income' ? t.amount : -t.amount]];
+}
+
+// Rows of `list` that are new or changed since `known` (Map id -> row) and ids that are gone. Rows are never mutated
+// in place, so an unchanged row is the same object and the check is one Map lookup per row.
+export function diffRows(known, list) {
+  const upserts = [];
+  let present = 0;
+  for (const t of list) {
+    const k = known.get(t.id);
+    if (k !== undefined) present++;
+    if (k !== t) upserts.push(t);
+  }
+  const removed = [];
+  if (known.size > present) {
+    const ids = new Set(list.map(t => t.id));
+    for (const id of known.keys()) if (!ids.has(id)) removed.push(id);
+  }
+  return { upserts, removed };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Totals per financial month: { [month]: { income, expense, count, cats: { [category]: expense }, accounts: { [id]: delta } } }.
+// patch() adds new rows and replaces changed ones by subtracting what the old version contributed, so an edit costs
+// one row, not a rebuild.
+export function createAggregator(startDay = 1) {
+  let day = clampStartDay(startDay);
+  const rows = new Map(), months = new Map();
+
+  function apply(t, sign) {
+    const key = periodOf(t.date, day);
+    let m = months.get(key);
+    if (!m) months.set(key, m = { income: 0, expense: 0, count: 0, cats: {}, accounts: {} });
+    m.count += sign;
+    if (t.type === 'income') m.income += sign * t.amount;
+    if (t.type === 'expense') for (const l of categoryLines(t)) { m.expense += sign * l.amount; m.cats[l.category] = (m.cats[l.category] || 0) + sign * l.amount; }
+    for (const [id, d] of accountDeltas(t)) m.accounts[id] = (m.accounts[id] || 0) + sign * d;
+    if (!m.count) months.delete(key);
+  }
+
+  function patch(upserts, removed = []) {
+    for (const t of upserts) {
+      const old = rows.get(t.id);
+      if (old) apply(old, -1);
+      apply(t, 1);
+      rows.set(t.id, t);
+    }
+    for (const id of removed) {
+      const old = rows.get(id);
+      if (old) { apply(old, -1); rows.delete(id); }
+    }
+  }
+
+  return {
+    get startDay() { return day; },
+    get size() { return rows.size; },
+    reset(startDay) { day = clampStartDay(startDay); rows.clear(); months.clear(); },
+    patch,
+    // one-shot totals for rows that will never be patched (they need no ids); don't mix with patch/sync
+    add(list) { for (const t of list) apply(t, 1); },
+    // bring the totals in line with a full list (only the differences are applied)
+    sync(list) { const { upserts, removed } = diffRows(rows, list); patch(upserts, removed); return upserts.length + removed.length; },
+    // plain, rounded copy: safe to hand to React state or post between threads
+    snapshot() {
+      const out = {};
+      for (const [key, m] of [...months].sort((a, b) => a[0] < b[0] ? -1 : 1)) {
+        const clean = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, round(v)]).filter(([, v]) => v));
+        out[key] = { income: round(m.income), expense: round(m.expense), count: m.count, cats: clean(m.cats), accounts: clean(m.accounts) };
+      }
+      return out;
+    },
+  };
+}
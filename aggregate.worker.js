@@ -0,0 +1,11 @@
+// Runs the aggregation engine off the main thread. Messages in: { reset, startDay, upserts, removed } (only the rows
+// that changed since the last message); messages out: { months } (see createAggregator).
+import { createAggregator } from "./aggregate.js";
+
+const aggregator = createAggregator();
+
+self.onmessage = ({ data }) => {
+  if (data.reset) aggregator.reset(data.startDay);
+  aggregator.patch(data.upserts || [], data.removed || []);
+  self.postMessage({ months: aggregator.snapshot() });
+};
@@ -0,0 +1,62 @@
+// Reference sync server: a tiny local stand-in for a self-hosted endpoint, so device sync can be tried without any
+// cloud service. Node only, no dependencies:
+//   node sync-server.js [port] [data file]       (or: npm run sync-server)
+// Every path is its own sync space, e.g. http://localhost:8787/home. GET ?since=<seq> pulls, POST { device, changes }
+// pushes (see sync.js). Without a data file everything is kept in memory. With SYNC_TOKEN set, requests need
+// "Authorization: Bearer <token>".
+import { createServer } from "node:http";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { createSyncSpace } from "./sync.js";
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const file = process.argv[3] || process.env.SYNC_DATA || "";
+const token = process.env.SYNC_TOKEN || "";
+const MAX_BODY = 50 * 1024 * 1024;
+
+const saved = file && existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : {};
+const spaces = new Map(Object.entries(saved).map(([name, state]) => [name, createSyncSpace(state)]));
+function space(name) {
+  if (!spaces.has(name)) spaces.set(name, createSyncSpace());
+  return spaces.get(name);
+}
+function save() {
+  if (file) writeFileSync(file, JSON.stringify(Object.fromEntries([...spaces].map(([name, s]) => [name, s.state]))));
+}
+
+// the app runs on another origin (the Vite dev server or wherever it is hosted)
+const CORS = { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Content-Type, Authorization", "Access-Control-Allow-Methods": "GET, POST, OPTIONS" };
+function send(res, status, data) {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+// decoded once at the end: a multibyte character may be split between chunks
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw new Error("body too large");
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : {};
+}
+
+createServer(async (req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); res.end(); return; }
+  if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: "unauthorized" });
+  const url = new URL(req.url, "http://localhost");
+  const name = url.pathname.replace(/^\/+|\/+$/g, "") || "default";
+  try {
+    if (req.method === "GET") return send(res, 200, space(name).pull(Number(url.searchParams.get("since")) || 0));
+    if (req.method === "POST") {
+      const { device = "", changes = [] } = await readBody(req);
+      const result = space(name).push(String(device), Array.isArray(changes) ? changes : []);
+      if (result.accepted.length) save();
+      return send(res, 200, result);
+    }
+    send(res, 405, { error: "method not allowed" });
+  } catch (e) {
+    send(res, 400, { error: String(e?.message || e) });
+  }
+}).listen(port, () => console.log(`sync server: http://localhost:${port}/<space> ${file ? `(data in ${file})` : "(in memory)"}`));
@@ -0,0 +1,139 @@
+// Device sync protocol, shared by the app and the reference server (sync-server.js), so this module has no UI or
+// Node imports.
+// A synced record is one transaction, goal or goal entry (by id) or one category's budget versions, addressed as
+// "store/id". The server keeps a revision per record. A device pushes { store, id, baseRev, value | deleted }, where
+// baseRev is the revision its edit started from; the server takes it only while that is still the current revision
+// and otherwise answers with its own copy as a conflict. Deletions stay on the server as tombstones.
+
+export const SYNC_STORES = { transactions: "list", budgetVersions: "object", goals: "list", goalEntries: "list" };
+
+export const recordKey = (store, id) => `${store}/${id}`;
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+const sameRecord = (a, b) => !!a.deleted === !!b.deleted && (!!a.deleted || same(a.value, b.value));
+const body = (r) => r.deleted ? { deleted: true } : { value: r.value };
+
+// ---------- Server ----------
+// One sync space. `state` ({ seq, records }) is plain JSON, so the server can keep it in a file.
+export function createSyncSpace(state = { seq: 0, records: {} }) {
+  return {
+    state,
+    // records changed after `since`, oldest first: [{ store, id, rev, seq, device, at, value | deleted }]
+    pull(since = 0) {
+      return { seq: state.seq, changes: Object.values(state.records).filter(r => r.seq > since).sort((a, b) => a.seq - b.seq) };
+    },
+    push(device, changes = []) {
+      const accepted = [], conflicts = [];
+      for (const c of changes) {
+        if (!c || !SYNC_STORES[c.store] || c.id == null) continue;
+        const id = String(c.id), key = recordKey(c.store, id), cur = state.records[key];
+        // an identical copy is agreement, not a conflict; a record the server never saw is taken as is
+        if (cur && sameRecord(cur, c)) { accepted.push({ store: c.store, id, rev: cur.rev }); continue; }
+        if (cur && (c.baseRev || 0) !== cur.rev) { conflicts.push({ store: c.store, id, remote: cur }); continue; }
+        const rec = { store: c.store, id, rev: (cur?.rev || 0) + 1, seq: ++state.seq, device, at: new Date().toISOString(), ...body(c) };
+        state.records[key] = rec;
+        accepted.push({ store: c.store, id, rev: rec.rev });
+      }
+      return { seq: state.seq, accepted, conflicts };
+    },
+  };
+}
+
+// ---------- Client ----------
+// The device's sync state (pf_sync): revs = last server revision seen per record, queue = unsent edits by record key,
+// conflicts = [{ key, store, id, local, remote }] waiting for the user, cursor = server seq pulled up to.
+export const SYNC_DEFAULTS = { enabled: false, url: "", token: "", device: "", cursor: 0, revs: {}, queue: {}, conflicts: [], lastSync: "", error: "" };
+
+// id -> value for a store's current value
+export function storeRecords(store, value) {
+  return SYNC_STORES[store] === "list" ? new Map((value || []).map(x => [String(x.id), x])) : new Map(Object.entries(value || {}));
+}
+
+// Queue what changed in a store since the last look. Values are compared by identity with `known` (id -> value,
+// updated in place): stores never mutate records, so an unchanged record is the same object. Records in conflict
+// are not queued; resolving the conflict decides what gets sent.
+export function trackChanges(sync, store, value, known) {
+  const records = storeRecords(store, value);
+  let queue = null, present = 0;
+  const put = (id, change) => {
+    const key = recordKey(store, id);
+    if (sync.conflicts.some(c => c.key === key)) return;
+    queue ||= { ...sync.queue };
+    queue[key] = { store, id, baseRev: sync.queue[key]?.baseRev ?? sync.revs[key] ?? 0, ...change };
+  };
+  for (const [id, v] of records) {
+    const k = known.get(id);
+    if (k !== undefined) present++;
+    if (k !== v) { known.set(id, v); put(id, { value: v }); }
+  }
+  if (known.size > present) for (const id of [...known.keys()]) if (!records.has(id)) { known.delete(id); put(id, { deleted: true }); }
+  return queue ? { ...sync, queue } : sync;
+}
+
+// Take in a pull. Remote records come back in `apply` unless the same record has an unsent local edit: then it is a
+// conflict (or, when both sides hold the same copy, simply settled).
+export function mergePull(sync, { seq, changes }) {
+  const revs = { ...sync.revs }, queue = { ...sync.queue }, conflicts = [...sync.conflicts], apply = [];
+  for (const r of changes) {
+    const key = recordKey(r.store, r.id);
+    if ((revs[key] || 0) >= r.rev) continue; // our own push, or already seen
+    revs[key] = r.rev;
+    const open = conflicts.findIndex(c => c.key === key);
+    if (open >= 0) { conflicts[open] = { ...conflicts[open], remote: r }; continue; }
+    const mine = queue[key];
+    if (mine) {
+      delete queue[key];
+      if (!sameRecord(mine, r)) conflicts.push({ key, store: r.store, id: r.id, local: body(mine), remote: r });
+      continue;
+    }
+    apply.push(r);
+  }
+  return { sync: { ...sync, revs, queue, conflicts, cursor: Math.max(sync.cursor || 0, seq || 0) }, apply };
+}
+
+// Take in the answer to pushing `sent` (entries of the queue). An entry edited again while the request was out stays
+// queued, now based on the revision just accepted.
+export function mergePush(sync, sent, { accepted = [], conflicts: rejected = [] }) {
+  const revs = { ...sync.revs }, queue = { ...sync.queue }, conflicts = [...sync.conflicts];
+  const sentByKey = new Map(sent.map(e => [recordKey(e.store, e.id), e]));
+  for (const a of accepted) {
+    const key = recordKey(a.store, a.id);
+    revs[key] = a.rev;
+    if (queue[key] === sentByKey.get(key)) delete queue[key];
+    else if (queue[key]) queue[key] = { ...queue[key], baseRev: a.rev };
+  }
+  for (const c of rejected) {
+    const key = recordKey(c.store, c.id);
+    revs[key] = c.remote.rev;
+    conflicts.push({ key, store: c.store, id: c.id, local: body(sentByKey.get(key) || {}), remote: c.remote });
+    delete queue[key];
+  }
+  return { ...sync, revs, queue, conflicts };
+}
+
+// Settle a conflict. "local" sends this device's current copy (`local`, undefined when deleted) on top of the server's
+// revision; "remote" returns the server's copy in `apply`.
+export function resolveConflict(sync, key, choice, local) {
+  const c = sync.conflicts.find(x => x.key === key);
+  if (!c) return { sync, apply: [] };
+  const rest = { ...sync, conflicts: sync.conflicts.filter(x => x !== c), revs: { ...sync.revs, [key]: c.remote.rev } };
+  if (choice === "remote") return { sync: rest, apply: [c.remote] };
+  const change = local === undefined ? { deleted: true } : { value: local };
+  return { sync: { ...rest, queue: { ...sync.queue, [key]: { store: c.store, id: c.id, baseRev: c.remote.rev, ...change } } }, apply: [] };
+}
+
+// A store value with remote records applied; new list records go first, like new transactions
+export function applyRecords(store, value, records) {
+  if (SYNC_STORES[store] === "object") {
+    const out = { ...(value || {}) };
+    for (const r of records) { if (r.deleted) delete out[r.id]; else out[r.id] = r.value; }
+    return out;
+  }
+  const byId = new Map(records.map(r => [String(r.id), r])), out = [];
+  for (const x of value || []) {
+    const r = byId.get(String(x.id));
+    if (!r) { out.push(x); continue; }
+    byId.delete(String(x.id));
+    if (!r.deleted) out.push(r.value);
+  }
+  return [...[...byId.values()].filter(r => !r.deleted).map(r => r.value), ...out];
+}